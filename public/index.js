@@ -26,6 +26,10 @@ let logStream = null;
 /** @type {boolean} Flag indicating if log stream is currently active */
 let logStreamActive = false;
 
+// Search Paging
+/** @type {Object|null} Request body and results of the last search, used by "Load more" */
+let lastSearch = null;
+
 /** @type {Element} Reference to log status display element */
 const statusEl = document.getElementById('log-status');
 
@@ -493,57 +497,68 @@ async function showProjectDetails(projectId) {
 /**
  * Performs a semantic search across indexed projects
  * Displays results in formatted cards with similarity scores
+ * @param {boolean} [loadMore=false] - Fetch the next page of the previous search and append it
  * @returns {Promise<void>}
  */
-async function testSearch() {
-    // Get search parameters from form
+async function testSearch(loadMore = false) {
+    // Get search parameters from form (or reuse the previous search when paging)
     const query = document.getElementById('search-query').value.trim();
     const projectId = document.getElementById('search-project').value;
     const limit = parseInt(document.getElementById('search-limit').value) || 5;
+    const minScoreValue = document.getElementById('search-min-score').value.trim();
 
-    if (!query) {
+    if (!loadMore && !query) {
         showStatus('Please enter a search query', 'error');
         return;
     }
 
+    if (loadMore && !lastSearch?.nextCursor) {
+        return;
+    }
+
+    const body = loadMore
+        ? { ...lastSearch.body, cursor: lastSearch.nextCursor }
+        : {
+            query,
+            topK: limit,
+            projectId: projectId || undefined,
+            minScore: minScoreValue ? parseFloat(minScoreValue) : undefined
+        };
+
     // Update search button state
     const btn = document.getElementById('search-btn');
     btn.disabled = true;
     btn.textContent = 'Searching...';
 
     try {
-        log(`Searching for: "${query}"`);
-        if (projectId) log(`Project filter: ${projectId}`);
+        if (!loadMore) {
+            log(`Searching for: "${query}"`);
+            if (projectId) log(`Project filter: ${projectId}`);
+            if (body.minScore !== undefined) log(`Minimum score: ${body.minScore}`);
+        }
         
         // Send search request to MCP context endpoint
         const response = await fetch('/mcp/context', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                query,
-                topK: limit,
-                projectId: projectId || undefined
-            })
+            body: JSON.stringify(body)
         });
 
         const result = await response.json();
         
         if (response.ok) {
-            log(`✅ Search completed! Found ${result.results.length} results`);
-            
-            // Generate formatted search results
-            const resultsDiv = document.getElementById('search-results');
-            resultsDiv.innerHTML = `
-                <h3>Search Results (${result.results.length})</h3>
-                ${result.results.map((item, index) => `
-                    <div style="border: 1px solid #ddd; margin: 10px 0; padding: 10px; border-radius: 4px;">
-                        <strong>#${index + 1} - ${item.filePath || 'Unknown file'}</strong> 
-                        <span style="color: #666;">(Score: ${item.score.toFixed(4)})</span>
-                        ${item.projectId ? `<br><small>Project: ${item.projectId}</small>` : ''}
-                        <pre style="margin: 10px 0; background: #f5f5f5; padding: 10px; border-radius: 4px; white-space: pre-wrap; max-height: 200px; overflow-y: auto;">${item.content}</pre>
-                    </div>
-                `).join('')}
-            `;
+            const previous = loadMore ? lastSearch.results : [];
+            const { cursor, ...baseBody } = body;
+            lastSearch = {
+                body: baseBody,
+                nextCursor: result.nextCursor,
+                total: result.total,
+                totalCapped: result.totalCapped,
+                results: [...previous, ...result.results]
+            };
+
+            log(`✅ Search completed! Showing ${lastSearch.results.length} of ${result.total}${result.totalCapped ? '+' : ''} results`);
+            renderSearchResults();
             
         } else {
             log(`❌ Search error: ${result.error}`);
@@ -559,6 +574,27 @@ async function testSearch() {
     }
 }
 
+/**
+ * Renders the accumulated results of the last search with a "Load more" button
+ * when further pages are available
+ */
+function renderSearchResults() {
+    const { results, total, totalCapped, nextCursor } = lastSearch;
+    const resultsDiv = document.getElementById('search-results');
+    resultsDiv.innerHTML = `
+        <h3>Search Results (${results.length} of ${total}${totalCapped ? '+' : ''})</h3>
+        ${results.map((item, index) => `
+            <div style="border: 1px solid #ddd; margin: 10px 0; padding: 10px; border-radius: 4px;">
+                <strong>#${index + 1} - ${item.filePath || 'Unknown file'}</strong> 
+                <span style="color: #666;">(Score: ${item.score.toFixed(4)})</span>
+                ${item.projectId ? `<br><small>Project: ${item.projectId}</small>` : ''}
+                <pre style="margin: 10px 0; background: #f5f5f5; padding: 10px; border-radius: 4px; white-space: pre-wrap; max-height: 200px; overflow-y: auto;">${item.content}</pre>
+            </div>
+        `).join('')}
+        ${nextCursor ? '<button onclick="testSearch(true)">Load more</button>' : ''}
+    `;
+}
+
 // ==========================================
 // Job Monitoring Functions
 // ==========================================
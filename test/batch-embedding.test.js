@@ -0,0 +1,104 @@
+// ==========================================
+// Batched Embedding Tests
+// ==========================================
+// Providers send several texts per request and the indexer batches chunks across files
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { OllamaEmbedding } from '../utils/vector-store/embeddings.js';
+import { OpenAIEmbedding } from '../utils/vector-store/openai.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { createProjectDir, hashEmbedding, startEmbeddingServer } from './helpers.js';
+
+describe('batched embeddings', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startEmbeddingServer(64);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('Ollama sends batches of batchSize texts to /api/embed', async () => {
+    const provider = new OllamaEmbedding('fake', { batchSize: 2 });
+    provider.baseUrl = server.url;
+
+    const texts = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'];
+    const embeddings = await provider.embed(texts);
+
+    assert.deepEqual(embeddings, texts.map(text => hashEmbedding(text, 64)));
+    assert.equal(server.requests, 3);
+    assert.equal(server.lastRequest.url, '/api/embed');
+    assert.deepEqual(server.lastRequest.body, { model: 'fake', input: ['epsilon'] });
+  });
+
+  test('Ollama falls back to /api/embeddings when /api/embed is missing', async () => {
+    const legacy = await startEmbeddingServer(64, { batchEndpoint: false });
+    try {
+      const provider = new OllamaEmbedding('fake');
+      provider.baseUrl = legacy.url;
+
+      const embeddings = await provider.embed(['alpha', 'beta'], { allowFallback: false });
+
+      assert.deepEqual(embeddings, [hashEmbedding('alpha', 64), hashEmbedding('beta', 64)]);
+      assert.equal(provider.batchEndpoint, false);
+      assert.equal(legacy.lastRequest.url, '/api/embeddings');
+      assert.equal(legacy.requests, 3);
+    } finally {
+      await legacy.close();
+    }
+  });
+
+  test('OpenAI-compatible results are placed by their index', async () => {
+    const provider = new OpenAIEmbedding({ baseUrl: `${server.url}/v1` });
+
+    const embeddings = await provider.embed(['alpha', 'beta', 'gamma']);
+
+    assert.deepEqual(embeddings, ['alpha', 'beta', 'gamma'].map(text => hashEmbedding(text, 64)));
+    assert.equal(server.requests, 1);
+  });
+
+  test('a failed batch falls back for each of its texts', async () => {
+    const provider = new OllamaEmbedding('fake', { batchSize: 2, retryDelayMs: 0 });
+    provider.baseUrl = server.url;
+    await provider.getEmbedding('warm up');
+    server.setAvailable(false);
+
+    const results = await provider.embedWithSource(['alpha', 'beta', 'gamma']);
+
+    assert.deepEqual(results.map(result => result.source), ['fallback', 'fallback', 'fallback']);
+    assert.ok(results.every(result => result.embedding.length === 64));
+    assert.equal(provider.status.fallbackEmbeddings, 3);
+  });
+
+  test('the indexer embeds chunks of many files in few requests', async () => {
+    const files = {};
+    for (let i = 0; i < 10; i++) {
+      files[`src/module${i}.js`] = `export const value${i} = ${i};\n`;
+    }
+    const dir = await createProjectDir(files);
+    try {
+      const provider = new OllamaEmbedding('fake', { batchSize: 4 });
+      provider.baseUrl = server.url;
+      const store = new MemoryVectorStore();
+
+      const result = await new FileIndexer(provider, store).indexDirectory(dir, 'batched');
+
+      assert.equal(result.chunksIndexed, 10);
+      assert.equal(server.requests, 3);
+
+      const page = await store.search(await provider.getEmbedding('value7'), 1, 'batched');
+      assert.equal(page.results[0].filePath, 'src/module7.js');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('rejects an invalid batch size', () => {
+    assert.throws(() => new OllamaEmbedding('fake', { batchSize: 0 }), /EMBEDDING_BATCH_SIZE must be an integer of at least 1/);
+  });
+});
@@ -0,0 +1,177 @@
+// ==========================================
+// Syntax-Aware Chunking Tests
+// ==========================================
+// Declaration boundaries, packing, oversized bodies and scope headers per language
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSource, normalizeChunkingOptions, DEFAULT_CHUNKING } from '../utils/indexer/chunker.js';
+
+/**
+ * Builds a function whose body is `lines` statements long
+ * @param {string} name - Function name
+ * @param {number} lines - Number of body lines
+ * @returns {string} Source code
+ */
+function jsFunction(name, lines) {
+  const body = Array.from({ length: lines }, (_, i) => `  const ${name}Value${i} = compute('${name}', ${i});`);
+  return `function ${name}(input) {\n${body.join('\n')}\n  return input;\n}\n`;
+}
+
+/**
+ * Source lines of a chunk (without its header)
+ * @param {Object} chunk - Chunk from chunkSource
+ * @returns {string} Source text
+ */
+function body(chunk) {
+  return chunk.content.slice(chunk.content.indexOf('\n\n') + 2);
+}
+
+/**
+ * Asserts that chunks cover every line of the content once, in order
+ * @param {Object[]} chunks - Chunks from chunkSource
+ * @param {string} content - Chunked content
+ */
+function assertCoversFile(chunks, content) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  let next = 1;
+  for (const chunk of chunks) {
+    assert.equal(chunk.startLine, next);
+    assert.equal(body(chunk), `${lines.slice(chunk.startLine - 1, chunk.endLine).join('\n')}\n`);
+    next = chunk.endLine + 1;
+  }
+  assert.equal(next, lines.length + 1);
+}
+
+describe('chunkSource', () => {
+  test('keeps small JavaScript declarations together', () => {
+    const content = `import fs from 'fs';\n\n${jsFunction('first', 3)}\n${jsFunction('second', 3)}`;
+    const chunks = chunkSource(content, 'src/small.js');
+
+    assert.equal(chunks.length, 1);
+    assert.match(chunks[0].content, /^File: src\/small\.js\nLines 1-\d+:\n\n/);
+    assertCoversFile(chunks, content);
+  });
+
+  test('starts chunks at function boundaries', () => {
+    const content = ['alpha', 'beta', 'gamma'].map(name => jsFunction(name, 30)).join('\n');
+    const chunks = chunkSource(content, 'src/three.js');
+
+    assert.equal(chunks.length, 3);
+    assert.deepEqual(chunks.map(chunk => body(chunk).split('\n')[0]), [
+      'function alpha(input) {',
+      'function beta(input) {',
+      'function gamma(input) {'
+    ]);
+    assertCoversFile(chunks, content);
+  });
+
+  test('splits a large class along its methods and names it in the header', () => {
+    const methods = ['load', 'save', 'remove'].map(name =>
+      `  /** ${name} docs */\n  async ${name}(id) {\n${Array.from({ length: 40 }, (_, i) => `    await this.step('${name}', ${i}, id);`).join('\n')}\n  }`
+    );
+    const content = `export class Repository extends Base {\n${methods.join('\n\n')}\n}\n`;
+    const chunks = chunkSource(content, 'src/repository.ts');
+
+    assert.equal(chunks.length, 3);
+    assert.ok(chunks.every(chunk => chunk.content.includes('\nIn: export class Repository extends Base\n')));
+    for (const name of ['save', 'remove']) {
+      const chunk = chunks.find(c => body(c).includes(`async ${name}(id)`));
+      assert.match(body(chunk), new RegExp(`^\\s*/\\*\\* ${name} docs \\*/\\n\\s*async ${name}\\(id\\)`));
+    }
+    assertCoversFile(chunks, content);
+  });
+
+  test('splits an oversized function along its statements', () => {
+    const content = jsFunction('huge', 120);
+    const chunks = chunkSource(content, 'src/huge.js', { maxChunkSize: 1000 });
+
+    assert.ok(chunks.length > 3);
+    assert.ok(chunks.slice(1).every(chunk => chunk.content.includes('\nIn: function huge(input)\n')));
+    assert.ok(chunks.every(chunk => /^ {2}(const|return)|^function|^}/.test(body(chunk).split('\n')[0])));
+    assertCoversFile(chunks, content);
+  });
+
+  test('names the callback of a route handler in the header', () => {
+    const content = `app.get('/items', async (req, res) => {\n${Array.from({ length: 80 }, (_, i) => `  await load(${i});`).join('\n')}\n});\n`;
+    const chunks = chunkSource(content, 'index.js', { maxChunkSize: 500 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.content.includes("In: app.get('/items', async (req, res) =>\n")));
+    assertCoversFile(chunks, content);
+  });
+
+  test('falls back to indentation for JavaScript the parser rejects', () => {
+    const content = `${jsFunction('valid', 20)}\nfunction broken( {\n  return 1;\n}\n\n${jsFunction('after', 20)}`;
+    const chunks = chunkSource(content, 'src/broken.js', { maxChunkSize: 1000 });
+
+    assert.ok(chunks.some(chunk => body(chunk).startsWith('function after(input) {')));
+    assertCoversFile(chunks, content);
+  });
+
+  test('splits Python on indentation with class and method scopes', () => {
+    const method = name => `    def ${name}(self):\n${Array.from({ length: 12 }, (_, i) => `        self.${name}_${i} = compute(${i})`).join('\n')}\n`;
+    const content = `import os\n\n\nclass Store:\n    """Stores things."""\n\n${['load', 'save', 'drop'].map(method).join('\n')}\n\ndef main():\n    Store().load()\n`;
+    const chunks = chunkSource(content, 'store.py', { maxChunkSize: 500 });
+
+    const save = chunks.find(chunk => body(chunk).includes('def save(self)'));
+    assert.match(save.content, /\nIn: class Store\n/);
+    assert.match(body(save), /^\s*def save\(self\)/);
+    assertCoversFile(chunks, content);
+  });
+
+  test('splits brace languages on indentation and keeps comments with their declaration', () => {
+    const func = name => `// ${name} does things\nfunc ${name}() {\n${Array.from({ length: 15 }, (_, i) => `\tcall("${name}", ${i})`).join('\n')}\n}\n`;
+    const content = `package main\n\n${['Alpha', 'Beta', 'Gamma'].map(func).join('\n')}`;
+    const chunks = chunkSource(content, 'main.go', { maxChunkSize: 400 });
+
+    for (const name of ['Beta', 'Gamma']) {
+      assert.ok(chunks.some(chunk => body(chunk).startsWith(`// ${name} does things\nfunc ${name}() {`)));
+    }
+    assertCoversFile(chunks, content);
+  });
+
+  test('splits prose on the line budget', () => {
+    const content = Array.from({ length: 200 }, (_, i) => `Paragraph line ${i} with some words.`).join('\n');
+    const chunks = chunkSource(content, 'README.md');
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => !chunk.content.includes('\nIn: ')));
+    assertCoversFile(chunks, content);
+  });
+
+  test('repeats the end of the previous chunk within the overlap limits', () => {
+    const content = ['alpha', 'beta', 'gamma'].map(name => jsFunction(name, 30)).join('\n');
+    const plain = chunkSource(content, 'src/three.js');
+    const chunks = chunkSource(content, 'src/three.js', { overlapLines: 3 });
+
+    assert.equal(chunks.length, plain.length);
+    chunks.slice(1).forEach((chunk, i) => {
+      assert.equal(chunk.startLine, plain[i + 1].startLine - 3);
+      assert.equal(chunk.endLine, plain[i + 1].endLine);
+      assert.match(chunk.content, new RegExp(`\nLines ${chunk.startLine}-${chunk.endLine}:\n\n {2}return input;\n}\n\nfunction`));
+    });
+
+    const byCharacters = chunkSource(content, 'src/three.js', { overlapLines: 3, overlapChars: 10 });
+    assert.equal(byCharacters[1].startLine, plain[1].startLine - 2); // The closing brace and the blank line
+  });
+
+  test('formats headers from the template', () => {
+    const content = `app.get('/items', async (req, res) => {\n${Array.from({ length: 80 }, (_, i) => `  await load(${i});`).join('\n')}\n});\n`;
+    const chunks = chunkSource(content, 'index.js', { maxChunkSize: 500, headerTemplate: '// {file}:{startLine}-{endLine}\n// scope: {scope}' });
+
+    assert.match(chunks[0].content, /^\/\/ index\.js:1-\d+\n\/\/ scope: app\.get\('\/items', async \(req, res\) =>\n\n/);
+    const small = chunkSource('const a = 1;\n', 'a.js', { headerTemplate: '{file} @ {startLine}\nIn {scope}' });
+    assert.equal(small[0].content, 'a.js @ 1\n\nconst a = 1;\n');
+    assert.equal(chunkSource('const a = 1;\n', 'a.js', { headerTemplate: '' })[0].content, 'const a = 1;\n');
+  });
+
+  test('validates chunking settings', () => {
+    assert.deepEqual(normalizeChunkingOptions(null), DEFAULT_CHUNKING);
+    assert.deepEqual(normalizeChunkingOptions({ chunkSize: 800, overlapLines: 2 }), { ...DEFAULT_CHUNKING, chunkSize: 800, overlapLines: 2 });
+    assert.throws(() => normalizeChunkingOptions({ chunkSize: 10 }), /chunkSize must be an integer between/);
+    assert.throws(() => normalizeChunkingOptions({ overlapChars: 2000 }), /overlapChars must be a non-negative integer smaller than chunkSize/);
+    assert.throws(() => normalizeChunkingOptions({ overlap: 3 }), /Unknown chunking setting "overlap"/);
+    assert.throws(() => normalizeChunkingOptions({ headerTemplate: '{path}' }), /Unknown header placeholder \{path\}/);
+  });
+});
@@ -0,0 +1,112 @@
+// ==========================================
+// Embedding Cache Tests
+// ==========================================
+// Reuse of embeddings across indexing runs, LRU eviction and persistence
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { FileVectorStore } from '../utils/vector-store/filevs.js';
+import { StubEmbedding, createProjectDir, writeFiles } from './helpers.js';
+
+// Three chunks of ~1500 characters: each function lands in its own chunk
+const longFile = ['alpha', 'beta', 'gamma']
+  .map(name => `function ${name}() {\n${`  // ${name} ${'x'.repeat(60)}\n`.repeat(20)}}\n`)
+  .join('');
+
+describe('FileIndexer with the embedding cache', () => {
+  let dir;
+  let store;
+  let embedding;
+  let indexer;
+
+  beforeEach(async () => {
+    dir = await createProjectDir({ 'src/long.js': longFile, 'src/small.js': 'export const small = 1;\n' });
+    store = new MemoryVectorStore();
+    embedding = new StubEmbedding();
+    indexer = new FileIndexer(embedding, store);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('a full reindex reuses every embedding', async () => {
+    const first = await indexer.indexDirectory(dir, 'app');
+    assert.deepEqual(first.embeddingCache, { hits: 0, misses: 4 });
+
+    embedding.calls = 0;
+    const second = await indexer.indexDirectory(dir, 'copy');
+    assert.deepEqual(second.embeddingCache, { hits: 4, misses: 0 });
+    assert.equal(embedding.calls, 0);
+
+    const idOf = async projectId => (await store.search(null, 1, projectId, { mode: 'lexical', query: 'small' })).results[0].id;
+    const embeddings = await store.getEmbeddings([await idOf('app'), await idOf('copy')]);
+    const [original, reused] = [...embeddings.values()];
+    assert.deepEqual(Array.from(reused), Array.from(original));
+  });
+
+  test('a delta run after an edit only embeds the changed chunk', async () => {
+    await indexer.indexDirectory(dir, 'app');
+    await writeFiles(dir, { 'src/long.js': longFile.replace('// gamma', '// delta') });
+
+    embedding.calls = 0;
+    const result = await indexer.indexDirectory(dir, 'app', [], true);
+    assert.deepEqual(result.embeddingCache, { hits: 2, misses: 1 });
+    assert.equal(embedding.calls, 1);
+  });
+
+  test('embeddings of another model are not reused', async () => {
+    await indexer.indexDirectory(dir, 'app');
+
+    const other = new StubEmbedding(64, 'other-model');
+    const result = await new FileIndexer(other, store).indexDirectory(dir, 'other');
+    assert.deepEqual(result.embeddingCache, { hits: 0, misses: 4 });
+  });
+
+  test('fallback vectors are not cached', async () => {
+    embedding.failing = true;
+    await new FileIndexer(embedding, store, null, { allowFallback: true }).indexDirectory(dir, 'app');
+    assert.equal((await store.getEmbeddingCacheStats()).entries, 0);
+  });
+});
+
+describe('Embedding cache storage', () => {
+  test('evicts the least recently used entries', async () => {
+    const store = new MemoryVectorStore({ embeddingCacheSize: 2 });
+    await store.cacheEmbeddings('m', [{ hash: 'a', embedding: [1, 0] }, { hash: 'b', embedding: [0, 1] }]);
+    await store.getCachedEmbeddings('m', ['a']);
+    await store.cacheEmbeddings('m', [{ hash: 'c', embedding: [1, 1] }]);
+
+    const cached = await store.getCachedEmbeddings('m', ['a', 'b', 'c']);
+    assert.deepEqual([...cached.keys()], ['a', 'c']);
+    assert.deepEqual(await store.getEmbeddingCacheStats(), { entries: 2, maxEntries: 2, evictions: 1 });
+  });
+
+  test('a size of 0 disables the cache', async () => {
+    const store = new MemoryVectorStore({ embeddingCacheSize: 0 });
+    await store.cacheEmbeddings('m', [{ hash: 'a', embedding: [1, 0] }]);
+    assert.equal((await store.getCachedEmbeddings('m', ['a'])).size, 0);
+    assert.throws(() => new MemoryVectorStore({ embeddingCacheSize: -1 }), /EMBEDDING_CACHE_SIZE must be a non-negative integer/);
+  });
+
+  test('the file store keeps the cache across instances', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-mcp-store-'));
+    try {
+      const store = new FileVectorStore({ dataDir });
+      await store.cacheEmbeddings('m', [{ hash: 'a', embedding: [0.5, 0.25] }, { hash: 'b', embedding: [1, 0] }]);
+      await store.flush();
+
+      const reopened = new FileVectorStore({ dataDir });
+      const cached = await reopened.getCachedEmbeddings('m', ['a', 'b']);
+      assert.deepEqual(cached.get('a'), [0.5, 0.25]);
+      assert.deepEqual(await reopened.listProjectIds(), []);
+    } finally {
+      await fs.remove(dataDir);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+// ==========================================
+// Embedding Fallback Tests
+// ==========================================
+// Strict indexing during embedding outages, fallback tracking and repair
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { OllamaEmbedding } from '../utils/vector-store/embeddings.js';
+import { EmbeddingUnavailableError } from '../utils/vector-store/provider.js';
+import { StubEmbedding, createProjectDir, writeFiles, startEmbeddingServer } from './helpers.js';
+
+describe('embedding fallback', () => {
+  let dir;
+  let store;
+  let embedding;
+
+  beforeEach(async () => {
+    dir = await createProjectDir({
+      'src/math.js': 'export function add(a, b) {\n  return a + b;\n}\n',
+      'src/strings.js': 'export function shout(text) {\n  return text.toUpperCase();\n}\n'
+    });
+    store = new MemoryVectorStore();
+    embedding = new StubEmbedding();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('strict indexing fails the run and saves nothing', async () => {
+    embedding.failing = true;
+    const indexer = new FileIndexer(embedding, store, null, { allowFallback: false });
+
+    await assert.rejects(indexer.indexDirectory(dir, 'app'), EmbeddingUnavailableError);
+    assert.deepEqual(await store.getProjects(), []);
+  });
+
+  test('a failed delta run keeps the previous chunks of modified files', async () => {
+    const indexer = new FileIndexer(embedding, store, null, { allowFallback: false });
+    await indexer.indexDirectory(dir, 'app');
+
+    await writeFiles(dir, { 'src/math.js': 'export const add = (a, b) => a + b;\n' });
+    embedding.failing = true;
+    await assert.rejects(indexer.indexDirectory(dir, 'app', [], true), EmbeddingUnavailableError);
+
+    const page = await store.search(null, 5, 'app', { mode: 'lexical', query: 'add' });
+    assert.match(page.results[0].content, /return a \+ b/);
+  });
+
+  test('allowed fallback marks chunks and repair re-embeds only those', async () => {
+    const indexer = new FileIndexer(embedding, store, null, { allowFallback: true });
+    await indexer.indexDirectory(dir, 'app');
+
+    embedding.failing = true;
+    await writeFiles(dir, { 'src/extra.js': 'export function twice(x) {\n  return x * 2;\n}\n' });
+    const result = await indexer.indexDirectory(dir, 'app', [], true);
+    assert.equal(result.fallbackChunks, 1);
+    assert.equal((await store.getProjectStats('app')).fallbackDocuments, 1);
+
+    await assert.rejects(store.repairFallbackEmbeddings('app', embedding), EmbeddingUnavailableError);
+
+    embedding.failing = false;
+    const calls = embedding.calls;
+    const repaired = await store.repairFallbackEmbeddings('app', embedding);
+
+    assert.equal(repaired.chunksRepaired, 1);
+    assert.equal(embedding.calls - calls, 1);
+    assert.equal((await store.getProjectStats('app')).fallbackDocuments, 0);
+
+    const page = await store.search(await embedding.getEmbedding('twice x'), 1, 'app');
+    assert.equal(page.results[0].filePath, 'src/extra.js');
+  });
+});
+
+describe('OllamaEmbedding', () => {
+  let ollama;
+
+  beforeEach(async () => {
+    ollama = await startEmbeddingServer(8);
+  });
+
+  afterEach(async () => {
+    await ollama.close();
+  });
+
+  test('reports the source of each embedding and sizes fallbacks like the model', async () => {
+    const provider = new OllamaEmbedding('fake', { retryDelayMs: 0 });
+    provider.baseUrl = ollama.url;
+
+    const real = await provider.getEmbeddingWithSource('hello world');
+    assert.equal(real.source, 'model');
+    assert.equal(real.embedding.length, 8);
+
+    ollama.setAvailable(false);
+    const fallback = await provider.getEmbeddingWithSource('hello world');
+    assert.equal(fallback.source, 'fallback');
+    assert.equal(fallback.embedding.length, 8);
+    assert.equal(provider.status.fallbackEmbeddings, 1);
+
+    await assert.rejects(provider.getEmbedding('hello', { allowFallback: false }), EmbeddingUnavailableError);
+  });
+
+  test('checkHealth does not use the fallback', async () => {
+    const provider = new OllamaEmbedding('fake', { retryDelayMs: 0 });
+    provider.baseUrl = ollama.url;
+
+    assert.equal((await provider.checkHealth()).status, 'connected');
+
+    ollama.setAvailable(false);
+    const health = await provider.checkHealth();
+    assert.equal(health.status, 'unavailable');
+    assert.match(health.error, /HTTP 503/);
+    assert.equal(health.fallbackEmbeddings, 0);
+  });
+});
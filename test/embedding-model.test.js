@@ -0,0 +1,156 @@
+// ==========================================
+// Embedding Model Tracking Tests
+// ==========================================
+// Recording the embedding model per project, refusing mixed vectors and re-embedding
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { EmbeddingMismatchError } from '../utils/vector-store/store.js';
+import { StubEmbedding, createProjectDir, writeFiles } from './helpers.js';
+
+describe('embedding model tracking', () => {
+  let dir;
+  let store;
+  let original;
+
+  beforeEach(async () => {
+    dir = await createProjectDir({
+      'src/math.js': 'export function add(a, b) {\n  return a + b;\n}\n',
+      'src/strings.js': 'export function shout(text) {\n  return text.toUpperCase();\n}\n'
+    });
+    store = new MemoryVectorStore();
+    original = new StubEmbedding(64, 'model-a');
+    await new FileIndexer(original, store).indexDirectory(dir, 'app');
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('indexing records the model and dimension in project metadata', async () => {
+    const metadata = await store.getProjectMetadata('app');
+    assert.equal(metadata.embeddingModel, 'model-a');
+    assert.equal(metadata.embeddingDimensions, 64);
+
+    const [project] = await store.getProjects();
+    assert.equal(project.embeddingModel, 'model-a');
+  });
+
+  test('indexing with another model fails before any chunk changes', async () => {
+    await writeFiles(dir, { 'src/math.js': 'export const add = (a, b) => a + b;\n' });
+    const indexer = new FileIndexer(new StubEmbedding(32, 'model-b'), store);
+
+    await assert.rejects(indexer.indexDirectory(dir, 'app', [], true), EmbeddingMismatchError);
+    assert.equal((await store.getProjectStats('app')).totalDocuments, 2);
+  });
+
+  test('addDocuments rejects vectors of another dimension or mixed dimensions', async () => {
+    const doc = { projectId: 'app', filePath: 'x.js', content: 'x', embedding: new Array(32).fill(1) };
+    await assert.rejects(store.addDocuments([doc]), /indexed with model "model-a", 64 dimensions/);
+    await assert.rejects(store.addDocuments([doc], { embeddingModel: 'model-b' }), EmbeddingMismatchError);
+
+    const mixed = [
+      { projectId: 'new', filePath: 'a.js', content: 'a', embedding: [1, 0] },
+      { projectId: 'new', filePath: 'b.js', content: 'b', embedding: [1, 0, 0] }
+    ];
+    await assert.rejects(store.addDocuments(mixed), /mixed dimensions/);
+  });
+
+  test('projects without a recorded model are checked by stored dimension', async () => {
+    await store.addDocuments([{ projectId: 'legacy', filePath: 'a.js', content: 'a', embedding: [1, 0] }]);
+
+    await assert.rejects(
+      store.addDocuments([{ projectId: 'legacy', filePath: 'b.js', content: 'b', embedding: [1, 0, 0] }]),
+      EmbeddingMismatchError
+    );
+    await store.addDocuments([{ projectId: 'legacy', filePath: 'b.js', content: 'b', embedding: [0, 1] }], { embeddingModel: 'any' });
+  });
+
+  test('semantic search refuses another model while lexical search still works', async () => {
+    const other = new StubEmbedding(64, 'model-b');
+    const query = await other.getEmbedding('add numbers');
+
+    await assert.rejects(
+      store.search(query, 3, 'app', { embeddingModel: 'model-b' }),
+      error => error instanceof EmbeddingMismatchError && error.projectId === 'app'
+    );
+    const unscoped = await store.search(new Array(32).fill(1), 3, null);
+    assert.deepEqual(unscoped.results, []);
+    assert.deepEqual(unscoped.skippedProjects.map(skipped => skipped.projectId), ['app']);
+
+    const page = await store.search(null, 3, 'app', { mode: 'lexical', query: 'shout', embeddingModel: 'model-b' });
+    assert.equal(page.results[0].filePath, 'src/strings.js');
+  });
+
+  test('unscoped and tag-scoped searches skip projects of another model', async () => {
+    const other = new StubEmbedding(32, 'model-b');
+    await new FileIndexer(other, store).indexDirectory(dir, 'fresh');
+    await store.setProjectTags('app', ['team']);
+    await store.setProjectTags('fresh', ['team']);
+    const query = await other.getEmbedding('shout text');
+
+    for (const scope of [{}, { tags: ['team'] }]) {
+      const page = await store.search(query, 5, null, { embeddingModel: 'model-b', ...scope });
+      assert.ok(page.results.length > 0);
+      assert.ok(page.results.every(result => result.projectId === 'fresh'));
+      assert.equal(page.skippedProjects.length, 1);
+      assert.equal(page.skippedProjects[0].projectId, 'app');
+      assert.match(page.skippedProjects[0].reason, /indexed with model "model-a", 64 dimensions/);
+    }
+
+    const page = await store.search(query, 5, null, { embeddingModel: 'model-b', tags: ['missing'] });
+    assert.equal(page.skippedProjects, undefined);
+    await assert.rejects(store.search(query, 5, ['app', 'fresh'], { embeddingModel: 'model-b' }), EmbeddingMismatchError);
+  });
+
+  test('searches reuse embedding signatures until a project changes', async () => {
+    const query = await original.getEmbedding('add numbers');
+    let reads = 0;
+    const getProjectMetadata = store.getProjectMetadata.bind(store);
+    store.getProjectMetadata = async projectId => {
+      reads++;
+      return getProjectMetadata(projectId);
+    };
+
+    await store.search(query, 3, null, { embeddingModel: 'model-a' });
+    await store.search(query, 3, null, { embeddingModel: 'model-a' });
+    assert.equal(reads, 1);
+
+    await store.reembedProject('app', new StubEmbedding(32, 'model-b'));
+    const page = await store.search(query, 3, null, { embeddingModel: 'model-a' });
+    assert.deepEqual(page.skippedProjects.map(skipped => skipped.projectId), ['app']);
+  });
+
+  test('reembedProject upgrades every chunk and records the new model', async () => {
+    const upgraded = new StubEmbedding(32, 'model-b');
+    const progress = [];
+
+    const result = await store.reembedProject('app', upgraded, (processed, total) => progress.push([processed, total]));
+
+    assert.deepEqual(result, {
+      projectId: 'app',
+      chunksReembedded: 2,
+      model: 'model-b',
+      dimensions: 32,
+      previousModel: 'model-a',
+      previousDimensions: 64
+    });
+    assert.deepEqual(progress.at(-1), [2, 2]);
+    assert.equal(upgraded.calls, 2);
+
+    const metadata = await store.getProjectMetadata('app');
+    assert.equal(metadata.embeddingModel, 'model-b');
+    assert.equal(metadata.directoryPath, dir);
+
+    const page = await store.search(await upgraded.getEmbedding('shout text'), 1, 'app', { embeddingModel: 'model-b' });
+    assert.equal(page.results[0].filePath, 'src/strings.js');
+    await assert.rejects(store.search(await original.getEmbedding('add'), 1, 'app', { embeddingModel: 'model-a' }), EmbeddingMismatchError);
+  });
+
+  test('reembedProject fails for projects without chunks', async () => {
+    await assert.rejects(store.reembedProject('missing', new StubEmbedding()), /no indexed chunks/);
+  });
+});
@@ -0,0 +1,85 @@
+// ==========================================
+// Embedding Storage Encoding Tests
+// ==========================================
+// Round trips through every storage format, sign-bit similarity and migration summaries
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BSON } from 'mongodb';
+import {
+  EMBEDDING_FORMATS,
+  encodeEmbedding,
+  decodeEmbedding,
+  decodeSignBits,
+  packSignBits,
+  hammingSimilarity,
+  describeStorageChange,
+  storedFormat
+} from '../utils/vector-store/encoding.js';
+import { cosineSimilarity } from '../utils/vector-store/ranking.js';
+
+const vector = [0.42, -1.37, 0.003, 2.5, -0.81, 0, 1.19, -2.24, 0.57, -0.06];
+
+/**
+ * Encodes a vector and decodes it again after a BSON round trip, as MongoDB would store it
+ * @param {number[]} input - Embedding
+ * @param {string} format - Storage format
+ * @returns {{doc: Object, decoded: number[]}} Stored document and decoded embedding
+ */
+function roundTrip(input, format) {
+  const doc = BSON.deserialize(BSON.serialize(encodeEmbedding(input, format)));
+  return { doc, decoded: decodeEmbedding(doc) };
+}
+
+describe('embedding encoding', () => {
+  test('stores arrays and float32 vectors without measurable loss', () => {
+    assert.deepEqual(roundTrip(vector, 'array').decoded, vector);
+
+    const { doc, decoded } = roundTrip(vector, 'float32');
+    assert.equal(doc.embedding.buffer.length, 2 + vector.length * 4);
+    decoded.forEach((value, i) => assert.ok(Math.abs(value - vector[i]) <= Math.abs(vector[i]) * 2 ** -23));
+  });
+
+  test('quantizes int8 vectors within half a step of the per-vector scale', () => {
+    const { doc, decoded } = roundTrip(vector, 'int8');
+    const step = 2.5 / 127;
+
+    assert.ok(Math.abs(doc.embeddingScale - step) < 1e-12);
+    decoded.forEach((value, i) => assert.ok(Math.abs(value - vector[i]) <= step / 2 + 1e-12, `dimension ${i}`));
+    assert.equal(decoded[3], 2.5);
+    assert.equal(decoded[5], 0);
+    assert.ok(cosineSimilarity(decoded, vector) > 0.9999);
+    assert.deepEqual(roundTrip([0, 0, 0], 'int8').decoded, [0, 0, 0]);
+  });
+
+  test('keeps sign bits and a float32 vector for the binary format', () => {
+    const { doc, decoded } = roundTrip(vector, 'binary');
+
+    assert.deepEqual(Array.from(decodeSignBits(doc)), [0b10110010, 0b10000000]);
+    assert.deepEqual(decoded, roundTrip(vector, 'float32').decoded);
+    assert.equal(decodeSignBits(roundTrip(vector, 'float32').doc), null);
+  });
+
+  test('reports the stored format of every encoding', () => {
+    for (const format of EMBEDDING_FORMATS) {
+      assert.equal(storedFormat(roundTrip(vector, format).doc), format);
+    }
+    assert.equal(storedFormat({}), null);
+    assert.throws(() => encodeEmbedding(vector, 'float16'), /Unknown embedding format "float16"/);
+  });
+
+  test('measures sign agreement with hamming similarity', () => {
+    const bits = packSignBits(vector);
+
+    assert.equal(hammingSimilarity(bits, bits, vector.length), 1);
+    assert.ok(Math.abs(hammingSimilarity(bits, packSignBits(vector.map(v => -v)), vector.length) - 0.1) < 1e-12); // zero stays unset
+    assert.equal(hammingSimilarity(bits, packSignBits([1, 1]), vector.length), 0);
+  });
+
+  test('describes a migration that shrank, grew or kept the embedding storage', () => {
+    const mb = 1024 * 1024;
+    assert.equal(describeStorageChange({ bytesBefore: 4 * mb, bytesSaved: 3 * mb }), 'reduced by 3.00 MB (75.0%)');
+    assert.equal(describeStorageChange({ bytesBefore: 4 * mb, bytesSaved: -mb }), 'increased by 1.00 MB (25.0%)');
+    assert.equal(describeStorageChange({ bytesBefore: 4 * mb, bytesSaved: 0 }), 'unchanged');
+  });
+});
@@ -0,0 +1,107 @@
+// ==========================================
+// FileVectorStore Tests
+// ==========================================
+// Persistence of projects across store instances
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FileVectorStore } from '../utils/vector-store/filevs.js';
+
+describe('FileVectorStore', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-mcp-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  const docs = [
+    { projectId: 'app', filePath: 'a.js', content: 'alpha', embedding: [1, 0, 0], metadata: { lastModified: new Date(1000), startLine: 1, endLine: 1 } },
+    { projectId: 'app', filePath: 'b.js', content: 'beta', embedding: [0, 1, 0], metadata: { startLine: 1, endLine: 1 } }
+  ];
+
+  test('flush persists chunks, embeddings and metadata for a new instance', async () => {
+    const store = new FileVectorStore({ dataDir });
+    await store.addDocuments(docs);
+    await store.setProjectTags('app', ['demo']);
+    await store.flush();
+
+    const reopened = new FileVectorStore({ dataDir });
+    const page = await reopened.search([0, 1, 0], 1, 'app');
+    assert.equal(page.results[0].filePath, 'b.js');
+    assert.ok(Math.abs(page.results[0].score - 1) < 1e-6);
+
+    const [project] = await reopened.getProjects();
+    assert.deepEqual(project.tags, ['demo']);
+    assert.ok(project.createdAt instanceof Date);
+
+    const files = await reopened.getExistingFiles('app');
+    assert.deepEqual(files['a.js'].lastModified, new Date(1000));
+  });
+
+  test('saveProjectMetadata writes pending chunk changes immediately', async () => {
+    const store = new FileVectorStore({ dataDir });
+    await store.addDocuments(docs);
+    await store.saveProjectMetadata('app', '/code/app');
+
+    const reopened = new FileVectorStore({ dataDir });
+    assert.equal((await reopened.getProjectStats('app')).totalDocuments, 2);
+  });
+
+  test('reloads a project another instance rewrote', async () => {
+    const writer = new FileVectorStore({ dataDir });
+    const reader = new FileVectorStore({ dataDir });
+    await writer.addDocuments(docs);
+    await writer.saveProjectMetadata('app', '/code/app');
+    assert.equal((await reader.getProjectStats('app')).totalDocuments, 2);
+
+    // Ensure a different modification time on coarse-grained filesystems
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await writer.removeFileChunks('app', 'a.js');
+    await writer.saveProjectMetadata('app', '/code/app');
+    assert.equal((await reader.getProjectStats('app')).totalDocuments, 1);
+  });
+
+  test('drops vectors that do not match the chunk records and flags them for repair', async () => {
+    const store = new FileVectorStore({ dataDir });
+    await store.addDocuments(docs);
+    await store.flush();
+    // Crash after the vectors of a larger project were moved into place, before its records
+    await fs.writeFile(path.join(dataDir, 'app', 'embeddings.bin'), Buffer.from(new Float32Array(9).buffer));
+
+    const reopened = new FileVectorStore({ dataDir });
+    assert.equal((await reopened.getProjectStats('app')).fallbackDocuments, 2);
+    assert.deepEqual((await reopened.search([1, 0, 0], 2, 'app')).results, []);
+    assert.deepEqual((await reopened.getChunkBatch('app', null, 10, { embeddingSource: 'fallback' })).map(chunk => chunk.content).sort(), ['alpha', 'beta']);
+  });
+
+  test('runs overlapping saves of a project one after another', async () => {
+    const store = new FileVectorStore({ dataDir });
+    await store.addDocuments(docs);
+
+    await Promise.all([store.flush(), store.setProjectTags('app', ['demo']), store.saveProjectMetadata('app', '/code/app')]);
+
+    const reopened = new FileVectorStore({ dataDir });
+    const [project] = await reopened.getProjects();
+    assert.deepEqual(project.tags, ['demo']);
+    assert.equal(project.directoryPath, '/code/app');
+    assert.equal((await reopened.getProjectStats('app')).fallbackDocuments, 0);
+    assert.deepEqual((await fs.readdir(path.join(dataDir, 'app'))).sort(), ['chunks.json', 'embeddings.bin']);
+  });
+
+  test('deleteProject removes the project directory', async () => {
+    const store = new FileVectorStore({ dataDir });
+    await store.addDocuments(docs);
+    await store.flush();
+
+    assert.equal(await store.deleteProject('app'), 2);
+    assert.deepEqual(await fs.readdir(dataDir), []);
+    assert.deepEqual(await store.getProjects(), []);
+  });
+});
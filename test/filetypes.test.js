@@ -0,0 +1,104 @@
+// ==========================================
+// File Type Detection Tests
+// ==========================================
+// Extension lists, content sniffing and the skipped files reported by the indexer
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { extensionSkipReason, inspectContent, normalizeExtensions } from '../utils/indexer/filetypes.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { StubEmbedding, createProjectDir, writeFiles } from './helpers.js';
+
+describe('extensionSkipReason', () => {
+  test('indexes known text extensions and extensionless files', () => {
+    for (const file of ['infra/main.tf', 'api/service.proto', 'schema.graphql', 'build.gradle', 'lib/util.mjs', 'Makefile']) {
+      assert.equal(extensionSkipReason(file), null, file);
+    }
+    assert.equal(extensionSkipReason('assets/logo.png'), 'unsupportedExtension');
+  });
+
+  test('applies the project include and exclude lists', () => {
+    const fileTypes = { includeExtensions: ['.bicep', '.json'], excludeExtensions: ['.json'] };
+    assert.equal(extensionSkipReason('main.bicep', fileTypes), null);
+    assert.equal(extensionSkipReason('data/Fixtures.JSON', fileTypes), 'excludedExtension');
+    assert.deepEqual(normalizeExtensions(['tf', ' .Proto ', '.tf'], 'includeExtensions'), ['.tf', '.proto']);
+    assert.throws(() => normalizeExtensions(['*.tf'], 'includeExtensions'), /includeExtensions must be an array of file extensions/);
+    assert.throws(() => normalizeExtensions('.tf', 'excludeExtensions'), /excludeExtensions must be an array/);
+  });
+});
+
+describe('inspectContent', () => {
+  test('rejects binary data and text that is not UTF-8', () => {
+    assert.equal(inspectContent(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x00, 0x00])).reason, 'binary');
+    assert.equal(inspectContent(Buffer.from('\uFEFFhello', 'utf16le')).reason, 'encoding');
+    assert.equal(inspectContent(Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a])).reason, 'encoding'); // Latin-1 "café"
+
+    const { content, reason } = inspectContent(Buffer.from('\uFEFFconst café = 1;\n'));
+    assert.equal(reason, null);
+    assert.equal(content, '\uFEFFconst café = 1;\n');
+  });
+
+  test('recognizes minified code by its line lengths', () => {
+    const minified = `!function(){${'var a=1;'.repeat(800)}}();`;
+    assert.equal(inspectContent(Buffer.from(minified)).reason, 'minified');
+
+    const prose = Array.from({ length: 10 }, () => `${'A long paragraph of prose. '.repeat(30)}\n`).join('\n');
+    assert.equal(inspectContent(Buffer.from(prose)).reason, null);
+  });
+
+  test('recognizes generated files by their markers', () => {
+    for (const content of [
+      '// Code generated by protoc-gen-go. DO NOT EDIT.\npackage api\n',
+      '/**\n * @generated\n */\nexport const schema = {};\n',
+      '# This file was automatically generated by SWIG.\n',
+      'export const a = 1;\n//# sourceMappingURL=a.js.map\n'
+    ]) {
+      assert.equal(inspectContent(Buffer.from(content)).reason, 'generated', content);
+    }
+    const handWritten = '// Ids are auto-generated by the database\nexport const id = null;\n';
+    assert.equal(inspectContent(Buffer.from(handWritten)).reason, null);
+  });
+});
+
+describe('FileIndexer file type detection', () => {
+  let dir;
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('reports skipped files with their reason and drops files that became generated', async () => {
+    dir = await createProjectDir({
+      'src/app.js': 'export const app = 1;\n',
+      'src/schema.js': 'export const schema = {};\n',
+      'infra/main.tf': 'resource "null_resource" "demo" {}\n',
+      'assets/logo.png': 'png',
+      'tools/run': 'echo run\n'
+    });
+    await fs.outputFile(path.join(dir, 'tools/helper'), Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x00, 0x01]));
+    const store = new MemoryVectorStore();
+    await store.setProjectSettings('demo', { excludeExtensions: ['.tf'] });
+    const indexer = new FileIndexer(new StubEmbedding(), store);
+
+    const result = await indexer.indexDirectory(dir, 'demo');
+    assert.equal(result.filesProcessed, 3);
+    assert.deepEqual(result.skippedFiles, {
+      total: 3,
+      reasons: { unsupportedExtension: 1, excludedExtension: 1, binary: 1 },
+      files: [
+        { file: 'assets/logo.png', reason: 'unsupportedExtension' },
+        { file: 'infra/main.tf', reason: 'excludedExtension' },
+        { file: 'tools/helper', reason: 'binary' }
+      ]
+    });
+
+    await writeFiles(dir, { 'src/schema.js': '// @generated by schema-gen\nexport const schema = {};\n' });
+    const delta = await indexer.indexDirectory(dir, 'demo', [], true);
+    assert.equal(delta.skippedFiles.reasons.generated, 1);
+    assert.equal(delta.deltaStats.deleted, 1);
+    assert.deepEqual((await store.getProjectStats('demo')).files.sort(), ['src/app.js', 'tools/run']);
+  });
+});
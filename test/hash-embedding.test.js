@@ -0,0 +1,72 @@
+// ==========================================
+// LexicalHashEmbedding Tests
+// ==========================================
+// Offline embeddings: determinism, identifier splitting and useful similarity for code
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { LexicalHashEmbedding, splitIdentifier } from '../utils/vector-store/hashing.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { createProjectDir } from './helpers.js';
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector
+ * @returns {number} Dot product
+ */
+function similarity(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+describe('LexicalHashEmbedding', () => {
+  test('splits identifiers on camelCase, snake_case and digits', () => {
+    assert.deepEqual(splitIdentifier('parseHTTPResponse'), ['parse', 'http', 'response']);
+    assert.deepEqual(splitIdentifier('max_retry_count'), ['max', 'retry', 'count']);
+    assert.deepEqual(splitIdentifier('utf8Decode'), ['utf', '8', 'decode']);
+  });
+
+  test('returns deterministic unit vectors of the configured size', async () => {
+    const provider = new LexicalHashEmbedding({ dimensions: 256 });
+    const first = await provider.getEmbedding('function retryRequest() {}', { allowFallback: false });
+    const second = await new LexicalHashEmbedding({ dimensions: 256 }).getEmbedding('function retryRequest() {}');
+
+    assert.equal(first.length, 256);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(similarity(first, first) - 1) < 1e-9);
+    assert.equal((await provider.checkHealth()).status, 'connected');
+  });
+
+  test('relates queries to code through identifier parts', async () => {
+    const provider = new LexicalHashEmbedding();
+    const [retry, parser] = await provider.embed([
+      'async function retryWithBackoff(request, maxRetries) { await sleep(delayMs); }',
+      'export function parseJsonConfig(path) { return JSON.parse(readFileSync(path)); }'
+    ]);
+    const query = await provider.embedQuery('retry backoff');
+
+    assert.ok(similarity(query, retry) > 0.2);
+    assert.ok(similarity(query, retry) > similarity(query, parser) + 0.2);
+  });
+
+  test('indexes and finds code without any service', async () => {
+    const dir = await createProjectDir({
+      'src/cache.js': 'export class LruCache {\n  evictLeastRecentlyUsed() {}\n}\n',
+      'src/http.js': 'export async function fetchWithTimeout(url, timeoutMs) {}\n',
+      'src/math.js': 'export function addNumbers(a, b) {\n  return a + b;\n}\n'
+    });
+    try {
+      const provider = new LexicalHashEmbedding();
+      const store = new MemoryVectorStore();
+      await new FileIndexer(provider, store).indexDirectory(dir, 'offline');
+
+      const page = await store.search(await provider.embedQuery('http timeout'), 1, 'offline');
+      assert.equal(page.results[0].filePath, 'src/http.js');
+      assert.equal((await store.getProjectMetadata('offline')).embeddingModel, 'lexical-hash-v1');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
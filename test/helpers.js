@@ -0,0 +1,355 @@
+// ==========================================
+// Test Helpers
+// ==========================================
+// Deterministic embedding stub, temporary project directories, an MCP server client and an
+// in-process MongoDB collection shared by the test suite
+
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Query, Aggregator } from 'mingo';
+import { EmbeddingUnavailableError } from '../utils/vector-store/provider.js';
+
+/**
+ * Hashed bag-of-words vector: texts sharing words get similar vectors
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} Vector
+ */
+export function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 7;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    vector[hash % dimensions] += 1;
+  }
+  return vector;
+}
+
+/**
+ * Embedding provider stub: hashed bag-of-words vectors, so texts sharing words are similar
+ * Counts calls and batches to let tests assert which chunks were (re-)embedded. Setting `failing`
+ * simulates an outage: strict calls throw, lenient calls return a fallback vector.
+ */
+export class StubEmbedding {
+  /**
+   * @param {number} [dimensions=64] - Vector size
+   * @param {string} [model='stub'] - Model name recorded in project metadata
+   */
+  constructor(dimensions = 64, model = 'stub') {
+    this.model = model;
+    this.dimensions = dimensions;
+    this.batchSize = 8;
+    this.templates = { query: '{text}', document: '{text}' };
+    this.calls = 0;
+    this.batches = 0;
+    this.failing = false;
+  }
+
+  async getEmbedding(text, options = {}) {
+    const { embedding } = await this.getEmbeddingWithSource(text, options);
+    return embedding;
+  }
+
+  async getEmbeddingWithSource(text, { allowFallback = true } = {}) {
+    if (this.failing) {
+      if (!allowFallback) throw new EmbeddingUnavailableError('stub embedding service is down', this.model);
+      return { embedding: new Array(this.dimensions).fill(0.1), source: 'fallback' };
+    }
+    this.calls++;
+    return { embedding: hashEmbedding(text, this.dimensions), source: 'model' };
+  }
+
+  async embedQuery(query, options = {}) {
+    return this.getEmbedding(query, options);
+  }
+
+  async embedDocument(text, options = {}) {
+    return this.getEmbedding(text, options);
+  }
+
+  async embedDocumentsWithSource(texts, options = {}) {
+    return this.embedWithSource(texts, options);
+  }
+
+  async embedWithSource(texts, options = {}) {
+    this.batches++;
+    return Promise.all(texts.map(text => this.getEmbeddingWithSource(text, options)));
+  }
+
+  async embed(texts, options = {}) {
+    const results = await this.embedWithSource(texts, options);
+    return results.map(result => result.embedding);
+  }
+
+  cacheNamespace() {
+    return this.model;
+  }
+}
+
+/**
+ * Creates a temporary directory populated with files
+ * @param {Object<string, string>} files - File contents by relative path
+ * @returns {Promise<string>} Directory path
+ */
+export async function createProjectDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-mcp-test-'));
+  await writeFiles(dir, files);
+  return dir;
+}
+
+/**
+ * Writes files into a directory, bumping their modification time so delta indexing sees the change
+ * @param {string} dir - Directory path
+ * @param {Object<string, string>} files - File contents by relative path
+ * @returns {Promise<void>}
+ */
+export async function writeFiles(dir, files) {
+  const later = new Date(Date.now() + 60 * 1000);
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(dir, file);
+    await fs.outputFile(target, content);
+    await fs.utimes(target, later, later);
+  }
+}
+
+/**
+ * Starts an HTTP server answering Ollama's /api/embed and /api/embeddings and the
+ * OpenAI-style /v1/embeddings endpoint with hashed vectors
+ * @param {number} [dimensions=64] - Vector size
+ * @param {Object} [options={}] - Server options
+ * @param {boolean} [options.batchEndpoint=true] - Serve /api/embed (false mimics Ollama before 0.3)
+ * @returns {Promise<Object>} { url, requests, lastRequest, setAvailable(available),
+ *   failNext(count, status) to fail the next requests, stallNext(count) to leave them unanswered, close() }
+ */
+export async function startEmbeddingServer(dimensions = 64, options = {}) {
+  const { batchEndpoint = true } = options;
+  const state = { available: true, requests: 0, lastRequest: null, failures: [], stalls: 0 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests++;
+      state.lastRequest = { url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (state.stalls > 0) {
+        // Never answer: the client's timeout has to end the request
+        state.stalls--;
+        return;
+      }
+      if (state.failures.length > 0) {
+        json(state.failures.shift(), { error: { message: 'transient failure' } });
+      } else if (!state.available) {
+        json(503, { error: { message: 'model is loading' } });
+      } else if (req.url === '/api/embed' && batchEndpoint) {
+        json(200, { model: state.lastRequest.body.model, embeddings: state.lastRequest.body.input.map(text => hashEmbedding(text, dimensions)) });
+      } else if (req.url === '/api/embeddings') {
+        json(200, { embedding: hashEmbedding(state.lastRequest.body.prompt, dimensions) });
+      } else if (req.url === '/v1/embeddings') {
+        const size = state.lastRequest.body.dimensions || dimensions;
+        const inputs = [].concat(state.lastRequest.body.input);
+        // Answer in reverse order: clients must place items by their index
+        const data = inputs.map((text, index) => ({ object: 'embedding', index, embedding: hashEmbedding(text, size) })).reverse();
+        json(200, { object: 'list', data });
+      } else {
+        json(404, { error: 'not found' });
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    get requests() { return state.requests; },
+    get lastRequest() { return state.lastRequest; },
+    setAvailable(available) { state.available = available; },
+    failNext(count, status = 500) { state.failures.push(...new Array(count).fill(status)); },
+    stallNext(count) { state.stalls += count; },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Starts mcp-server.js in a child process and speaks JSON-RPC to it over stdio
+ * The client is initialized before the returned promise resolves.
+ * @param {Object} env - Environment of the server (store, embedding provider, ...)
+ * @returns {Promise<Object>} { child, exited (promise of the exit code), callTool(name, args) resolving to the
+ *   tool result, close() to close stdin and wait for the exit code }
+ */
+export async function startMcpServer(env) {
+  const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+  const child = spawn(process.execPath, ['mcp-server.js'], { cwd: root, env, stdio: ['pipe', 'pipe', 'ignore'] });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+  const responses = new Map();
+  let buffer = '';
+  let nextId = 1;
+  child.stdout.on('data', data => {
+    buffer += data;
+    for (let end = buffer.indexOf('\n'); end >= 0; end = buffer.indexOf('\n')) {
+      const message = JSON.parse(buffer.slice(0, end));
+      buffer = buffer.slice(end + 1);
+      responses.get(message.id)?.(message);
+    }
+  });
+  const call = (method, params) => new Promise(resolve => {
+    const id = nextId++;
+    responses.set(id, resolve);
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+  });
+
+  await call('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } });
+  child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+
+  return {
+    child,
+    exited,
+    callTool: async (name, args) => (await call('tools/call', { name, arguments: args })).result,
+    close: () => {
+      child.stdin.end();
+      return exited;
+    }
+  };
+}
+
+/**
+ * In-process stand-in for a MongoDB collection, enough to run MongoVectorStore without a server
+ * Queries, projections and aggregation pipelines are evaluated by mingo, so the pipelines the
+ * store builds are executed for real. Every aggregation is recorded in `pipelines`; Atlas
+ * $vectorSearch cannot be evaluated, so it answers with `vectorSearchResults`.
+ */
+export class FakeCollection {
+  /**
+   * @param {FakeDb} db - Database the collection belongs to
+   */
+  constructor(db) {
+    this.db = db;
+    this.docs = [];
+    this.pipelines = [];
+    this.finds = [];
+    /** @type {Object[]|null} Search indexes listed by listSearchIndexes (null mimics a self-hosted server) */
+    this.searchIndexes = null;
+    this.vectorSearchResults = [];
+  }
+
+  find(filter = {}, { projection } = {}) {
+    this.finds.push(filter);
+    const cursor = new Query(filter).find(this.docs, projection);
+    const wrapper = {
+      sort: spec => { cursor.sort(spec); return wrapper; },
+      limit: count => { cursor.limit(count); return wrapper; },
+      toArray: async () => cursor.all(),
+      async *[Symbol.asyncIterator]() { yield* cursor.all(); }
+    };
+    return wrapper;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options).limit(1).toArray();
+    return doc ?? null;
+  }
+
+  aggregate(pipeline) {
+    this.pipelines.push(pipeline);
+    const results = pipeline[0].$vectorSearch ? this.vectorSearchResults : new Aggregator(pipeline).run(this.docs);
+    return { toArray: async () => results };
+  }
+
+  async countDocuments(filter = {}) {
+    return new Query(filter).find(this.docs).all().length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter = {}) {
+    return [...new Set(new Query(filter).find(this.docs).all().map(doc => doc[field]).filter(value => value !== undefined))];
+  }
+
+  async insertMany(docs) {
+    this.docs.push(...docs);
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = await this.findOne(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    } else if (upsert) {
+      const inserted = Object.fromEntries(Object.entries(filter).filter(([, value]) => typeof value !== 'object'));
+      applyUpdate(inserted, { ...update, $set: { ...update.$setOnInsert, ...update.$set } });
+      this.docs.push(inserted);
+    }
+  }
+
+  async updateMany(filter, update) {
+    new Query(filter).find(this.docs).all().forEach(doc => applyUpdate(doc, update));
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const doc = await this.findOne(filter);
+    if (doc) this.docs[this.docs.indexOf(doc)] = { _id: doc._id, ...replacement };
+    else if (upsert) this.docs.push({ ...filter, ...replacement });
+  }
+
+  async deleteMany(filter) {
+    const removed = new Set(new Query(filter).find(this.docs).all());
+    this.docs = this.docs.filter(doc => !removed.has(doc));
+    return { deletedCount: removed.size };
+  }
+
+  async deleteOne(filter) {
+    const doc = await this.findOne(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      if (operation.updateOne) await this.updateOne(operation.updateOne.filter, operation.updateOne.update);
+      if (operation.replaceOne) await this.replaceOne(operation.replaceOne.filter, operation.replaceOne.replacement, operation.replaceOne);
+    }
+  }
+
+  listSearchIndexes() {
+    return {
+      toArray: async () => {
+        if (!this.searchIndexes) throw new Error('$listSearchIndexes is not allowed or the syntax is incorrect');
+        return this.searchIndexes;
+      }
+    };
+  }
+}
+
+/**
+ * Database holding FakeCollection instances by name
+ */
+export class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this));
+    return this.collections.get(name);
+  }
+}
+
+/**
+ * Applies the $set and $unset parts of an update to a document in place
+ * @param {Object} doc - Document
+ * @param {Object} update - Update with $set and/or $unset (top-level fields only)
+ */
+function applyUpdate(doc, { $set = {}, $unset = {} }) {
+  Object.assign(doc, $set);
+  Object.keys($unset).forEach(field => delete doc[field]);
+}
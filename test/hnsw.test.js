@@ -0,0 +1,140 @@
+// ==========================================
+// HNSW Index Tests
+// ==========================================
+// Recall against brute force, removals, filters and persistence of the graph
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HnswIndex } from '../utils/vector-store/hnsw.js';
+import { cosineSimilarity } from '../utils/vector-store/ranking.js';
+
+const DIMENSIONS = 16;
+
+/**
+ * Deterministic pseudo-random vectors
+ * @param {number} count - Number of vectors
+ * @param {number} seed - Seed
+ * @returns {number[][]} Vectors with components in [-1, 1)
+ */
+function randomVectors(count, seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, next));
+}
+
+/**
+ * Builds an index over vectors with IDs "0", "1", ...
+ * @param {number[][]} vectors - Vectors
+ * @returns {HnswIndex} Index
+ */
+function buildIndex(vectors) {
+  const index = new HnswIndex({ dimensions: DIMENSIONS });
+  vectors.forEach((vector, i) => index.add(String(i), vector));
+  return index;
+}
+
+/**
+ * IDs of the K most similar vectors by brute force
+ * @param {number[][]} vectors - Vectors with IDs "0", "1", ...
+ * @param {number[]} query - Query vector
+ * @param {number} k - Number of results
+ * @param {Function} [filter] - Predicate on IDs
+ * @returns {string[]} IDs, best first
+ */
+function bruteForce(vectors, query, k, filter = () => true) {
+  return vectors
+    .map((vector, i) => ({ id: String(i), score: cosineSimilarity(query, vector) }))
+    .filter(hit => filter(hit.id))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(hit => hit.id);
+}
+
+/**
+ * Average fraction of the exact top-K found by the index
+ * @param {HnswIndex} index - Index
+ * @param {number[][]} vectors - Indexed vectors
+ * @param {number[][]} queries - Query vectors
+ * @param {number} k - Number of results
+ * @param {Function} [filter] - Predicate on IDs
+ * @returns {number} Recall@k between 0 and 1
+ */
+function recallAtK(index, vectors, queries, k, filter) {
+  let found = 0;
+  for (const query of queries) {
+    const expected = new Set(bruteForce(vectors, query, k, filter));
+    found += index.search(query, k, 64, filter).filter(hit => expected.has(hit.id)).length;
+  }
+  return found / (queries.length * k);
+}
+
+describe('HnswIndex', () => {
+  const vectors = randomVectors(500, 42);
+  const queries = randomVectors(20, 7);
+
+  test('finds nearly the same top-K as brute force', () => {
+    const index = buildIndex(vectors);
+
+    assert.equal(index.size, 500);
+    assert.ok(recallAtK(index, vectors, queries, 10) >= 0.9);
+
+    const [best] = index.search(vectors[123], 1);
+    assert.equal(best.id, '123');
+    assert.ok(Math.abs(best.score - 1) < 1e-6);
+  });
+
+  test('restricts results to IDs accepted by a filter', () => {
+    const index = buildIndex(vectors);
+    const even = id => Number(id) % 2 === 0;
+
+    const hits = index.search(queries[0], 10, 64, even);
+
+    assert.equal(hits.length, 10);
+    assert.ok(hits.every(hit => even(hit.id)));
+    assert.ok(recallAtK(index, vectors, queries, 10, even) >= 0.9);
+  });
+
+  test('stays navigable after removing vectors, including the entry point', () => {
+    const index = buildIndex(vectors);
+    const removed = new Set([String(index.nodes[index.entryPoint].id)]);
+    for (let i = 0; i < 500; i += 3) removed.add(String(i));
+
+    for (const id of removed) assert.equal(index.remove(id), true);
+    assert.equal(index.remove('0'), false);
+
+    const kept = id => !removed.has(id);
+    assert.equal(index.size, 500 - removed.size);
+    assert.ok(queries.every(query => index.search(query, 10).every(hit => kept(hit.id))));
+    assert.ok(recallAtK(index, vectors, queries, 10, kept) >= 0.9);
+  });
+
+  test('round-trips through JSON with the same search results', () => {
+    const index = buildIndex(vectors);
+    for (let i = 0; i < 50; i++) index.remove(String(i));
+    const byId = new Map(vectors.map((vector, i) => [String(i), vector]));
+
+    const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index)), byId);
+
+    assert.equal(restored.size, 450);
+    for (const query of queries) {
+      assert.deepEqual(restored.search(query, 10), index.search(query, 10));
+    }
+    restored.add('new', queries[0]);
+    assert.equal(restored.search(queries[0], 1)[0].id, 'new');
+  });
+
+  test('refuses to restore a graph whose vectors are missing or resized', () => {
+    const index = buildIndex(vectors.slice(0, 20));
+    const data = JSON.parse(JSON.stringify(index));
+    const byId = new Map(vectors.slice(0, 20).map((vector, i) => [String(i), vector]));
+
+    byId.delete('5');
+    assert.equal(HnswIndex.fromJSON(data, byId), null);
+    byId.set('5', [1, 2, 3]);
+    assert.equal(HnswIndex.fromJSON(data, byId), null);
+    assert.equal(HnswIndex.fromJSON({ ...data, version: 2 }, byId), null);
+  });
+});
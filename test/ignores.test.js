@@ -0,0 +1,122 @@
+// ==========================================
+// Ignore File Tests
+// ==========================================
+// Nested .gitignore semantics, .vectorignore and the indexer's opt-out
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { loadIgnoreFiles, createIgnoreFilter } from '../utils/indexer/ignores.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { StubEmbedding, createProjectDir } from './helpers.js';
+
+/**
+ * Builds an ignore filter from ignore file contents
+ * @param {Object<string, string>} files - Ignore file contents by path
+ * @returns {Function} Filter from createIgnoreFilter
+ */
+function filterOf(files) {
+  return createIgnoreFilter(Object.entries(files).map(([file, content]) => {
+    const directory = file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : '';
+    return { file, directory, patterns: content.split('\n').filter(Boolean) };
+  }));
+}
+
+describe('createIgnoreFilter', () => {
+  test('applies a nested .gitignore relative to its own directory', () => {
+    const isIgnored = filterOf({ 'packages/api/.gitignore': '/generated\n*.gen.ts' });
+
+    assert.equal(isIgnored('packages/api/generated/client.ts'), true);
+    assert.equal(isIgnored('packages/api/src/types.gen.ts'), true);
+    assert.equal(isIgnored('generated/client.ts'), false);
+    assert.equal(isIgnored('packages/web/src/types.gen.ts'), false);
+  });
+
+  test('lets deeper files re-include what a parent excludes', () => {
+    const isIgnored = filterOf({ '.gitignore': '*.json', 'config/.gitignore': '!defaults.json' });
+
+    assert.equal(isIgnored('data.json'), true);
+    assert.equal(isIgnored('config/local.json'), true);
+    assert.equal(isIgnored('config/defaults.json'), false);
+  });
+
+  test('never re-includes files inside an ignored directory', () => {
+    const isIgnored = filterOf({ '.gitignore': 'out/\n!out/keep.js', 'out/.gitignore': '!*.js' });
+
+    assert.equal(isIgnored('out/keep.js'), true);
+    assert.equal(isIgnored('out/nested/file.js'), true);
+    assert.equal(isIgnored('src/out.js'), false);
+  });
+
+  test('lets .vectorignore re-include what .gitignore excludes', () => {
+    const isIgnored = filterOf({ '.gitignore': 'vendor/\n*.md', '.vectorignore': '!vendor/\nfixtures/' });
+
+    assert.equal(isIgnored('vendor/lib.js'), false);
+    assert.equal(isIgnored('README.md'), true);
+    assert.equal(isIgnored('test/fixtures/large.json'), true);
+  });
+});
+
+describe('FileIndexer with ignore files', () => {
+  let dir;
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('reads every .gitignore and the .vectorignore, skipping comments', async () => {
+    dir = await createProjectDir({
+      '.gitignore': '# Build output\ntmp/\n\n',
+      'src/.gitignore': 'schema.gen.js\n',
+      'node_modules/dep/.gitignore': 'index.js\n',
+      '.vectorignore': 'docs/\n'
+    });
+
+    const sources = await loadIgnoreFiles(dir, { excludes: ['node_modules/**'] });
+    assert.deepEqual(sources, [
+      { file: '.gitignore', directory: '', patterns: ['tmp/'] },
+      { file: 'src/.gitignore', directory: 'src', patterns: ['schema.gen.js'] },
+      { file: '.vectorignore', directory: '', patterns: ['docs/'] }
+    ]);
+    assert.deepEqual((await loadIgnoreFiles(dir, { useGitignore: false })).map(source => source.file), ['.vectorignore']);
+  });
+
+  test('leaves ignored files out of the index and logs the rules', async () => {
+    dir = await createProjectDir({
+      '.gitignore': 'tmp/\n',
+      'src/.gitignore': 'schema.gen.js\n',
+      '.vectorignore': 'docs/\n',
+      'src/app.js': 'export const app = 1;\n',
+      'src/schema.gen.js': 'export const schema = {};\n',
+      'tmp/cache.js': 'export const cache = 1;\n',
+      'docs/guide.md': '# Guide\n'
+    });
+    const store = new MemoryVectorStore();
+    const indexer = new FileIndexer(new StubEmbedding(), store);
+    const messages = [];
+    indexer.jobManager = { addJobLog: (jobId, message) => messages.push(message), updateProgress: () => {} };
+
+    const result = await indexer.indexDirectory(dir, 'demo', [], false, 'job-1');
+
+    assert.equal(result.filesProcessed, 1);
+    assert.deepEqual((await store.getProjectStats('demo')).files, ['src/app.js']);
+    assert.ok(messages.includes('Ignore rules from src/.gitignore: schema.gen.js'));
+    assert.ok(messages.includes('Ignored 3 files matched by ignore files'));
+  });
+
+  test('projects can opt out of .gitignore files', async () => {
+    dir = await createProjectDir({
+      '.gitignore': 'generated/\n',
+      'generated/api.js': 'export const api = 1;\n',
+      'src/app.js': 'export const app = 1;\n'
+    });
+    const store = new MemoryVectorStore();
+    await store.setProjectSettings('demo', { useGitignore: false });
+
+    const result = await new FileIndexer(new StubEmbedding(), store).indexDirectory(dir, 'demo');
+
+    assert.equal(result.filesProcessed, 2);
+    assert.equal((await store.getProjects())[0].useGitignore, false);
+  });
+});
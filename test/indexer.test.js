@@ -0,0 +1,156 @@
+// ==========================================
+// FileIndexer Tests
+// ==========================================
+// Full and delta indexing against the in-memory store
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { stitchChunks } from '../utils/vector-store/context.js';
+import { StubEmbedding, createProjectDir, writeFiles } from './helpers.js';
+
+describe('FileIndexer.indexDirectory', () => {
+  let dir;
+  let store;
+  let embedding;
+  let indexer;
+
+  beforeEach(async () => {
+    dir = await createProjectDir({
+      'src/math.js': 'export function add(a, b) {\n  return a + b;\n}\n',
+      'src/strings.js': 'export function shout(text) {\n  return text.toUpperCase();\n}\n',
+      'README.md': '# Example\n\nA tiny project.\n',
+      'node_modules/dep/index.js': 'module.exports = 1;\n',
+      'logo.png': 'not really a png'
+    });
+    store = new MemoryVectorStore();
+    embedding = new StubEmbedding();
+    indexer = new FileIndexer(embedding, store);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('indexes text files and skips default excludes', async () => {
+    const result = await indexer.indexDirectory(dir, 'demo');
+
+    assert.equal(result.success, true);
+    assert.equal(result.filesProcessed, 3);
+    assert.equal(result.chunksIndexed, 3);
+
+    const stats = await store.getProjectStats('demo');
+    assert.deepEqual([...stats.files].sort(), ['README.md', 'src/math.js', 'src/strings.js']);
+  });
+
+  test('stores chunk metadata used by delta indexing', async () => {
+    await indexer.indexDirectory(dir, 'demo');
+
+    const existing = await store.getExistingFiles('demo');
+    const math = existing['src/math.js'];
+    assert.equal(math.fileSize, 'export function add(a, b) {\n  return a + b;\n}\n'.length);
+    assert.match(math.contentHash, /^[a-f0-9]+$/);
+    assert.ok(math.lastModified instanceof Date);
+  });
+
+  test('saves project metadata with the indexed directory', async () => {
+    await indexer.indexDirectory(dir, 'demo', ['docs/**']);
+
+    const metadata = await store.getProjectMetadata('demo');
+    assert.equal(metadata.directoryPath, dir);
+    assert.deepEqual(metadata.excludePatterns, ['docs/**']);
+    assert.ok(metadata.lastIndexed instanceof Date);
+  });
+
+  test('a full run of an indexed project replaces its chunks', async () => {
+    await indexer.indexDirectory(dir, 'demo');
+    await fs.remove(path.join(dir, 'README.md'));
+
+    const result = await indexer.indexDirectory(dir, 'demo');
+
+    assert.equal(result.chunksIndexed, 2);
+    const stats = await store.getProjectStats('demo');
+    assert.equal(stats.totalDocuments, 2);
+    assert.deepEqual([...stats.files].sort(), ['src/math.js', 'src/strings.js']);
+    const page = await store.search(null, 5, 'demo', { mode: 'lexical', query: 'shout' });
+    assert.equal(page.total, 1);
+  });
+
+  test('delta run skips unchanged files without re-embedding', async () => {
+    await indexer.indexDirectory(dir, 'demo');
+    const callsAfterFullIndex = embedding.calls;
+
+    const result = await indexer.indexDirectory(dir, 'demo', [], true);
+
+    assert.deepEqual(result.deltaStats, { skipped: 3, updated: 0, added: 0, deleted: 0, rechunked: 0, total: 3 });
+    assert.equal(result.chunksIndexed, 0);
+    assert.equal(embedding.calls, callsAfterFullIndex);
+  });
+
+  test('delta run re-indexes modified files, adds new ones and drops deleted ones', async () => {
+    await indexer.indexDirectory(dir, 'demo');
+
+    await writeFiles(dir, {
+      'src/math.js': 'export function multiply(a, b) {\n  return a * b;\n}\n',
+      'src/dates.js': 'export const now = () => new Date();\n'
+    });
+    await fs.remove(path.join(dir, 'README.md'));
+
+    const result = await indexer.indexDirectory(dir, 'demo', [], true);
+
+    assert.deepEqual(result.deltaStats, { skipped: 1, updated: 1, added: 1, deleted: 1, rechunked: 0, total: 3 });
+
+    const stats = await store.getProjectStats('demo');
+    assert.deepEqual([...stats.files].sort(), ['src/dates.js', 'src/math.js', 'src/strings.js']);
+    assert.equal(stats.totalDocuments, 3);
+
+    const page = await store.search(null, 5, 'demo', { mode: 'lexical', query: 'multiply' });
+    assert.equal(page.results[0].filePath, 'src/math.js');
+    assert.match(page.results[0].content, /multiply/);
+  });
+
+  test('splits large files into overlapping chunks with line ranges', async () => {
+    const lines = Array.from({ length: 400 }, (_, i) => `const value${i} = ${i};`);
+    await writeFiles(dir, { 'src/big.js': lines.join('\n') });
+
+    await indexer.indexDirectory(dir, 'demo');
+
+    const chunks = await store.loadChunks('demo', 'src/big.js', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].metadata.startLine, 1);
+    assert.equal(chunks[chunks.length - 1].metadata.endLine, 400);
+    assert.ok(chunks.every(chunk => chunk.totalChunks === chunks.length));
+  });
+
+  test('delta run re-chunks unchanged files when the chunking settings change', async () => {
+    await indexer.indexDirectory(dir, 'demo');
+    await store.setProjectSettings('demo', { chunking: { chunkSize: 1000, overlapLines: 0, overlapChars: 0, headerTemplate: '# {file} ({startLine}-{endLine})' } });
+
+    const result = await indexer.indexDirectory(dir, 'demo', [], true);
+    assert.deepEqual(result.deltaStats, { skipped: 0, updated: 0, added: 0, deleted: 0, rechunked: 3, total: 3 });
+
+    const [chunk] = await store.loadChunks('demo', 'src/math.js', [0]);
+    assert.equal(chunk.content, '# src/math.js (1-3)\n\nexport function add(a, b) {\n  return a + b;\n}\n');
+    assert.deepEqual(stitchChunks([chunk]).content, 'export function add(a, b) {\n  return a + b;\n}');
+
+    const again = await indexer.indexDirectory(dir, 'demo', [], true);
+    assert.equal(again.deltaStats.skipped, 3);
+    assert.equal(again.deltaStats.rechunked, 0);
+  });
+
+  test('overlapping chunks stitch back into the original lines', async () => {
+    const lines = Array.from({ length: 400 }, (_, i) => `const value${i} = ${i};`);
+    await writeFiles(dir, { 'src/big.js': lines.join('\n') });
+    await store.setProjectSettings('demo', { chunking: { chunkSize: 1000, overlapLines: 5, overlapChars: 0, headerTemplate: '{file}' } });
+
+    await indexer.indexDirectory(dir, 'demo');
+
+    const chunks = await store.loadChunks('demo', 'src/big.js', Array.from({ length: 20 }, (_, i) => i));
+    assert.ok(chunks.length > 2);
+    chunks.slice(1).forEach((chunk, i) => assert.equal(chunk.metadata.startLine, chunks[i].metadata.endLine - 4));
+    assert.equal(stitchChunks(chunks).content, lines.join('\n'));
+  });
+});
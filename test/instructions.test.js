@@ -0,0 +1,92 @@
+// ==========================================
+// Embedding Instruction Tests
+// ==========================================
+// Query/document templates per model, recorded per project and applied on every path
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { OllamaEmbedding } from '../utils/vector-store/embeddings.js';
+import { defaultTemplates } from '../utils/vector-store/instructions.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { createProjectDir, writeFiles, startEmbeddingServer } from './helpers.js';
+
+describe('defaultTemplates', () => {
+  test('knows the prefixes of common retrieval models', () => {
+    assert.deepEqual(defaultTemplates('nomic-embed-text:latest'), { query: 'search_query: {text}', document: 'search_document: {text}' });
+    assert.deepEqual(defaultTemplates('intfloat/multilingual-e5-large'), { query: 'query: {text}', document: 'passage: {text}' });
+    assert.match(defaultTemplates('mxbai-embed-large').query, /^Represent this sentence/);
+    assert.deepEqual(defaultTemplates('llama2'), { query: '{text}', document: '{text}' });
+  });
+
+  test('providers accept overrides and reject templates without a placeholder', () => {
+    const provider = new OllamaEmbedding('nomic-embed-text', { queryTemplate: 'Q: {text}' });
+    assert.deepEqual(provider.templates, { query: 'Q: {text}', document: 'search_document: {text}' });
+    assert.throws(() => new OllamaEmbedding('llama2', { documentTemplate: 'passage: ' }), /must contain the \{text\} placeholder/);
+  });
+});
+
+describe('query and document templates', () => {
+  let server;
+  let dir;
+  let store;
+  let provider;
+
+  beforeEach(async () => {
+    server = await startEmbeddingServer();
+    dir = await createProjectDir({ 'src/math.js': 'export function add(a, b) {\n  return a + b;\n}\n' });
+    store = new MemoryVectorStore();
+    provider = new OllamaEmbedding('nomic-embed-text');
+    provider.baseUrl = server.url;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await fs.remove(dir);
+  });
+
+  test('indexing wraps chunks in the document template and records the templates', async () => {
+    await new FileIndexer(provider, store).indexDirectory(dir, 'app');
+
+    assert.match(server.lastRequest.body.input[0], /^search_document: File: src\/math\.js/);
+    const metadata = await store.getProjectMetadata('app');
+    assert.deepEqual(metadata.embeddingTemplates, provider.templates);
+
+    const template = await store.getQueryTemplate('app');
+    await provider.embedQuery('add numbers', { template });
+    assert.deepEqual(server.lastRequest.body.input, ['search_query: add numbers']);
+  });
+
+  test('projects indexed without templates keep embedding plain texts', async () => {
+    await new FileIndexer(provider, store).indexDirectory(dir, 'app');
+    delete store.projects.get('app').metadata.embeddingTemplates;
+
+    await writeFiles(dir, { 'src/more.js': 'export const two = 2;\n' });
+    await new FileIndexer(provider, store).indexDirectory(dir, 'app', [], true);
+
+    assert.match(server.lastRequest.body.input[0], /^File: src\/more\.js/);
+    assert.equal(await store.getQueryTemplate('app'), '{text}');
+  });
+
+  test('searches across projects with different templates use the provider template', async () => {
+    await new FileIndexer(provider, store).indexDirectory(dir, 'nomic');
+    const plain = new OllamaEmbedding('nomic-embed-text', { queryTemplate: '{text}', documentTemplate: '{text}' });
+    plain.baseUrl = server.url;
+    await new FileIndexer(plain, store).indexDirectory(dir, 'plain');
+
+    assert.equal(await store.getQueryTemplate(['nomic', 'plain']), null);
+    assert.equal(await store.getQueryTemplate('plain'), '{text}');
+  });
+
+  test('re-embedding adopts the provider templates', async () => {
+    const plain = new OllamaEmbedding('nomic-embed-text', { queryTemplate: '{text}', documentTemplate: '{text}' });
+    plain.baseUrl = server.url;
+    await new FileIndexer(plain, store).indexDirectory(dir, 'app');
+
+    await store.reembedProject('app', provider);
+
+    assert.match(server.lastRequest.body.input[0], /^search_document: /);
+    assert.equal(await store.getQueryTemplate('app'), 'search_query: {text}');
+  });
+});
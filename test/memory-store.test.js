@@ -0,0 +1,354 @@
+// ==========================================
+// MemoryVectorStore Tests
+// ==========================================
+// Storage contract shared with MongoVectorStore and the search pipeline in store.js
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { StubEmbedding } from './helpers.js';
+
+const embedding = new StubEmbedding();
+
+/**
+ * Builds a stored chunk for a snippet of code
+ * @param {string} projectId - Project ID
+ * @param {string} filePath - File path
+ * @param {string} content - Chunk content
+ * @param {Object} [extra={}] - Overrides (chunkIndex, totalChunks, metadata)
+ * @returns {Promise<Object>} Document for addDocuments()
+ */
+async function chunk(projectId, filePath, content, extra = {}) {
+  return {
+    projectId,
+    filePath,
+    content,
+    embedding: await embedding.getEmbedding(content),
+    chunkIndex: 0,
+    totalChunks: 1,
+    ...extra,
+    metadata: { fileType: filePath.slice(filePath.lastIndexOf('.')), startLine: 1, endLine: 3, ...extra.metadata }
+  };
+}
+
+describe('MemoryVectorStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryVectorStore();
+    await store.addDocuments([
+      await chunk('api', 'src/users.js', 'function createUser(name) { return db.insert(name); }'),
+      await chunk('api', 'src/orders.js', 'function createOrder(user, items) { return db.insert(items); }'),
+      await chunk('api', 'docs/users.md', 'Users are created with createUser'),
+      await chunk('web', 'src/form.ts', 'function submitUserForm(form) { fetch("/users", form); }')
+    ]);
+  });
+
+  test('semantic search ranks the closest chunk first and returns the page envelope', async () => {
+    const query = await embedding.getEmbedding('createUser name insert');
+    const page = await store.search(query, 2, 'api');
+
+    assert.equal(page.results.length, 2);
+    assert.equal(page.returned, 2);
+    assert.equal(page.total, 3);
+    assert.equal(page.results[0].filePath, 'src/users.js');
+    assert.ok(page.results[0].score > page.results[1].score);
+    assert.ok(page.nextCursor);
+  });
+
+  test('cursor paging continues where the previous page ended', async () => {
+    const query = await embedding.getEmbedding('createUser name insert');
+    const first = await store.search(query, 2, 'api');
+    const second = await store.search(query, 2, 'api', { cursor: first.nextCursor });
+
+    assert.equal(second.offset, 2);
+    assert.equal(second.results.length, 1);
+    assert.equal(second.nextCursor, null);
+    assert.ok(!first.results.some(result => result.id === second.results[0].id));
+  });
+
+  test('lexical search matches identifier parts', async () => {
+    const page = await store.search(null, 5, null, { mode: 'lexical', query: 'create order' });
+    assert.equal(page.results[0].filePath, 'src/orders.js');
+  });
+
+  test('hybrid search reports component scores', async () => {
+    const query = await embedding.getEmbedding('submit user form');
+    const page = await store.search(query, 3, null, { mode: 'hybrid', query: 'submit user form' });
+
+    assert.equal(page.results[0].filePath, 'src/form.ts');
+    assert.ok(page.results[0].scores.semanticRank);
+    assert.ok(page.results[0].scores.lexicalRank);
+  });
+
+  test('rejects unknown modes and missing query text', async () => {
+    await assert.rejects(store.search([], 3, null, { mode: 'fuzzy' }), /Unknown search mode/);
+    await assert.rejects(store.search([], 3, null, { mode: 'lexical' }), /Query text is required/);
+  });
+
+  test('rejects a page size or search breadth that is not a positive integer within its cap', async () => {
+    const query = await embedding.getEmbedding('create a user');
+    for (const topK of ['3', 0, 1.5, 101]) {
+      await assert.rejects(store.search(query, topK, 'api', { offset: 1 }), /topK must be an integer between 1 and 100/);
+    }
+    await assert.rejects(store.search(query, 3, 'api', { efSearch: '64' }), /efSearch must be an integer between 1 and 1000/);
+    await assert.rejects(store.search(query, 3, 'api', { efSearch: 1001 }), /efSearch/);
+    assert.equal((await store.search(query, 100, 'api', { efSearch: 1000 })).offset, 0);
+  });
+
+  test('applies path and extension filters', async () => {
+    const query = await embedding.getEmbedding('createUser');
+    const page = await store.search(query, 5, 'api', { filters: { includePaths: ['src/**'], extensions: ['js'] } });
+
+    assert.deepEqual(page.results.map(r => r.filePath).sort(), ['src/orders.js', 'src/users.js']);
+  });
+
+  test('searches projects selected by tag and applies project weights', async () => {
+    await store.setProjectTags('web', ['frontend']);
+    const query = await embedding.getEmbedding('users');
+
+    const tagged = await store.search(query, 5, null, { tags: ['frontend'] });
+    assert.deepEqual([...new Set(tagged.results.map(r => r.projectId))], ['web']);
+
+    const weighted = await store.search(query, 5, ['api', 'web'], { projectWeights: { web: 10 } });
+    assert.equal(weighted.results[0].projectId, 'web');
+    assert.equal(weighted.results[0].projectWeight, 10);
+  });
+
+  test('groups chunks by file', async () => {
+    await store.addDocuments([
+      await chunk('api', 'src/users.js', 'function deleteUser(id) { return db.remove(id); }', {
+        chunkIndex: 1,
+        totalChunks: 2,
+        metadata: { startLine: 4, endLine: 6 }
+      })
+    ]);
+    const query = await embedding.getEmbedding('user db');
+    const page = await store.search(query, 5, 'api', { groupByFile: true });
+
+    const users = page.results.find(result => result.filePath === 'src/users.js');
+    assert.equal(users.matches.length, 2);
+    assert.equal(new Set(page.results.map(r => r.filePath)).size, page.results.length);
+  });
+
+  describe('with near-duplicate chunks of one file', () => {
+    // Two chunks of users.js point the same way; orders.js is almost as relevant but different
+    const query = [1, 1, 0];
+    const vectors = {
+      'users.js#0': [1, 0.35, 0],
+      'users.js#1': [1, 0.34, 0.02],
+      'orders.js#0': [0.3, 1, 0],
+      'billing.js#0': [1, -0.5, 0],
+      'billing.js#1': [1, -0.55, 0]
+    };
+    let diverse;
+
+    beforeEach(async () => {
+      diverse = new MemoryVectorStore();
+      await diverse.addDocuments(Object.entries(vectors).map(([key, vector]) => {
+        const [file, chunkIndex] = key.split('#');
+        return { projectId: 'api', filePath: `src/${file}`, chunkIndex: Number(chunkIndex), content: key, embedding: vector, metadata: {} };
+      }));
+    });
+
+    test('MMR demotes chunks similar to one already picked', async () => {
+      const plain = await diverse.search(query, 3, 'api');
+      assert.deepEqual(plain.results.map(r => r.content), ['users.js#0', 'users.js#1', 'orders.js#0']);
+
+      const reranked = await diverse.search(query, 3, 'api', { mmr: true });
+      assert.deepEqual(reranked.results.map(r => r.content), ['users.js#0', 'orders.js#0', 'users.js#1']);
+
+      const relevance = await diverse.search(query, 3, 'api', { mmr: true, mmrLambda: 1 });
+      assert.deepEqual(relevance.results.map(r => r.content), plain.results.map(r => r.content));
+    });
+
+    test('maxPerFile caps chunks per file and fills the page from other files', async () => {
+      const page = await diverse.search(query, 3, 'api', { maxPerFile: 1 });
+
+      assert.deepEqual(page.results.map(r => r.content), ['users.js#0', 'orders.js#0', 'billing.js#0']);
+      assert.equal(page.total, 3);
+      const two = await diverse.search(query, 4, 'api', { maxPerFile: 2 });
+      assert.deepEqual(two.results.map(r => r.content), ['users.js#0', 'users.js#1', 'orders.js#0', 'billing.js#0']);
+    });
+  });
+
+  describe('with context expansion', () => {
+    /**
+     * Chunk of numbered source lines with the indexer's default header
+     * @param {string} projectId - Project ID
+     * @param {string} filePath - File path
+     * @param {number} chunkIndex - Chunk index
+     * @param {number} totalChunks - Chunks in the file
+     * @param {number} startLine - First line
+     * @param {number} endLine - Last line
+     * @param {number[]} vector - Embedding
+     * @returns {Object} Document for addDocuments()
+     */
+    const numbered = (projectId, filePath, chunkIndex, totalChunks, startLine, endLine, vector) => {
+      const lines = Array.from({ length: endLine - startLine + 1 }, (_, i) => `line ${startLine + i}`);
+      return {
+        projectId,
+        filePath,
+        chunkIndex,
+        totalChunks,
+        content: `File: ${filePath}\nLines ${startLine}-${endLine}:\n\n${lines.join('\n')}`,
+        embedding: vector,
+        metadata: { startLine, endLine }
+      };
+    };
+    const hit = [1, 0];
+    const miss = [0, 1];
+    let context;
+
+    beforeEach(async () => {
+      context = new MemoryVectorStore();
+      // app.js: six 3-line chunks, hits on chunks 1 and 3 (whose neighbourhoods touch) and 5
+      await context.addDocuments([0, 1, 2, 3, 4, 5].map(i =>
+        numbered('app', 'src/app.js', i, 6, i * 3 + 1, i * 3 + 3, [1, 3].includes(i) ? hit : i === 5 ? [0.9, 0.3] : miss)
+      ));
+      // lib.js: chunks overlapping by two lines, hit on chunk 1
+      await context.addDocuments([[1, 4], [3, 6], [5, 8], [7, 10]].map(([from, to], i) =>
+        numbered('lib', 'src/lib.js', i, 4, from, to, i === 1 ? hit : miss)
+      ));
+    });
+
+    test('merges the neighbourhoods of adjacent hits into one excerpt', async () => {
+      const page = await context.search(hit, 2, 'app', { expandContext: 1 });
+
+      assert.equal(page.returned, 1);
+      const [result] = page.results;
+      assert.equal(result.chunkIndex, 1);
+      assert.equal(result.mergedIds.length, 1);
+      assert.deepEqual(result.excerpts.map(({ startLine, endLine, chunkIndexes }) => ({ startLine, endLine, chunkIndexes })), [
+        { startLine: 1, endLine: 15, chunkIndexes: [0, 1, 2, 3, 4] }
+      ]);
+    });
+
+    test('clamps the neighbourhood to the chunks of the file', async () => {
+      const page = await context.search([0.9, 0.3], 1, 'app', { expandContext: 2 });
+
+      assert.equal(page.results[0].chunkIndex, 5);
+      assert.deepEqual(page.results[0].excerpts.map(({ startLine, endLine, chunkIndexes }) => ({ startLine, endLine, chunkIndexes })), [
+        { startLine: 10, endLine: 18, chunkIndexes: [3, 4, 5] }
+      ]);
+    });
+
+    test('emits lines shared by overlapping chunks once', async () => {
+      const page = await context.search(hit, 1, 'lib', { expandContext: 1 });
+
+      const [excerpt] = page.results[0].excerpts;
+      assert.equal(excerpt.startLine, 1);
+      assert.equal(excerpt.endLine, 8);
+      assert.deepEqual(excerpt.chunkIndexes, [0, 1, 2]);
+      assert.equal(excerpt.content, Array.from({ length: 8 }, (_, i) => `line ${i + 1}`).join('\n'));
+    });
+  });
+
+  test('getExistingFiles reports the first chunk of every file', async () => {
+    await store.addDocuments([
+      await chunk('api', 'src/users.js', 'more', { chunkIndex: 1, metadata: { contentHash: 'second' } })
+    ]);
+    await store.addDocuments([
+      await chunk('api', 'src/billing.js', 'bill', { metadata: { fileSize: 4, contentHash: 'abc', lastModified: new Date(0) } })
+    ]);
+
+    const files = await store.getExistingFiles('api');
+    assert.deepEqual(Object.keys(files).sort(), ['docs/users.md', 'src/billing.js', 'src/orders.js', 'src/users.js']);
+    assert.equal(files['src/users.js'].contentHash, undefined);
+    assert.deepEqual(files['src/billing.js'], { fileSize: 4, lastModified: new Date(0), contentHash: 'abc', chunking: undefined });
+    assert.deepEqual(await store.getExistingFiles('missing'), {});
+  });
+
+  test('removeFileChunks deletes only the given file', async () => {
+    assert.equal(await store.removeFileChunks('api', 'src/users.js'), 1);
+    assert.equal(await store.removeFileChunks('api', 'src/users.js'), 0);
+
+    const stats = await store.getProjectStats('api');
+    assert.equal(stats.totalDocuments, 2);
+    assert.ok(!stats.files.includes('src/users.js'));
+  });
+
+  test('saveProjectMetadata upserts and keeps createdAt', async () => {
+    await store.saveProjectMetadata('api', '/code/api', ['*.log']);
+    const created = (await store.getProjectMetadata('api')).createdAt;
+
+    await store.saveProjectMetadata('api', '/code/api-v2');
+    const metadata = await store.getProjectMetadata('api');
+
+    assert.equal(metadata.directoryPath, '/code/api-v2');
+    assert.deepEqual(metadata.excludePatterns, []);
+    assert.equal(metadata.createdAt, created);
+    assert.equal(await store.getProjectMetadata('missing'), null);
+  });
+
+  test('setProjectTags normalizes tags and survives metadata updates', async () => {
+    assert.deepEqual(await store.setProjectTags('api', [' backend ', 'backend', '', 'core']), ['backend', 'core']);
+    await store.saveProjectMetadata('api', '/code/api');
+
+    const project = (await store.getProjects()).find(p => p.projectId === 'api');
+    assert.deepEqual(project.tags, ['backend', 'core']);
+    assert.equal(project.documentCount, 3);
+    assert.equal(project.directoryPath, '/code/api');
+  });
+
+  test('getProjects lists projects without metadata like legacy MongoDB projects', async () => {
+    const web = (await store.getProjects()).find(p => p.projectId === 'web');
+    assert.equal(web.directoryPath, null);
+    assert.deepEqual(web.excludePatterns, []);
+    assert.equal(web.documentCount, 1);
+  });
+
+  test('getRangeEmbedding averages overlapping chunks', async () => {
+    await store.addDocuments([
+      { projectId: 'vec', filePath: 'a.js', content: 'a', chunkIndex: 0, embedding: [1, 0], metadata: { startLine: 1, endLine: 10 } },
+      { projectId: 'vec', filePath: 'a.js', content: 'b', chunkIndex: 1, embedding: [0, 1], metadata: { startLine: 11, endLine: 20 } }
+    ]);
+
+    const range = await store.getRangeEmbedding('vec', 'a.js', 6, 20);
+    assert.deepEqual(range.embedding, [5 / 15, 10 / 15]);
+    assert.equal(range.sourceIds.length, 2);
+    assert.equal(await store.getRangeEmbedding('vec', 'missing.js'), null);
+  });
+
+  test('getRangeEmbedding reuses the embedding of the one chunk a range falls in', async () => {
+    await store.addDocuments([
+      { projectId: 'vec', filePath: 'a.js', content: 'a', chunkIndex: 0, embedding: [1, 0], metadata: { startLine: 1, endLine: 10 } },
+      { projectId: 'vec', filePath: 'a.js', content: 'b', chunkIndex: 1, embedding: [0.5, 0.75], metadata: { startLine: 11, endLine: 20 } }
+    ]);
+
+    const range = await store.getRangeEmbedding('vec', 'a.js', 12, 15);
+    assert.deepEqual(range.embedding, [0.5, 0.75]);
+    assert.equal(range.sourceIds.length, 1);
+    assert.deepEqual([range.startLine, range.endLine], [11, 20]);
+  });
+
+  test('getRangeEmbedding rejects lines that are not positive integers or an inverted range', async () => {
+    await assert.rejects(store.getRangeEmbedding('api', 'src/users.js', '2'), /startLine must be a positive integer/);
+    await assert.rejects(store.getRangeEmbedding('api', 'src/users.js', 1, 0), /endLine must be a positive integer/);
+    await assert.rejects(store.getRangeEmbedding('api', 'src/users.js', 3, 2), /startLine must not be greater than endLine/);
+  });
+
+  test('excludeIds leaves the given chunks out of the page and the total', async () => {
+    const query = await embedding.getEmbedding('function createUser(name) { return db.insert(name); }');
+    const all = await store.search(query, 5, 'api');
+    const [first] = all.results;
+
+    const page = await store.search(query, 5, 'api', { excludeIds: [first.id] });
+    assert.equal(page.total, all.total - 1);
+    assert.deepEqual(page.results.map(result => result.id), all.results.slice(1).map(result => result.id));
+  });
+
+  test('maxPerFile must be a positive integer', async () => {
+    const query = await embedding.getEmbedding('create a user');
+    await assert.rejects(store.search(query, 3, 'api', { maxPerFile: '1' }), /maxPerFile must be a positive integer/);
+    await assert.rejects(store.search(query, 3, 'api', { maxPerFile: 0 }), /maxPerFile/);
+  });
+
+  test('deleteProject removes chunks and metadata', async () => {
+    await store.saveProjectMetadata('api', '/code/api');
+    assert.equal(await store.deleteProject('api'), 3);
+
+    assert.equal(await store.getProjectMetadata('api'), null);
+    assert.deepEqual((await store.getProjects()).map(p => p.projectId), ['web']);
+  });
+});
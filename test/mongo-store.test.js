@@ -0,0 +1,373 @@
+// ==========================================
+// MongoVectorStore Tests
+// ==========================================
+// Scoring backends, keyword search and embedding storage against an in-process collection
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { MongoVectorStore } from '../utils/vector-store/mongovs.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { cosineSimilarity } from '../utils/vector-store/ranking.js';
+import { normalizeSearchFilters } from '../utils/vector-store/filters.js';
+import { BSON } from 'mongodb';
+import { encodeEmbedding } from '../utils/vector-store/encoding.js';
+import { JobManager } from '../utils/jobs/manager.js';
+import { FakeDb } from './helpers.js';
+
+const ATLAS_INDEX = { name: 'vector_index', type: 'vectorSearch', queryable: true };
+
+/**
+ * Deterministic pseudo-random vector
+ * @param {number} seed - Seed
+ * @param {number} [dimensions=16] - Vector size
+ * @returns {number[]} Vector with components in [-1, 1)
+ */
+function randomVector(seed, dimensions = 16) {
+  let state = seed * 7919 + 1;
+  return Array.from({ length: dimensions }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  });
+}
+
+/**
+ * Chunks of one project with random embeddings
+ * @param {number} count - Number of chunks
+ * @param {string} [projectId='app'] - Project ID
+ * @returns {Object[]} Documents for addDocuments
+ */
+function randomDocs(count, projectId = 'app') {
+  return Array.from({ length: count }, (_, i) => ({
+    projectId,
+    filePath: `src/file${i}.js`,
+    content: `export const value${i} = ${i};`,
+    embedding: randomVector(i + 1),
+    metadata: { startLine: 1, endLine: 1 }
+  }));
+}
+
+describe('MongoVectorStore', () => {
+  let db;
+  let collection;
+  let annIndexDir;
+
+  beforeEach(async () => {
+    db = new FakeDb();
+    collection = db.collection('documents');
+    annIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-mcp-ann-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(annIndexDir);
+  });
+
+  /**
+   * Creates a store on the fake collection and detects its backend
+   * @param {Object} [options={}] - MongoVectorStore options
+   * @returns {Promise<MongoVectorStore>} Store
+   */
+  async function createStore(options = {}) {
+    const store = new MongoVectorStore(collection, db, { annIndexDir, ...options });
+    await store.detectSearchBackend();
+    return store;
+  }
+
+  describe('search backend selection', () => {
+    test('stores float32 vectors and scores them in Node on a self-hosted server without configuration', async () => {
+      const store = await createStore();
+
+      assert.equal(store.backend.name, 'node');
+      assert.equal(store.backend.embeddingFormat, 'float32');
+      assert.equal(store.backend.tradeoff, null);
+      assert.match(store.backend.reason, /float32 embeddings cannot be scored in an aggregation/);
+
+      await store.addDocuments(randomDocs(1));
+      assert.ok(!Array.isArray(collection.docs[0].embedding));
+      assert.equal(store.embeddingFormat, 'float32');
+    });
+
+    test('scores in an aggregation only when the operator opts in', async () => {
+      const arrays = await createStore({ embeddingFormat: 'array' });
+      assert.equal(arrays.backend.name, 'aggregation');
+      assert.equal(arrays.backend.tradeoff, null);
+
+      const configured = await createStore({ searchBackend: 'aggregation' });
+      assert.equal(configured.backend.name, 'aggregation');
+      assert.equal(configured.backend.embeddingFormat, 'array');
+      assert.match(configured.backend.tradeoff, /stored as number arrays/);
+
+      await configured.addDocuments(randomDocs(1));
+      assert.ok(Array.isArray(collection.docs[0].embedding));
+    });
+
+    test('prefers a queryable Atlas index and stores float32 vectors for it', async () => {
+      collection.searchIndexes = [ATLAS_INDEX];
+      const store = await createStore();
+      assert.equal(store.backend.name, 'atlas');
+      assert.equal(store.backend.embeddingFormat, 'float32');
+
+      collection.searchIndexes = [{ ...ATLAS_INDEX, queryable: false, status: 'BUILDING' }];
+      const building = await createStore();
+      assert.equal(building.backend.name, 'node');
+      assert.match(building.backend.reason, /is BUILDING/);
+    });
+
+    test('uses a configured backend even when it looks unavailable', async () => {
+      const atlas = await createStore({ searchBackend: 'atlas' });
+      assert.equal(atlas.backend.name, 'atlas');
+      assert.match(atlas.backend.reason, /configured, but Atlas Search is not supported/);
+
+      const aggregation = await createStore({ searchBackend: 'aggregation', embeddingFormat: 'int8' });
+      assert.equal(aggregation.backend.name, 'aggregation');
+      assert.match(aggregation.backend.reason, /only array-stored embeddings are scored server-side/);
+    });
+  });
+
+  describe('aggregation backend', () => {
+    test('computes cosine similarity in the pipeline and returns only the top-K scores', async () => {
+      const store = await createStore({ searchBackend: 'aggregation' });
+      await store.addDocuments(randomDocs(12));
+      const query = randomVector(100);
+
+      const results = await store.semanticSearch(query, 3, ['app']);
+
+      const pipeline = collection.pipelines.at(-1);
+      assert.deepEqual(pipeline[0].$match, { embedding: { $type: 'array' }, projectId: 'app' });
+      assert.deepEqual(pipeline.slice(-2), [{ $sort: { score: -1 } }, { $limit: 3 }]);
+      assert.deepEqual(Object.keys(pipeline[1].$project), ['score']);
+
+      const expected = collection.docs
+        .map(doc => ({ id: doc._id.toString(), score: cosineSimilarity(query, doc.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3);
+      assert.deepEqual(results.map(result => result.id), expected.map(hit => hit.id));
+      results.forEach((result, i) => assert.ok(Math.abs(result.score - expected[i].score) < 1e-9));
+      assert.equal(results[0].content, collection.docs.find(doc => doc._id.toString() === results[0].id).content);
+    });
+
+    test('still scores embeddings stored in other formats in Node', async () => {
+      const legacy = await createStore({ embeddingFormat: 'float32' });
+      await legacy.addDocuments([{ ...randomDocs(1)[0], filePath: 'src/legacy.js', embedding: [1, 0, 0] }]);
+      const store = await createStore({ searchBackend: 'aggregation' });
+      await store.addDocuments([{ ...randomDocs(1)[0], embedding: [0, 1, 0] }]);
+
+      const results = await store.semanticSearch([1, 0.1, 0], 2, ['app']);
+
+      assert.deepEqual(results.map(result => result.filePath), ['src/legacy.js', 'src/file0.js']);
+      assert.equal(collection.pipelines.length, 1);
+    });
+
+    test('returns nothing for a zero query vector', async () => {
+      const store = await createStore({ searchBackend: 'aggregation' });
+      await store.addDocuments(randomDocs(2));
+
+      assert.deepEqual(await store.semanticSearch([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 2, ['app']), []);
+    });
+  });
+
+  describe('ANN index', () => {
+    test('scans small projects exactly and indexes projects from annMinDocuments on', async () => {
+      const store = await createStore({ embeddingFormat: 'float32', annMinDocuments: 40 });
+      await store.addDocuments(randomDocs(39));
+      const query = randomVector(100);
+
+      await store.semanticSearch(query, 5, ['app']);
+      assert.equal(await store.getAnnIndex('app'), null);
+      assert.deepEqual(await fs.readdir(annIndexDir), []);
+
+      await store.addDocuments(randomDocs(1, 'app').map(doc => ({ ...doc, filePath: 'src/extra.js' })));
+      const results = await store.semanticSearch(query, 5, ['app']);
+      const exact = await store.semanticSearch(query, 5, ['app'], null, { exact: true });
+
+      assert.equal((await store.getAnnIndex('app')).size, 40);
+      assert.deepEqual(await fs.readdir(annIndexDir), ['app.json']);
+      assert.deepEqual(results.map(result => result.id), exact.map(result => result.id));
+    });
+
+    test('reuses a persisted graph only while it matches the stored documents', async () => {
+      const store = await createStore({ embeddingFormat: 'float32', annMinDocuments: 10 });
+      await store.addDocuments(randomDocs(12));
+      await store.getAnnIndex('app');
+
+      const reopened = await createStore({ embeddingFormat: 'float32', annMinDocuments: 10 });
+      assert.equal((await reopened.getAnnIndex('app', false)).size, 12);
+
+      collection.docs.pop();
+      const stale = await createStore({ embeddingFormat: 'float32', annMinDocuments: 100 });
+      assert.equal(await stale.getAnnIndex('app'), null);
+      assert.deepEqual(await fs.readdir(annIndexDir), []);
+    });
+  });
+
+  describe('embedding storage', () => {
+    test('binary shortlists by sign bits and rescores to the exact top-K', async () => {
+      // Clustered like real embeddings: 20 topics of 10 chunks around a topic vector
+      const topics = Array.from({ length: 20 }, (_, t) => randomVector(1000 + t, 64));
+      const nearTopic = (topic, seed) => randomVector(seed, 64).map((v, d) => topics[topic][d] + 0.5 * v);
+      const docs = randomDocs(200).map((doc, i) => ({ ...doc, embedding: nearTopic(i % 20, i + 1) }));
+      const exact = await createStore({ embeddingFormat: 'float32' });
+      await exact.addDocuments(docs.map(doc => ({ ...doc, projectId: 'exact' })));
+      const binary = await createStore({ embeddingFormat: 'binary' });
+      await binary.addDocuments(docs);
+
+      for (const topic of [0, 5, 10, 15, 19]) {
+        const query = nearTopic(topic, 500 + topic);
+        const expected = await exact.semanticSearch(query, 5, ['exact']);
+        const results = await binary.semanticSearch(query, 5, ['app']);
+
+        assert.deepEqual(results.map(result => result.filePath), expected.map(result => result.filePath));
+        results.forEach((result, i) => assert.ok(Math.abs(result.score - expected[i].score) < 1e-9));
+        const rescored = collection.finds.find(filter => filter._id?.$in?.length === 5 * binary.rescoreFactor);
+        assert.ok(rescored, 'shortlist of topK * rescoreFactor documents');
+        collection.finds = [];
+      }
+    });
+
+    test('migration converts one project and accounts for the space of the embedding fields', async () => {
+      const store = await createStore({ embeddingFormat: 'float32' });
+      await store.addDocuments([...randomDocs(10), ...randomDocs(3, 'other')]);
+      const fieldBytes = (format, keys) => {
+        const fields = encodeEmbedding(randomVector(1), format);
+        return BSON.calculateObjectSize(Object.fromEntries(keys.map(key => [key, fields[key]])));
+      };
+      const progress = [];
+
+      const stats = await store.migrateEmbeddings('int8', 'app', (processed, total) => progress.push([processed, total]));
+
+      assert.deepEqual(stats, {
+        format: 'int8',
+        documentsTotal: 10,
+        converted: 10,
+        skipped: 0,
+        bytesBefore: 10 * fieldBytes('float32', ['embedding', 'embeddingFormat']),
+        bytesAfter: 10 * fieldBytes('int8', ['embedding', 'embeddingFormat', 'embeddingScale']),
+        bytesSaved: 10 * (fieldBytes('float32', ['embedding', 'embeddingFormat']) - fieldBytes('int8', ['embedding', 'embeddingFormat', 'embeddingScale']))
+      });
+      assert.ok(stats.bytesSaved > 0);
+      assert.deepEqual(progress, [[10, 10]]);
+      assert.deepEqual(collection.docs.map(doc => doc.embeddingFormat), [...new Array(10).fill('int8'), 'float32', 'float32', 'float32']);
+
+      const again = await store.migrateEmbeddings('int8', 'app');
+      assert.equal(again.converted, 0);
+      assert.equal(again.skipped, 10);
+      assert.equal(again.bytesSaved, 0);
+    });
+
+    test('migration to and from binary adds and removes the sign bits', async () => {
+      const store = await createStore({ embeddingFormat: 'int8' });
+      await store.addDocuments(randomDocs(2));
+
+      await store.migrateEmbeddings('binary');
+      assert.ok(collection.docs.every(doc => doc.embeddingBits && doc.embeddingScale === undefined));
+
+      const jobManager = new JobManager();
+      const job = jobManager.createJob('migrate', 'all', { format: 'array' });
+      const stats = await jobManager.runEmbeddingMigrationJob(job.id, store, 'array', null);
+      assert.ok(stats.bytesSaved < 0);
+      assert.match(job.logs.at(-1).message, /^Embedding storage increased by \d+\.\d{2} MB \(\d+\.\d%\)$/);
+      assert.ok(collection.docs.every(doc => Array.isArray(doc.embedding) && doc.embeddingBits === undefined && doc.embeddingFormat === undefined));
+      await assert.rejects(store.migrateEmbeddings('float16'), /Unknown embedding storage format "float16"/);
+    });
+  });
+
+  describe('keyword search', () => {
+    const sources = [
+      { filePath: 'src/jobs.js', content: 'function runIndexJob(job) { return indexJob(job); }' },
+      { filePath: 'src/index.js', content: 'function indexProject(project) { return project; }' },
+      { filePath: 'src/routes.js', content: 'app.post("/index", (req, res) => runIndexJob(req.body));' },
+      { filePath: 'docs/jobs.md', content: 'Jobs run in the background and report progress.' }
+    ];
+    const docs = sources.map((source, i) => ({ ...source, projectId: i < 3 ? 'app' : 'docs', embedding: randomVector(i + 1), metadata: {} }));
+
+    test('ranks like the in-memory store and only loads content for the top-K', async () => {
+      const store = await createStore();
+      await store.addDocuments(docs);
+      const memory = new MemoryVectorStore();
+      await memory.addDocuments(docs);
+      const options = { projectWeights: { docs: 0.5 } };
+
+      const results = await store.lexicalSearch('run index job', 2, null, null, options);
+      const expected = await memory.lexicalSearch('run index job', 2, null, null, options);
+
+      assert.deepEqual(results.map(result => [result.filePath, result.score]), expected.map(result => [result.filePath, result.score]));
+      assert.equal(results[0].content, sources[0].content);
+
+      const candidates = collection.pipelines.at(-1);
+      assert.deepEqual(Object.keys(candidates[1].$project), ['projectId', 'length', 'counts']);
+      assert.equal(collection.finds.at(-1)._id.$in.length, 2);
+    });
+
+    test('keeps project weights on the hydrated results', async () => {
+      const store = await createStore();
+      await store.addDocuments(docs);
+
+      const [result] = await store.lexicalSearch('jobs', 1, ['docs'], null, { projectWeights: { docs: 2 } });
+
+      assert.equal(result.filePath, 'docs/jobs.md');
+      assert.equal(result.projectWeight, 2);
+      assert.equal(result.score, result.rawScore * 2);
+    });
+
+    test('backfills chunks indexed before keyword search once, outside the query path', async () => {
+      const store = await createStore();
+      await store.addDocuments(docs.slice(0, 1));
+      collection.docs.push({ ...docs[2], embedding: [...docs[2].embedding], _id: 'legacy' });
+
+      await store.lexicalSearch('run index job', 5);
+      assert.ok(collection.finds.every(filter => !('lexical' in filter)));
+
+      assert.equal(await store.backfillLexicalEntries(), 1);
+      assert.equal(await store.backfillLexicalEntries(), 0);
+      const results = await store.lexicalSearch('run index job', 5);
+      assert.deepEqual(results.map(result => result.filePath).sort(), ['src/jobs.js', 'src/routes.js']);
+    });
+  });
+
+  describe('Atlas backend', () => {
+    test('queries $vectorSearch per project and maps scores back to cosine similarity', async () => {
+      collection.searchIndexes = [ATLAS_INDEX];
+      const store = await createStore();
+      const query = randomVector(1);
+      collection.vectorSearchResults = [
+        { _id: 'a', projectId: 'app', filePath: 'src/a.js', content: 'a', metadata: {}, score: 0.75 },
+        { _id: 'b', projectId: 'app', filePath: 'src/b.js', content: 'b', metadata: {}, score: 0.5 }
+      ];
+
+      const results = await store.semanticSearch(query, 2, ['app']);
+
+      assert.deepEqual(results.map(result => [result.id, result.score]), [['a', 0.5], ['b', 0]]);
+      assert.deepEqual(collection.pipelines[0], [
+        {
+          $vectorSearch: {
+            index: 'vector_index',
+            path: 'embedding',
+            queryVector: query,
+            filter: { projectId: 'app' },
+            limit: 2,
+            numCandidates: 100
+          }
+        },
+        { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+        { $unset: ['embedding', 'embeddingBits', 'lexical'] },
+        { $limit: 2 }
+      ]);
+    });
+
+    test('widens the window for metadata filters and runs exact searches without candidates', async () => {
+      collection.searchIndexes = [ATLAS_INDEX];
+      const store = await createStore();
+
+      await store.semanticSearch(randomVector(1), 20, ['app'], normalizeSearchFilters({ extensions: ['.js'] }), { exact: true });
+
+      const [vectorSearch, , , match, limit] = collection.pipelines[0];
+      assert.equal(vectorSearch.$vectorSearch.limit, 200);
+      assert.equal(vectorSearch.$vectorSearch.exact, true);
+      assert.equal(vectorSearch.$vectorSearch.numCandidates, undefined);
+      assert.deepEqual(Object.keys(match.$match), ['$and']);
+      assert.deepEqual(limit, { $limit: 20 });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// ==========================================
+// OpenAIEmbedding Tests
+// ==========================================
+// OpenAI-compatible /v1/embeddings requests against a local stub server
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIEmbedding } from '../utils/vector-store/openai.js';
+import { EmbeddingUnavailableError } from '../utils/vector-store/provider.js';
+import { startEmbeddingServer } from './helpers.js';
+
+describe('OpenAIEmbedding', () => {
+  let server;
+
+  before(async () => {
+    server = await startEmbeddingServer(16);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('posts the model and input and reads data[].embedding', async () => {
+    const provider = new OpenAIEmbedding({ baseUrl: `${server.url}/v1/`, model: 'nomic-embed' });
+
+    const embedding = await provider.getEmbedding('hello\nworld');
+
+    assert.equal(embedding.length, 16);
+    assert.equal(server.lastRequest.url, '/v1/embeddings');
+    assert.deepEqual(server.lastRequest.body, { model: 'nomic-embed', input: ['hello world'], encoding_format: 'float' });
+    assert.equal(server.lastRequest.headers.authorization, undefined);
+  });
+
+  test('requests a dimension and sends the configured auth header', async () => {
+    const bearer = new OpenAIEmbedding({ baseUrl: `${server.url}/v1`, apiKey: 'secret', dimensions: 8 });
+    assert.equal((await bearer.getEmbedding('hello')).length, 8);
+    assert.equal(server.lastRequest.body.dimensions, 8);
+    assert.equal(server.lastRequest.headers.authorization, 'Bearer secret');
+
+    const azure = new OpenAIEmbedding({ baseUrl: `${server.url}/v1`, apiKey: 'secret', authHeader: 'api-key', authScheme: '' });
+    await azure.getEmbedding('hello');
+    assert.equal(server.lastRequest.headers['api-key'], 'secret');
+  });
+
+  test('rejects invalid dimensions and unknown endpoints', async () => {
+    assert.throws(() => new OpenAIEmbedding({ dimensions: 0 }), /positive integer/);
+
+    const provider = new OpenAIEmbedding({ baseUrl: `${server.url}/v2` });
+    await assert.rejects(provider.getEmbedding('hello', { allowFallback: false }), /HTTP 404: not found/);
+  });
+
+  test('reports server errors in strict mode and in the health check', async () => {
+    const provider = new OpenAIEmbedding({ baseUrl: `${server.url}/v1`, retryDelayMs: 0 });
+    server.setAvailable(false);
+    try {
+      await assert.rejects(
+        provider.getEmbedding('hello', { allowFallback: false }),
+        error => error instanceof EmbeddingUnavailableError && /HTTP 503: model is loading/.test(error.message)
+      );
+
+      const health = await provider.checkHealth();
+      assert.equal(health.status, 'unavailable');
+      assert.equal(health.provider, 'OpenAI-compatible');
+    } finally {
+      server.setAvailable(true);
+    }
+    assert.equal((await provider.checkHealth()).status, 'connected');
+  });
+});
@@ -0,0 +1,115 @@
+// ==========================================
+// Indexing Pipeline Tests
+// ==========================================
+// Bounded queues, stage concurrency, progress reporting and rollback of failed runs
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { BoundedQueue } from '../utils/indexer/pipeline.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { EmbeddingUnavailableError } from '../utils/vector-store/provider.js';
+import { StubEmbedding, createProjectDir } from './helpers.js';
+
+describe('BoundedQueue', () => {
+  test('push waits for space and pullBatch for a full batch', async () => {
+    const queue = new BoundedQueue(2);
+    await queue.push(1);
+    await queue.push(2);
+
+    let pushed = false;
+    const pending = queue.push(3).then(() => { pushed = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(pushed, false);
+
+    assert.deepEqual(await queue.pullBatch(2), [1, 2]);
+    await pending;
+    assert.equal(pushed, true);
+
+    queue.close();
+    assert.deepEqual(await queue.pullBatch(2), [3]);
+    assert.equal(await queue.pull(), undefined);
+  });
+
+  test('fail wakes waiting consumers with the error', async () => {
+    const queue = new BoundedQueue(1);
+    const waiting = queue.pull();
+    queue.fail(new Error('stage failed'));
+
+    await assert.rejects(waiting, /stage failed/);
+    await assert.rejects(queue.push(1), /stage failed/);
+  });
+});
+
+describe('FileIndexer pipeline', () => {
+  let dir;
+  let store;
+  let embedding;
+
+  beforeEach(async () => {
+    const files = {};
+    for (let i = 0; i < 12; i++) {
+      files[`src/file${i}.js`] = `export const item${i} = ${i};\n`;
+    }
+    dir = await createProjectDir(files);
+    store = new MemoryVectorStore();
+    embedding = new StubEmbedding();
+    embedding.batchSize = 2;
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('keeps at most embedConcurrency embedding requests in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const embedWithSource = embedding.embedWithSource.bind(embedding);
+    embedding.embedWithSource = async (texts, options) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return embedWithSource(texts, options);
+    };
+
+    const indexer = new FileIndexer(embedding, store, null, { embedConcurrency: 3, readConcurrency: 2 });
+    const result = await indexer.indexDirectory(dir, 'app');
+
+    assert.equal(result.chunksIndexed, 12);
+    assert.equal(embedding.batches, 6);
+    assert.equal(maxInFlight, 3);
+    assert.equal((await store.getProjectStats('app')).totalDocuments, 12);
+  });
+
+  test('reports increasing progress through the job manager', async () => {
+    const reported = [];
+    const jobManager = {
+      updateProgress: (jobId, progress) => reported.push(progress),
+      addJobLog: () => {}
+    };
+
+    await new FileIndexer(embedding, store, jobManager).indexDirectory(dir, 'app', [], false, 'job-1');
+
+    assert.ok(reported.length > 12);
+    assert.deepEqual(reported, [...reported].sort((a, b) => a - b));
+    assert.equal(reported.at(-1), 100);
+  });
+
+  test('a run failing after some batches were written leaves no chunks behind', async () => {
+    const embedWithSource = embedding.embedWithSource.bind(embedding);
+    embedding.embedWithSource = async (texts, options) => {
+      if (embedding.batches >= 3) throw new EmbeddingUnavailableError('stub embedding service is down', embedding.model);
+      return embedWithSource(texts, options);
+    };
+
+    const indexer = new FileIndexer(embedding, store, null, { embedConcurrency: 1 });
+    await assert.rejects(indexer.indexDirectory(dir, 'app'), EmbeddingUnavailableError);
+
+    assert.deepEqual(await store.getProjects(), []);
+  });
+
+  test('rejects invalid concurrency settings', () => {
+    assert.throws(() => new FileIndexer(embedding, store, null, { embedConcurrency: 0 }), /EMBEDDING_CONCURRENCY must be a positive integer/);
+  });
+});
@@ -0,0 +1,221 @@
+// ==========================================
+// Embedding Retry Tests
+// ==========================================
+// Timeouts, backoff retries and the circuit breaker of embedding requests
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { OllamaEmbedding } from '../utils/vector-store/embeddings.js';
+import { EmbeddingUnavailableError } from '../utils/vector-store/provider.js';
+import { CircuitBreaker } from '../utils/vector-store/breaker.js';
+import { FileIndexer } from '../utils/indexer/xr.js';
+import { MemoryVectorStore } from '../utils/vector-store/memoryvs.js';
+import { JobManager } from '../utils/jobs/manager.js';
+import { createProjectDir, startEmbeddingServer } from './helpers.js';
+
+describe('embedding retries', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startEmbeddingServer(16);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  /**
+   * Creates an Ollama provider for the stub server with short retry delays
+   * @param {Object} [options={}] - Provider options
+   * @returns {OllamaEmbedding} Provider
+   */
+  function createProvider(options = {}) {
+    const provider = new OllamaEmbedding('fake', { retryDelayMs: 1, ...options });
+    provider.baseUrl = server.url;
+    return provider;
+  }
+
+  test('retries server errors with backoff and then succeeds', async () => {
+    const provider = createProvider();
+    const retries = [];
+    server.failNext(2, 500);
+
+    const [result] = await provider.embedWithSource(['hello'], { allowFallback: false, onRetry: retry => retries.push(retry) });
+
+    assert.equal(result.source, 'model');
+    assert.deepEqual(retries.map(retry => retry.delayMs), [1, 2]);
+    assert.equal(provider.status.retries, 2);
+    assert.equal(provider.status.failedRequests, 0);
+    assert.equal(server.requests, 3);
+  });
+
+  test('retries requests that time out', async () => {
+    const provider = createProvider({ timeoutMs: 50 });
+    server.stallNext(1);
+
+    const embedding = await provider.getEmbedding('hello', { allowFallback: false });
+
+    assert.equal(embedding.length, 16);
+    assert.equal(provider.status.retries, 1);
+  });
+
+  test('does not retry client errors', async () => {
+    const provider = createProvider();
+    server.failNext(1, 400);
+
+    await assert.rejects(provider.getEmbedding('hello', { allowFallback: false }), /HTTP 400/);
+    assert.equal(server.requests, 1);
+    assert.equal(provider.status.failedRequests, 1);
+  });
+
+  test('client errors do not count toward opening the circuit', async () => {
+    const provider = createProvider({ breakerThreshold: 2 });
+    server.failNext(3, 400);
+
+    for (const text of ['a', 'b', 'c']) {
+      await assert.rejects(provider.getEmbedding(text, { allowFallback: false }), /HTTP 400/);
+    }
+
+    assert.equal(provider.breaker.state, 'closed');
+    assert.equal(provider.breaker.consecutiveFailures, 0);
+    assert.equal(provider.status.failedRequests, 3);
+    assert.equal((await provider.getEmbeddingWithSource('d')).source, 'model');
+  });
+
+  test('the circuit opens after repeated failures and closes after a successful trial', async () => {
+    const provider = createProvider({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 50 });
+    server.setAvailable(false);
+
+    await assert.rejects(provider.getEmbedding('a', { allowFallback: false }), /HTTP 503/);
+    await assert.rejects(provider.getEmbedding('b', { allowFallback: false }), /HTTP 503/);
+    await assert.rejects(provider.getEmbedding('c', { allowFallback: false }), /circuit open/);
+    assert.equal(server.requests, 2);
+    assert.equal(provider.status.rejectedRequests, 1);
+
+    // Open circuits serve fallbacks without calling the service
+    assert.equal((await provider.getEmbeddingWithSource('d')).source, 'fallback');
+    assert.equal(server.requests, 2);
+
+    server.setAvailable(true);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal((await provider.getEmbeddingWithSource('e')).source, 'model');
+    assert.equal(provider.breaker.state, 'closed');
+    assert.equal((await provider.checkHealth()).circuit.opens, 1);
+  });
+
+  test('fail-fast requests neither retry nor wait for an open circuit', async () => {
+    const provider = createProvider({ breakerThreshold: 1, breakerCooldownMs: 60000 });
+    server.failNext(1, 503);
+
+    await assert.rejects(provider.embedQuery('a', { allowFallback: false, failFast: true }), /HTTP 503/);
+    assert.equal(server.requests, 1);
+    assert.equal(provider.status.retries, 0);
+
+    await assert.rejects(provider.embedQuery('b', { allowFallback: false, failFast: true }), /circuit open/);
+    assert.equal(server.requests, 1);
+    assert.equal(provider.status.rejectedRequests, 1);
+  });
+
+  test('an indexing job survives a restarting service and reports the retries', async () => {
+    const dir = await createProjectDir({
+      'src/a.js': 'export const a = 1;\n',
+      'src/b.js': 'export const b = 2;\n'
+    });
+    try {
+      const provider = createProvider();
+      const jobManager = new JobManager();
+      const indexer = new FileIndexer(provider, new MemoryVectorStore(), jobManager);
+      const job = jobManager.createJob('index', 'app');
+      server.failNext(3, 503);
+
+      const result = await jobManager.runIndexJob(job.id, indexer, dir, 'app', [], false);
+
+      assert.equal(result.fallbackChunks, 0);
+      assert.deepEqual(result.embeddingRequests, { retries: 3, failedRequests: 0, rejectedRequests: 0 });
+      assert.deepEqual(job.stats.embeddingRequests, result.embeddingRequests);
+      assert.ok(job.logs.some(entry => /retry 3/.test(entry.message)));
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('concurrent batches refused by the circuit wait for a slow trial request', async () => {
+    const dir = await createProjectDir({
+      'src/a.js': 'export const a = 1;\n',
+      'src/b.js': 'export const b = 2;\n',
+      'src/c.js': 'export const c = 3;\n',
+      'src/d.js': 'export const d = 4;\n'
+    });
+    try {
+      const provider = createProvider({ batchSize: 1, maxRetries: 2, retryDelayMs: 5, timeoutMs: 200, breakerThreshold: 1, breakerCooldownMs: 50 });
+      const indexer = new FileIndexer(provider, new MemoryVectorStore(), null, { embedConcurrency: 3, allowFallback: false });
+      server.failNext(3, 503);
+      await assert.rejects(provider.getEmbedding('warm-up', { allowFallback: false }), /HTTP 503/);
+      assert.equal(provider.breaker.state, 'open');
+
+      // The trial times out once and succeeds on its retry, long after the backoff of the others
+      server.stallNext(1);
+      const result = await indexer.indexDirectory(dir, 'app');
+
+      assert.equal(result.chunksIndexed, 4);
+      assert.equal(result.fallbackChunks, 0);
+      assert.ok(provider.status.rejectedRequests >= 3);
+      assert.equal(provider.status.failedRequests, 1);
+      assert.equal(provider.breaker.state, 'closed');
+      assert.equal(provider.breaker.opens, 1);
+      assert.equal(server.requests, 8);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('a failed job keeps the retry statistics', async () => {
+    const dir = await createProjectDir({ 'src/a.js': 'export const a = 1;\n' });
+    try {
+      const provider = createProvider({ maxRetries: 1 });
+      const jobManager = new JobManager();
+      const indexer = new FileIndexer(provider, new MemoryVectorStore(), jobManager, { allowFallback: false });
+      const job = jobManager.createJob('index', 'app');
+      server.setAvailable(false);
+
+      await assert.rejects(jobManager.runIndexJob(job.id, indexer, dir, 'app', [], false), EmbeddingUnavailableError);
+
+      assert.equal(job.status, 'failed');
+      assert.deepEqual(job.stats.embeddingRequests, { retries: 1, failedRequests: 1, rejectedRequests: 0 });
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('lets a single trial request through when half-open', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.opens, 2);
+  });
+
+  test('wakes requests waiting for the trial once it has an outcome', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+
+    let woken = false;
+    const waiting = breaker.waitForTurn().then(() => { woken = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(woken, false);
+
+    breaker.recordSuccess();
+    await waiting;
+    assert.equal(breaker.allowRequest(), true);
+  });
+});
@@ -0,0 +1,339 @@
+// ==========================================
+// HTTP Route Tests
+// ==========================================
+// Exercises the REST API and the MCP tools end to end against the in-memory store
+// REST embeddings come from a fake Ollama server that tests can take down
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { createProjectDir, writeFiles, startEmbeddingServer, startMcpServer } from './helpers.js';
+
+const ollama = await startEmbeddingServer();
+
+process.env.VECTOR_STORE = 'memory';
+process.env.OLLAMA_HOST = ollama.url;
+process.env.OLLAMA_MODEL = 'fake-embed';
+process.env.EMBEDDING_RETRY_DELAY_MS = '0';
+process.env.EMBEDDING_BREAKER_COOLDOWN_MS = '0';
+
+const { app, init } = await import('../index.js');
+
+describe('REST API', () => {
+  let server;
+  let baseUrl;
+  let dir;
+
+  /**
+   * Sends a JSON request to the test server
+   * @param {string} method - HTTP method
+   * @param {string} url - Path
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<{status: number, body: Object}>} Response
+   */
+  async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  /**
+   * Polls a job until it finishes
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Finished job
+   */
+  async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const { body: job } = await request('GET', `/api/jobs/${jobId}`);
+      if (job.status === 'completed' || job.status === 'failed') return job;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  before(async () => {
+    dir = await createProjectDir({
+      'src/auth.js': 'export function verifyToken(token) {\n  return token === process.env.SECRET;\n}\n',
+      'src/cart.js': 'export function addToCart(cart, item) {\n  cart.items.push(item);\n}\n'
+    });
+    await init();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await ollama.close();
+    await fs.remove(dir);
+  });
+
+  test('GET /health reports the store in use', async () => {
+    const { status, body } = await request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.store, 'memory');
+    assert.equal(body.mongodb, 'not used');
+    assert.equal(body.ollama, 'connected');
+    assert.equal(body.embedding.model, 'fake-embed');
+  });
+
+  test('GET /health reports an unavailable embedding service', async () => {
+    ollama.setAvailable(false);
+    try {
+      const { status, body } = await request('GET', '/health');
+      assert.equal(status, 503);
+      assert.equal(body.status, 'degraded');
+      assert.equal(body.ollama, 'unavailable');
+      assert.match(body.embedding.error, /HTTP 503/);
+    } finally {
+      ollama.setAvailable(true);
+    }
+  });
+
+  test('POST /api/projects validates its input', async () => {
+    assert.equal((await request('POST', '/api/projects', { projectId: 'x' })).status, 400);
+    assert.equal((await request('POST', '/api/projects', { projectId: 'x', directoryPath: dir, tags: 'a' })).status, 400);
+  });
+
+  test('indexing job makes the project searchable', async () => {
+    const { status, body } = await request('POST', '/api/projects', { projectId: 'shop', directoryPath: dir, tags: ['backend'] });
+    assert.equal(status, 200);
+
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.filesProcessed, 2);
+
+    const { body: projects } = await request('GET', '/api/projects');
+    const shop = projects.find(project => project.projectId === 'shop');
+    assert.equal(shop.documentCount, 2);
+    assert.deepEqual(shop.tags, ['backend']);
+
+    const { body: metadata } = await request('GET', '/api/projects/shop/metadata');
+    assert.equal(metadata.directoryPath, dir);
+
+    const search = await request('POST', '/mcp/context', { query: 'verify token', projectId: 'shop', mode: 'lexical' });
+    assert.equal(search.status, 200);
+    assert.equal(search.body.results[0].filePath, 'src/auth.js');
+
+    const semantic = await request('POST', '/mcp/context', { query: 'cart', projectId: 'shop', topK: 1 });
+    assert.equal(semantic.status, 200);
+    assert.equal(semantic.body.returned, 1);
+    assert.equal(semantic.body.total, 2);
+  });
+
+  test('POST /mcp/context rejects invalid options', async () => {
+    assert.equal((await request('POST', '/mcp/context', {})).status, 400);
+    assert.equal((await request('POST', '/mcp/context', { query: 'x', mode: 'fuzzy' })).status, 400);
+    assert.equal((await request('POST', '/mcp/context', { query: 'x', cursor: 'not-a-cursor' })).status, 400);
+    for (const topK of ['5', 0, 2.5, 101]) {
+      const { status, body } = await request('POST', '/mcp/context', { query: 'x', projectId: 'shop', offset: 1, topK });
+      assert.equal(status, 400);
+      assert.match(body.error, /topK must be an integer between 1 and 100/);
+    }
+    for (const efSearch of ['64', -1, 5000]) {
+      const { status, body } = await request('POST', '/mcp/context', { query: 'x', projectId: 'shop', efSearch });
+      assert.equal(status, 400);
+      assert.match(body.error, /efSearch must be an integer between 1 and 1000/);
+    }
+  });
+
+  test('POST /api/projects/:projectId/similar rejects invalid options', async () => {
+    assert.equal((await request('POST', '/api/projects/shop/similar', {})).status, 400);
+    const invalid = [
+      [{ snippet: 42 }, /must be strings/],
+      [{ filePath: 'src/cart.js', topK: '5' }, /topK must be an integer between 1 and 100/],
+      [{ filePath: 'src/cart.js', topK: 500 }, /topK/],
+      [{ filePath: 'src/cart.js', maxPerFile: 0 }, /maxPerFile must be a positive integer/],
+      [{ filePath: 'src/cart.js', startLine: '2', endLine: '10' }, /startLine must be a positive integer/],
+      [{ filePath: 'src/cart.js', startLine: 1, endLine: 1.5 }, /endLine must be a positive integer/],
+      [{ filePath: 'src/cart.js', startLine: 3, endLine: 2 }, /startLine must not be greater than endLine/]
+    ];
+    for (const [body, error] of invalid) {
+      const response = await request('POST', '/api/projects/shop/similar', body);
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, error);
+    }
+  });
+
+  test('POST /api/projects/:projectId/similar searches by an indexed range without re-embedding it', async () => {
+    const before = ollama.requests;
+    const { status, body } = await request('POST', '/api/projects/shop/similar', { filePath: 'src/cart.js', startLine: 2, endLine: 2 });
+
+    assert.equal(status, 200);
+    assert.equal(ollama.requests, before);
+    assert.equal(body.source.type, 'range');
+    assert.equal(body.source.chunkIds.length, 1);
+    assert.deepEqual([body.source.startLine, body.source.endLine], [1, 3]);
+    assert.deepEqual(body.results.map(result => result.filePath), ['src/auth.js']);
+
+    const missing = await request('POST', '/api/projects/shop/similar', { filePath: 'src/missing.js' });
+    assert.equal(missing.status, 404);
+  });
+
+  test('POST /api/projects/:projectId/similar embeds a snippet once', async () => {
+    const before = ollama.requests;
+    const { status, body } = await request('POST', '/api/projects/shop/similar', { snippet: 'cart.items.push(item)', topK: 1 });
+
+    assert.equal(status, 200);
+    assert.equal(ollama.requests, before + 1);
+    assert.deepEqual(body.source, { type: 'snippet' });
+    assert.equal(body.returned, 1);
+    assert.equal(body.total, 2);
+  });
+
+  test('update job only re-indexes changed files', async () => {
+    await writeFiles(dir, { 'src/cart.js': 'export function removeFromCart(cart, item) {\n  cart.items.splice(item, 1);\n}\n' });
+
+    const { body } = await request('POST', '/api/projects/shop/update', { directoryPath: dir });
+    const job = await waitForJob(body.jobId);
+
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result.deltaStats, { skipped: 1, updated: 1, added: 0, deleted: 0, rechunked: 0, total: 2 });
+
+    const search = await request('POST', '/mcp/context', { query: 'removeFromCart', projectId: 'shop', mode: 'lexical' });
+    assert.match(search.body.results[0].content, /removeFromCart/);
+  });
+
+  test('update job fails without saving anything while Ollama is down', async () => {
+    await writeFiles(dir, { 'src/cart.js': 'export function emptyCart(cart) {\n  cart.items = [];\n}\n' });
+    ollama.setAvailable(false);
+    try {
+      const { body } = await request('POST', '/api/projects/shop/update', { directoryPath: dir });
+      const job = await waitForJob(body.jobId);
+      assert.equal(job.status, 'failed');
+      assert.match(job.error, /Ollama embedding failed/);
+    } finally {
+      ollama.setAvailable(true);
+    }
+
+    const search = await request('POST', '/mcp/context', { query: 'removeFromCart', projectId: 'shop', mode: 'lexical' });
+    assert.match(search.body.results[0].content, /removeFromCart/);
+  });
+
+  test('POST /mcp/context answers 503 at once while Ollama is down', async () => {
+    ollama.setAvailable(false);
+    try {
+      const before = ollama.requests;
+      const semantic = await request('POST', '/mcp/context', { query: 'cart', projectId: 'shop' });
+      assert.equal(semantic.status, 503);
+      assert.match(semantic.body.error, /Ollama embedding failed/);
+      assert.equal(ollama.requests, before + 1);
+
+      const lexical = await request('POST', '/mcp/context', { query: 'removeFromCart', projectId: 'shop', mode: 'lexical' });
+      assert.equal(lexical.status, 200);
+    } finally {
+      ollama.setAvailable(true);
+    }
+  });
+
+  test('POST /api/projects/:projectId/repair re-embeds fallback chunks', async () => {
+    assert.equal((await request('POST', '/api/projects/missing/repair')).status, 404);
+
+    const { status, body } = await request('POST', '/api/projects/shop/repair');
+    assert.equal(status, 200);
+    assert.equal(body.fallbackDocuments, 0);
+
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.chunksRepaired, 0);
+  });
+
+  test('PUT /api/projects/:projectId/tags replaces tags', async () => {
+    const { status, body } = await request('PUT', '/api/projects/shop/tags', { tags: ['backend', 'payments'] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.tags, ['backend', 'payments']);
+  });
+
+  test('chunking settings are validated, saved and applied by the next update', async () => {
+    const invalid = await request('POST', '/api/projects', { projectId: 'shop', directoryPath: dir, chunking: { chunkSize: 5 } });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /chunkSize/);
+    const extensions = await request('POST', '/api/projects/shop/update', { directoryPath: dir, includeExtensions: '.tf' });
+    assert.equal(extensions.status, 400);
+
+    const chunking = { chunkSize: 1000, overlapLines: 2 };
+    const { body } = await request('POST', '/api/projects/shop/update', { directoryPath: dir, chunking });
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.deltaStats.skipped, 0); // Unchanged files are re-chunked too
+    assert.equal(job.result.deltaStats.rechunked, 1);
+
+    const { body: metadata } = await request('GET', '/api/projects/shop/metadata');
+    assert.deepEqual(metadata.chunking, { chunkSize: 1000, overlapLines: 2, overlapChars: 0, headerTemplate: 'File: {file}\nIn: {scope}\nLines {startLine}-{endLine}:' });
+  });
+
+  test('POST /api/embeddings/migrate is only available with MongoDB', async () => {
+    const { status } = await request('POST', '/api/embeddings/migrate', { format: 'int8' });
+    assert.equal(status, 400);
+  });
+
+  test('POST /api/projects/:projectId/reembed re-embeds with the configured model', async () => {
+    assert.equal((await request('POST', '/api/projects/missing/reembed')).status, 404);
+
+    const { status, body } = await request('POST', '/api/projects/shop/reembed');
+    assert.equal(status, 200);
+
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.chunksReembedded, 2);
+
+    const { body: metadata } = await request('GET', '/api/projects/shop/metadata');
+    assert.equal(metadata.embeddingModel, 'fake-embed');
+    assert.equal(metadata.embeddingDimensions, 64);
+  });
+
+  test('DELETE /api/projects/:projectId removes the project', async () => {
+    const { body } = await request('DELETE', '/api/projects/shop');
+    assert.equal(body.deletedCount, 2);
+
+    const { body: projects } = await request('GET', '/api/projects');
+    assert.ok(!projects.some(project => project.projectId === 'shop'));
+  });
+});
+
+describe('MCP tools', () => {
+  let dir;
+  let mcp;
+
+  before(async () => {
+    dir = await createProjectDir({
+      'src/auth.js': 'export function verifyToken(token) {\n  return token === process.env.SECRET;\n}\n',
+      'src/cart.js': 'export function addToCart(cart, item) {\n  cart.items.push(item);\n}\n',
+      'src/basket.js': 'export function addToBasket(basket, item) {\n  basket.items.push(item);\n}\n'
+    });
+    mcp = await startMcpServer({ ...process.env, VECTOR_STORE: 'memory', EMBEDDING_PROVIDER: 'hash', DEFAULT_PROJECT_ID: 'shop' });
+    await mcp.callTool('index_codebase', { projectId: 'shop', directoryPath: dir });
+  });
+
+  after(async () => {
+    await mcp.close();
+    await fs.remove(dir);
+  });
+
+  test('find_similar_code finds code like an indexed range and leaves the range out', async () => {
+    const { content: [{ text }] } = await mcp.callTool('find_similar_code', { filePath: 'src/cart.js', startLine: 2, endLine: 2, topK: 1 });
+
+    assert.match(text, /similar to src\/cart\.js \(lines 1-3\)/);
+    assert.match(text, /\*\*File:\*\* src\/basket\.js/);
+    assert.doesNotMatch(text, /\*\*File:\*\* src\/cart\.js/);
+  });
+
+  test('find_similar_code and search_code reject invalid limits and ranges', async () => {
+    const invalid = [
+      ['find_similar_code', { filePath: 'src/cart.js', topK: '5' }, /topK must be an integer between 1 and 100/],
+      ['find_similar_code', { filePath: 'src/cart.js', maxPerFile: -1 }, /maxPerFile must be a positive integer/],
+      ['find_similar_code', { filePath: 'src/cart.js', startLine: '2' }, /startLine must be a positive integer/],
+      ['find_similar_code', { filePath: 'src/cart.js', startLine: 3, endLine: 1 }, /startLine must not be greater than endLine/],
+      ['search_code', { query: 'cart', topK: 0 }, /topK must be an integer between 1 and 100/],
+      ['search_code', { query: 'cart', efSearch: '64' }, /efSearch must be an integer between 1 and 1000/]
+    ];
+    for (const [tool, args, error] of invalid) {
+      const { content: [{ text }] } = await mcp.callTool(tool, args);
+      assert.match(text, /^Error: /);
+      assert.match(text, error);
+    }
+  });
+});
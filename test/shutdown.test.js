@@ -0,0 +1,107 @@
+// ==========================================
+// Shutdown Tests
+// ==========================================
+// Both entry points write the file store's delayed changes before exiting
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createProjectDir, startMcpServer } from './helpers.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Waits for a child process to exit
+ * @param {ChildProcess} child - Child process
+ * @returns {Promise<number>} Exit code
+ */
+function exited(child) {
+  return new Promise(resolve => child.once('exit', code => resolve(code)));
+}
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} Port number
+ */
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('shutdown', () => {
+  let dir;
+  let storeDir;
+  let env;
+
+  beforeEach(async () => {
+    dir = await createProjectDir({ 'src/auth.js': 'export function verifyToken(token) {\n  return token === process.env.SECRET;\n}\n' });
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-mcp-store-'));
+    env = { ...process.env, VECTOR_STORE: 'file', VECTOR_STORE_DIR: storeDir, EMBEDDING_PROVIDER: 'hash' };
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+    await fs.remove(storeDir);
+  });
+
+  /**
+   * Asserts that the indexed project and the embedding cache were written to disk
+   */
+  async function assertSaved() {
+    assert.ok((await fs.readdir(path.join(storeDir, 'app'))).length > 0);
+    assert.ok(await fs.pathExists(path.join(storeDir, 'embedding-cache.json')));
+  }
+
+  test('the MCP server flushes the file store when its client closes stdin', async () => {
+    const mcp = await startMcpServer(env);
+    const indexed = await mcp.callTool('index_codebase', { projectId: 'app', directoryPath: dir });
+    assert.match(indexed.content[0].text, /Successfully indexed/);
+
+    assert.equal(await mcp.close(), 0);
+    await assertSaved();
+  });
+
+  test('the REST server flushes the file store on SIGTERM', async () => {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['index.js'], { cwd: ROOT, env: { ...env, PORT: String(port) }, stdio: 'ignore' });
+    const exit = exited(child);
+    const baseUrl = `http://127.0.0.1:${port}`;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await fetch(`${baseUrl}/health`);
+          break;
+        } catch (error) {
+          if (attempt >= 200) throw error;
+          await new Promise(resolve => setTimeout(resolve, 25));
+        }
+      }
+
+      const created = await fetch(`${baseUrl}/api/projects`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectId: 'app', directoryPath: dir })
+      });
+      const { jobId } = await created.json();
+      let job;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 25));
+        job = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+      } while (job.status !== 'completed' && job.status !== 'failed');
+      assert.equal(job.status, 'completed');
+    } finally {
+      child.kill('SIGTERM');
+    }
+
+    assert.equal(await exit, 0);
+    await assertSaved();
+  });
+});
@@ -0,0 +1,570 @@
+// ==========================================
+// Syntax-Aware Chunking
+// ==========================================
+// Splits source files into chunks along declaration boundaries
+// JavaScript and TypeScript are parsed with @babel/parser; other code is split on
+// indentation, which follows the block structure of brace and indent languages alike.
+// Small neighbouring declarations share a chunk; a declaration larger than a chunk is
+// split along its members or statements, and those chunks name the enclosing
+// declarations in their header. Prose and data files are split on a line budget.
+// Projects can change the chunk size, repeat the end of each chunk at the start of
+// the next (overlap) and word the chunk headers differently (see normalizeChunkingOptions).
+
+import path from 'path';
+import crypto from 'crypto';
+import { parse } from '@babel/parser';
+
+/** Characters of source per chunk (headers not included) */
+export const DEFAULT_CHUNK_SIZE = 2000;
+
+/** Bounds of a project's chunk size */
+const MIN_CHUNK_SIZE = 200;
+const MAX_CHUNK_SIZE = 32000;
+
+/**
+ * Header above the source lines of a chunk
+ * Placeholders: {file}, {scope} (enclosing declarations), {startLine} and {endLine}.
+ * Lines with {scope} are left out for chunks outside any declaration.
+ */
+export const DEFAULT_HEADER_TEMPLATE = 'File: {file}\nIn: {scope}\nLines {startLine}-{endLine}:';
+
+const HEADER_PLACEHOLDERS = ['file', 'scope', 'startLine', 'endLine'];
+
+/** Longest header template accepted */
+const MAX_HEADER_TEMPLATE_LENGTH = 1000;
+
+/** Chunking of projects that do not configure it */
+export const DEFAULT_CHUNKING = Object.freeze({
+  chunkSize: DEFAULT_CHUNK_SIZE,
+  overlapLines: 0,
+  overlapChars: 0,
+  headerTemplate: DEFAULT_HEADER_TEMPLATE
+});
+
+const SCRIPT_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs']);
+const TYPESCRIPT_EXTENSIONS = new Set(['.ts', '.tsx', '.mts', '.cts']);
+
+/** Code without a parser here, split on indentation */
+const INDENTED_EXTENSIONS = new Set([
+  '.py', '.java', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.rb', '.go', '.rs', '.swift',
+  '.kt', '.scala', '.clj', '.r', '.m', '.pl', '.vue', '.svelte', '.astro',
+  '.css', '.scss', '.sass', '.less', '.sql', '.sh', '.bash', '.zsh', '.fish', '.ps1'
+]);
+
+/** Lines continuing the item above them at the same indentation (closing brackets, else branches) */
+const CONTINUATION = /^(?:[}\])]|\{|end\b|else\b|elif\b|elsif\b|except\b|catch\b|finally\b|rescue\b|ensure\b)/;
+
+/** Comments, decorators and annotations, which belong to the item below them (not `#include` or CSS `#id`) */
+const PREAMBLE = /^(?:\/\/|\/\*|\*|#(?:\s|!|$)|--|@|<!--)/;
+
+/** Longest signature kept in a chunk header */
+const MAX_SIGNATURE_LENGTH = 100;
+
+/**
+ * A span of lines, optionally a declaration with nested units
+ * @typedef {Object} Unit
+ * @property {number} start - First line (1-based)
+ * @property {number} end - Last line (inclusive)
+ * @property {string|null} signature - Declaration header, e.g. 'export class FileIndexer'
+ * @property {Unit[]|null} children - Members or statements, used to split the unit when it is too large
+ */
+
+/**
+ * Validates a project's chunking settings and fills in the defaults
+ * @param {Object|null} [options] - Settings ({ chunkSize, overlapLines, overlapChars, headerTemplate }),
+ *   null or omitted for the defaults
+ * @returns {{chunkSize: number, overlapLines: number, overlapChars: number, headerTemplate: string}} Settings
+ * @throws {Error} If a setting is unknown or out of range
+ */
+export function normalizeChunkingOptions(options) {
+  if (options === undefined || options === null) return { ...DEFAULT_CHUNKING };
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('chunking must be an object');
+  }
+  const unknown = Object.keys(options).find(key => !(key in DEFAULT_CHUNKING));
+  if (unknown) {
+    throw new Error(`Unknown chunking setting "${unknown}" (expected ${Object.keys(DEFAULT_CHUNKING).join(', ')})`);
+  }
+
+  const chunking = { ...DEFAULT_CHUNKING, ...options };
+  const { chunkSize, overlapLines, overlapChars, headerTemplate } = chunking;
+  if (!(Number.isInteger(chunkSize) && chunkSize >= MIN_CHUNK_SIZE && chunkSize <= MAX_CHUNK_SIZE)) {
+    throw new Error(`chunkSize must be an integer between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE}`);
+  }
+  if (!(Number.isInteger(overlapLines) && overlapLines >= 0)) {
+    throw new Error('overlapLines must be a non-negative integer');
+  }
+  if (!(Number.isInteger(overlapChars) && overlapChars >= 0 && overlapChars < chunkSize)) {
+    throw new Error('overlapChars must be a non-negative integer smaller than chunkSize');
+  }
+  if (typeof headerTemplate !== 'string' || headerTemplate.length > MAX_HEADER_TEMPLATE_LENGTH) {
+    throw new Error(`headerTemplate must be a string of at most ${MAX_HEADER_TEMPLATE_LENGTH} characters`);
+  }
+  const placeholder = [...headerTemplate.matchAll(/\{(\w+)\}/g)].find(([, name]) => !HEADER_PLACEHOLDERS.includes(name));
+  if (placeholder) {
+    throw new Error(`Unknown header placeholder ${placeholder[0]} (expected ${HEADER_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`);
+  }
+  return chunking;
+}
+
+/**
+ * Identifies chunking settings, so files chunked with other settings can be found
+ * @param {Object} chunking - Normalized settings (see normalizeChunkingOptions)
+ * @returns {string} Short hash of the settings
+ */
+export function chunkingSignature(chunking) {
+  const { chunkSize, overlapLines, overlapChars, headerTemplate } = chunking;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([chunkSize, overlapLines, overlapChars, headerTemplate]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Splits a file into chunks, each with a header naming the file, its enclosing declarations and its lines
+ * Without overlap, chunks cover every line of the file exactly once, in order; with
+ * overlap, a chunk starts with the last lines of the chunk before it.
+ * @param {string} content - File content
+ * @param {string} filename - File path, used in headers and to pick the language
+ * @param {Object} [options={}] - Chunking options
+ * @param {number} [options.maxChunkSize=2000] - Characters of source per chunk (overlap not included)
+ * @param {number} [options.overlapLines=0] - Most lines of the previous chunk repeated at the start of a chunk
+ * @param {number} [options.overlapChars=0] - Most characters repeated that way; overlap is made of whole
+ *   lines within both limits (a limit of 0 does not apply, unless both are 0)
+ * @param {string} [options.headerTemplate] - Chunk header (see DEFAULT_HEADER_TEMPLATE)
+ * @returns {{content: string, startLine: number, endLine: number}[]} Chunks
+ */
+export function chunkSource(content, filename, options = {}) {
+  const maxChunkSize = options.maxChunkSize ?? DEFAULT_CHUNK_SIZE;
+  const headerTemplate = options.headerTemplate ?? DEFAULT_HEADER_TEMPLATE;
+  const lines = content.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop(); // Trailing newline
+
+  if (!content.trim()) {
+    const span = { start: 1, end: lines.length, scope: [] };
+    return [{ content: formatChunk(headerTemplate, filename, span, lines), startLine: 1, endLine: lines.length }];
+  }
+
+  const spans = [];
+  const units = findUnits(content, lines, filename);
+  if (units) {
+    packUnits(normalizeUnits(units, 1, lines.length), lines, maxChunkSize, [], spans);
+  } else {
+    splitLines(lines, 1, lines.length, maxChunkSize, [], spans);
+  }
+
+  const chunks = mergeSmallSpans(mergeBlankSpans(spans, lines), lines, maxChunkSize);
+  return chunks.map((span, i) => {
+    const start = i > 0 ? overlapStart(chunks[i - 1], span.start, lines, options) : span.start;
+    return {
+      content: formatChunk(headerTemplate, filename, { ...span, start }, lines),
+      startLine: start,
+      endLine: span.end
+    };
+  });
+}
+
+/**
+ * Finds the top-level units of a file
+ * @param {string} content - File content
+ * @param {string[]} lines - File lines
+ * @param {string} filename - File path
+ * @returns {Unit[]|null} Units, or null for files split on a line budget
+ */
+function findUnits(content, lines, filename) {
+  const ext = path.extname(filename).toLowerCase();
+  if (SCRIPT_EXTENSIONS.has(ext) || TYPESCRIPT_EXTENSIONS.has(ext)) {
+    try {
+      return syntaxUnits(parseScript(content, ext).program.body, content);
+    } catch {
+      // Not parseable (e.g. syntax the parser does not know): fall back to indentation
+      return indentUnits(lines, 1, lines.length);
+    }
+  }
+  return INDENTED_EXTENSIONS.has(ext) ? indentUnits(lines, 1, lines.length) : null;
+}
+
+/**
+ * Parses JavaScript or TypeScript, tolerating recoverable syntax errors
+ * @param {string} content - Source code
+ * @param {string} ext - Lower-cased file extension
+ * @returns {Object} Babel AST
+ * @throws {SyntaxError} If the code cannot be parsed
+ */
+function parseScript(content, ext) {
+  const plugins = TYPESCRIPT_EXTENSIONS.has(ext) ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy'];
+  if (ext === '.tsx') plugins.push('jsx');
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true,
+    plugins
+  });
+}
+
+/**
+ * Builds units from AST nodes (statements, class members, object properties)
+ * A unit starts at the comments attached above its node.
+ * @param {Object[]} nodes - Sibling nodes
+ * @param {string} content - Source code
+ * @returns {Unit[]} Units in source order
+ */
+function syntaxUnits(nodes, content) {
+  let previousEnd = 0;
+  return nodes.map(node => {
+    const block = blockOf(node);
+    // Comments on the previous node's last line are attached to both nodes; they stay with the previous one
+    const comment = node.leadingComments?.find(c => c.loc.start.line > previousEnd);
+    previousEnd = node.loc.end.line;
+    return {
+      start: (comment || node).loc.start.line,
+      end: node.loc.end.line,
+      signature: block ? formatSignature(content.slice(node.start, block.bodyStart)) : null,
+      children: block ? syntaxUnits(block.nodes, content) : null
+    };
+  });
+}
+
+/**
+ * Finds the block a node opens: a function or class body, an object literal, the
+ * callback of a call such as `app.get('/path', (req, res) => { ... })`, etc.
+ * @param {Object|null} node - AST node
+ * @returns {{bodyStart: number, nodes: Object[]}|null} Offset where the block starts (the
+ *   signature ends) and the nodes inside it, or null if the node opens no block
+ */
+function blockOf(node) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+      return blockOf(node.declaration);
+    case 'VariableDeclaration':
+      return node.declarations.length === 1 ? blockOf(node.declarations[0].init) : null;
+    case 'ExpressionStatement':
+      return blockOf(node.expression);
+    case 'ReturnStatement':
+    case 'AwaitExpression':
+    case 'TSExportAssignment':
+      return blockOf(node.argument ?? node.expression);
+    case 'AssignmentExpression':
+      return blockOf(node.right);
+    case 'CallExpression':
+    case 'NewExpression':
+      return blockOf(node.arguments[node.arguments.length - 1]);
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+    case 'ObjectProperty':
+      return blockOf(node.value);
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+    case 'TSInterfaceDeclaration':
+      return { bodyStart: node.body.start, nodes: node.body.body };
+    case 'TSModuleDeclaration':
+      return node.body?.body ? { bodyStart: node.body.start, nodes: node.body.body } : null;
+    case 'TSEnumDeclaration':
+      return node.members.length > 0 ? { bodyStart: node.members[0].start, nodes: node.members } : null;
+    case 'ObjectExpression':
+      return { bodyStart: node.start, nodes: node.properties };
+    case 'SwitchStatement':
+      return node.cases.length > 0 ? { bodyStart: node.cases[0].start, nodes: node.cases } : null;
+    case 'SwitchCase':
+      return node.consequent.length > 0 ? { bodyStart: node.consequent[0].start, nodes: node.consequent } : null;
+    case 'TryStatement':
+      return { bodyStart: node.block.start, nodes: node.block.body };
+    case 'IfStatement':
+      return node.consequent.type === 'BlockStatement' ? { bodyStart: node.consequent.start, nodes: node.consequent.body } : null;
+    default:
+      // Functions, methods and loops
+      if (node.body?.type === 'BlockStatement') {
+        return { bodyStart: node.body.start, nodes: node.body.body };
+      }
+      return node.type === 'ArrowFunctionExpression' ? blockOf(node.body) : null;
+  }
+}
+
+/**
+ * Builds units from indentation: an item starts at a line indented no deeper than the
+ * first line of the range and runs until the next item. Comments and decorators directly
+ * above a line belong to its item; closing brackets and else branches continue the item
+ * above them.
+ * @param {string[]} lines - File lines
+ * @param {number} from - First line of the range
+ * @param {number} to - Last line of the range
+ * @returns {Unit[]} Units in source order
+ */
+function indentUnits(lines, from, to) {
+  const items = [];
+  let base = null;
+  let preamble = null; // First comment line directly above the next item
+
+  for (let n = from; n <= to; n++) {
+    const line = lines[n - 1];
+    const text = line.trim();
+    if (!text) {
+      preamble = null;
+      continue;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    base ??= indent;
+    if (indent > base || (items.length > 0 && CONTINUATION.test(text))) continue;
+    if (PREAMBLE.test(text) && !text.endsWith('{')) {
+      preamble ??= n;
+      continue;
+    }
+
+    const start = preamble ?? n;
+    preamble = null;
+    if (items.length > 0) items[items.length - 1].end = start - 1;
+    items.push({ start, end: to, header: n });
+  }
+
+  return items.map(({ start, end, header }) => ({
+    start,
+    end,
+    signature: formatSignature(lines[header - 1]),
+    children: end > header ? indentUnits(lines, header + 1, end) : null
+  }));
+}
+
+/**
+ * Makes units cover a line range exactly: clips them to the range, merges units that
+ * share lines and fills the gaps between them with plain units
+ * @param {Unit[]} units - Units in source order
+ * @param {number} from - First line of the range
+ * @param {number} to - Last line of the range
+ * @returns {Unit[]} Contiguous units
+ */
+function normalizeUnits(units, from, to) {
+  const result = [];
+  let next = from; // First line not covered yet
+
+  for (const unit of units) {
+    const end = Math.min(unit.end, to);
+    if (end < next) continue;
+
+    const previous = result[result.length - 1];
+    if (unit.start < next && previous) {
+      // Shares a line with the previous unit (e.g. `a(); b();`): merge into a plain unit
+      result[result.length - 1] = { start: previous.start, end, signature: null, children: null };
+    } else {
+      if (unit.start > next) result.push({ start: next, end: unit.start - 1, signature: null, children: null });
+      result.push({ ...unit, start: Math.max(unit.start, next), end });
+    }
+    next = end + 1;
+  }
+  if (next <= to) result.push({ start: next, end: to, signature: null, children: null });
+  return result;
+}
+
+/**
+ * Packs units into chunks: neighbours share a chunk while it stays within the size
+ * limit; a unit larger than a chunk is split along its children (or its lines)
+ * @param {Unit[]} units - Contiguous units
+ * @param {string[]} lines - File lines
+ * @param {number} maxChunkSize - Characters per chunk
+ * @param {string[]} scope - Signatures of the enclosing declarations
+ * @param {Object[]} spans - Receives { start, end, scope } chunk spans
+ */
+function packUnits(units, lines, maxChunkSize, scope, spans) {
+  let current = null;
+  const flush = () => {
+    if (current) spans.push(current);
+    current = null;
+  };
+
+  for (const unit of units) {
+    const size = spanSize(lines, unit.start, unit.end);
+    if (size > maxChunkSize) {
+      flush();
+      const inner = unit.signature ? [...scope, unit.signature] : scope;
+      if (unit.children?.length > 0) {
+        const children = normalizeUnits(unit.children, unit.start, unit.end);
+        if (!children[0].signature && !children[0].children) {
+          children[0].header = true; // The declaration's own header lines
+        }
+        packUnits(children, lines, maxChunkSize, inner, spans);
+      } else {
+        splitLines(lines, unit.start, unit.end, maxChunkSize, inner, spans);
+      }
+      continue;
+    }
+
+    if (current && current.size + size > maxChunkSize) flush();
+    if (current) {
+      current.end = unit.end;
+      current.size += size;
+      current.header = false;
+    } else {
+      current = { start: unit.start, end: unit.end, size, scope, header: Boolean(unit.header) };
+    }
+  }
+  flush();
+}
+
+/**
+ * Splits a range of lines on a character budget, preferring to end chunks at blank lines
+ * @param {string[]} lines - File lines
+ * @param {number} from - First line of the range
+ * @param {number} to - Last line of the range
+ * @param {number} maxChunkSize - Characters per chunk
+ * @param {string[]} scope - Signatures of the enclosing declarations
+ * @param {Object[]} spans - Receives { start, end, scope } chunk spans
+ */
+function splitLines(lines, from, to, maxChunkSize, scope, spans) {
+  let start = from;
+  let size = 0;
+  let lastBlank = null;
+
+  for (let n = from; n <= to; n++) {
+    const length = lines[n - 1].length + 1;
+    if (size + length > maxChunkSize && n > start) {
+      // End at the last blank line if that keeps at least half of the chunk
+      const end = lastBlank !== null && lastBlank - start >= (n - start) / 2 ? lastBlank : n - 1;
+      spans.push({ start, end, scope });
+      start = end + 1;
+      size = spanSize(lines, start, n - 1);
+      lastBlank = null;
+    }
+    size += length;
+    if (!lines[n - 1].trim()) lastBlank = n;
+  }
+  spans.push({ start, end: to, scope });
+}
+
+/**
+ * Folds spans holding only blank lines into the span before (or after) them
+ * @param {Object[]} spans - Contiguous spans
+ * @param {string[]} lines - File lines
+ * @returns {Object[]} Spans with content
+ */
+function mergeBlankSpans(spans, lines) {
+  const result = [];
+  let carry = null; // Start of blank spans before the first span with content
+
+  for (const span of spans) {
+    if (lines.slice(span.start - 1, span.end).every(line => !line.trim())) {
+      if (result.length > 0) result[result.length - 1].end = span.end;
+      else carry ??= span.start;
+      continue;
+    }
+    result.push({ ...span, start: carry ?? span.start });
+    carry = null;
+  }
+  return result;
+}
+
+/**
+ * Folds spans under a quarter of the chunk size (e.g. a class header or the closing
+ * brackets left over after splitting a declaration) into the smaller neighbour, as
+ * long as the result stays within the chunk size; declaration headers go with the
+ * members after them
+ * @param {Object[]} spans - Contiguous spans
+ * @param {string[]} lines - File lines
+ * @param {number} maxChunkSize - Characters per chunk
+ * @returns {Object[]} Spans
+ */
+function mergeSmallSpans(spans, lines, maxChunkSize) {
+  const pending = spans.map(span => ({ ...span }));
+  const result = [];
+
+  for (let i = 0; i < pending.length; i++) {
+    const span = pending[i];
+    const size = spanSize(lines, span.start, span.end);
+    if (size < maxChunkSize / 4) {
+      const previous = result[result.length - 1];
+      const next = pending[i + 1];
+      const previousSize = previous ? spanSize(lines, previous.start, previous.end) : Infinity;
+      const nextSize = next ? spanSize(lines, next.start, next.end) : Infinity;
+      const forward = nextSize + size <= maxChunkSize && (span.header || nextSize < previousSize);
+
+      if (!forward && previousSize + size <= maxChunkSize) {
+        previous.end = span.end;
+        continue;
+      }
+      if (forward) {
+        next.start = span.start;
+        next.scope = span.scope; // A chunk's header names the declarations its first line is in
+        continue;
+      }
+    }
+    result.push(span);
+  }
+  return result;
+}
+
+/**
+ * Number of characters in a range of lines (including line breaks)
+ * @param {string[]} lines - File lines
+ * @param {number} from - First line
+ * @param {number} to - Last line
+ * @returns {number} Size in characters
+ */
+function spanSize(lines, from, to) {
+  let size = 0;
+  for (let n = from; n <= to; n++) size += lines[n - 1].length + 1;
+  return size;
+}
+
+/**
+ * Finds where a chunk starts once the end of the previous chunk is repeated in it
+ * @param {{start: number}} previous - Previous chunk span
+ * @param {number} start - First line of the chunk
+ * @param {string[]} lines - File lines
+ * @param {{overlapLines?: number, overlapChars?: number}} options - Overlap limits
+ * @returns {number} First line including the overlap
+ */
+function overlapStart(previous, start, lines, { overlapLines = 0, overlapChars = 0 }) {
+  if (!overlapLines && !overlapChars) return start;
+  const lineLimit = overlapLines || Infinity;
+  const charLimit = overlapChars || Infinity;
+
+  let from = start;
+  let size = 0;
+  while (from > previous.start && start - from < lineLimit) {
+    const length = lines[from - 2].length + 1;
+    if (size + length > charLimit) break;
+    size += length;
+    from--;
+  }
+  return from;
+}
+
+/**
+ * Shortens a declaration header to one line for chunk headers
+ * @param {string} text - Source text up to the declaration's body
+ * @returns {string} Signature, e.g. 'async indexDirectory(dirPath, projectId)'
+ */
+function formatSignature(text) {
+  const signature = text.replace(/\s+/g, ' ').trim().replace(/\s*[{:=]$/, '');
+  return signature.length > MAX_SIGNATURE_LENGTH ? `${signature.slice(0, MAX_SIGNATURE_LENGTH - 3)}...` : signature;
+}
+
+/**
+ * Builds the text of a chunk: its header, a blank line and its source lines
+ * @param {string} headerTemplate - Header template (see DEFAULT_HEADER_TEMPLATE)
+ * @param {string} filename - File path
+ * @param {{start: number, end: number, scope: string[]}} span - Chunk span
+ * @param {string[]} lines - File lines
+ * @returns {string} Chunk content
+ */
+function formatChunk(headerTemplate, filename, span, lines) {
+  const values = {
+    file: filename,
+    scope: span.scope.join(' > '),
+    startLine: span.start,
+    endLine: span.end
+  };
+  const header = headerTemplate
+    .split('\n')
+    .filter(line => values.scope || !line.includes('{scope}'))
+    .map(line => line.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder))
+    .join('\n');
+  const body = lines.slice(span.start - 1, span.end).join('\n');
+  return header ? `${header}\n\n${body}\n` : `${body}\n`;
+}
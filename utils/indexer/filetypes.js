@@ -0,0 +1,167 @@
+// ==========================================
+// File Type Detection
+// ==========================================
+// Decides which files are worth indexing. Extensions pick the candidates (projects can
+// add or remove extensions); extensionless files are candidates too. The content of
+// every candidate is then sniffed: binary data, text that is not UTF-8, minified code
+// and generated files are skipped, each with a reason reported in the job result.
+
+import path from 'path';
+
+/** Extensions indexed by default */
+export const TEXT_EXTENSIONS = new Set([
+  // Programming languages
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', // JavaScript/TypeScript
+  '.py', '.pyi',                                                // Python
+  '.java', '.kt', '.kts', '.scala', '.groovy', '.gradle',       // JVM
+  '.c', '.cpp', '.cc', '.h', '.hpp',                            // C/C++
+  '.cs', '.fs', '.vb',                                          // .NET
+  '.php', '.rb', '.go', '.rs', '.swift', '.dart', '.lua',
+  '.clj', '.ex', '.exs', '.erl', '.hs', '.ml', '.jl', '.zig',
+  '.r',                                                         // R
+  '.m',                                                         // MATLAB/Objective-C
+  '.pl',                                                        // Perl
+
+  // Web technologies
+  '.html', '.css', '.scss', '.sass', '.less',
+  '.vue', '.svelte', '.astro',                                  // Frontend frameworks
+  '.ejs', '.hbs', '.erb', '.njk', '.pug',                       // Templates
+
+  // Schemas and infrastructure
+  '.proto', '.graphql', '.gql', '.prisma', '.sql',
+  '.tf', '.tfvars', '.hcl', '.nix', '.cmake', '.mk', '.dockerfile',
+
+  // Data formats
+  '.xml', '.json', '.yaml', '.yml',
+  '.toml', '.ini', '.conf', '.config', '.properties',
+
+  // Documentation
+  '.md', '.mdx', '.rst', '.adoc', '.txt',
+
+  // Shell scripts
+  '.sh', '.bash', '.zsh', '.fish',
+  '.ps1', '.bat',                                               // Windows scripts
+
+  // Other
+  '.gitignore', '.lock'
+]);
+
+/**
+ * Why a file was not indexed
+ * @enum {string}
+ */
+export const SKIP_REASONS = {
+  excludedExtension: 'excludedExtension',       // Extension excluded by the project
+  unsupportedExtension: 'unsupportedExtension', // Extension not indexed (add it with includeExtensions)
+  tooLarge: 'tooLarge',                         // Larger than MAX_FILE_SIZE
+  binary: 'binary',                             // Contains NUL bytes
+  encoding: 'encoding',                         // Not valid UTF-8 (e.g. UTF-16 or Latin-1)
+  minified: 'minified',                         // Minified code or single-line data
+  generated: 'generated',                       // Marked as generated, or compiled with a source map
+  unreadable: 'unreadable'                      // Could not be read
+};
+
+/** Largest file indexed, in bytes */
+export const MAX_FILE_SIZE = 1024 * 1024;
+
+/** Bytes checked for NUL bytes */
+const SNIFF_BYTES = 8000;
+
+/** A line this long only appears in minified code or data */
+const MAX_LINE_LENGTH = 5000;
+
+/** Average line length of minified files (checked from MINIFIED_MIN_SIZE characters) */
+const MAX_AVERAGE_LINE_LENGTH = 1000;
+const MINIFIED_MIN_SIZE = 2000;
+
+/** Lines at the top of a file searched for generated-file markers */
+const GENERATED_HEADER_LINES = 10;
+
+/** Markers of generated files ("@generated", "Code generated by protoc-gen-go. DO NOT EDIT.", ...) */
+const GENERATED_MARKERS = [
+  /@generated\b/,
+  /\bDO NOT EDIT\b/,
+  /^\W*(?:this (?:file|code) (?:is|was|has been) )?(?:auto(?:matically|-)? ?)?generated (?:by|from|with|using)\b/im
+];
+
+/** Source map reference at the end of compiled JavaScript or CSS */
+const SOURCE_MAP_COMMENT = /\/[/*][#@] sourceMappingURL=\S+\s*(?:\*\/)?\s*$/;
+
+const UTF8 = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+/**
+ * Validates a project's extra or excluded extensions
+ * @param {string[]} extensions - Extensions, with or without the leading dot
+ * @param {string} name - Setting name used in the error message
+ * @returns {string[]} Lower-case extensions with a leading dot
+ * @throws {Error} If the value is not a list of extensions
+ */
+export function normalizeExtensions(extensions, name) {
+  const valid = Array.isArray(extensions) && extensions.every(ext => typeof ext === 'string' && /^\.?[^./\\\s]+$/.test(ext.trim()));
+  if (!valid) {
+    throw new Error(`${name} must be an array of file extensions such as ".tf"`);
+  }
+  return [...new Set(extensions.map(ext => ext.trim().toLowerCase().replace(/^\.?/, '.')))];
+}
+
+/**
+ * Decides from its name whether a file is a candidate for indexing
+ * @param {string} filename - File path
+ * @param {Object} [fileTypes={}] - Project settings
+ * @param {string[]} [fileTypes.includeExtensions=[]] - Extensions indexed in addition to TEXT_EXTENSIONS
+ * @param {string[]} [fileTypes.excludeExtensions=[]] - Extensions never indexed (wins over includeExtensions)
+ * @returns {string|null} Skip reason, or null if the file's content should be checked
+ */
+export function extensionSkipReason(filename, { includeExtensions = [], excludeExtensions = [] } = {}) {
+  const ext = path.extname(filename).toLowerCase();
+  if (excludeExtensions.includes(ext)) return SKIP_REASONS.excludedExtension;
+  if (!ext || TEXT_EXTENSIONS.has(ext) || includeExtensions.includes(ext)) return null;
+  return SKIP_REASONS.unsupportedExtension;
+}
+
+/**
+ * Decodes a file and decides from its content whether to index it
+ * @param {Buffer} buffer - File content
+ * @returns {{content: string|null, reason: string|null}} Decoded text (null if it is not UTF-8) and
+ *   the skip reason, or null if the file should be indexed
+ */
+export function inspectContent(buffer) {
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  if (head.includes(0)) {
+    // UTF-16 text is full of NUL bytes too, but it is text in another encoding
+    const utf16 = (head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff);
+    return { content: null, reason: utf16 ? SKIP_REASONS.encoding : SKIP_REASONS.binary };
+  }
+
+  let content;
+  try {
+    content = UTF8.decode(buffer);
+  } catch {
+    return { content: null, reason: SKIP_REASONS.encoding };
+  }
+
+  if (isMinified(content)) return { content, reason: SKIP_REASONS.minified };
+  if (isGenerated(content)) return { content, reason: SKIP_REASONS.generated };
+  return { content, reason: null };
+}
+
+/**
+ * Recognizes minified code and single-line data by the length of its lines
+ * @param {string} content - File content
+ * @returns {boolean} True if the lines are too long to be written by hand
+ */
+function isMinified(content) {
+  const lines = content.split('\n');
+  if (lines.some(line => line.length > MAX_LINE_LENGTH)) return true;
+  return content.length >= MINIFIED_MIN_SIZE && content.length / lines.length > MAX_AVERAGE_LINE_LENGTH;
+}
+
+/**
+ * Recognizes generated files by a marker in their first lines or a trailing source map reference
+ * @param {string} content - File content
+ * @returns {boolean} True if the file says it was generated
+ */
+function isGenerated(content) {
+  const header = content.split('\n', GENERATED_HEADER_LINES).join('\n');
+  return GENERATED_MARKERS.some(marker => marker.test(header)) || SOURCE_MAP_COMMENT.test(content.slice(-500));
+}
@@ -0,0 +1,95 @@
+// ==========================================
+// Ignore Files
+// ==========================================
+// Reads the .gitignore files of a directory tree and an optional .vectorignore at its
+// root, and filters indexed paths with them the way git does: each .gitignore applies
+// to its own directory and below, deeper files and later rules take precedence, and
+// nothing inside an ignored directory can be re-included. The .vectorignore file uses
+// the same syntax and is applied last, so it can also re-include what .gitignore excludes.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import ignore from 'ignore';
+
+/** Ignore file read from the project root only, for rules meant for the indexer */
+export const VECTORIGNORE_FILE = '.vectorignore';
+
+/**
+ * Rules of one ignore file
+ * @typedef {Object} IgnoreSource
+ * @property {string} file - Path of the ignore file, relative to the indexed directory
+ * @property {string} directory - Directory the rules apply to ('' for the root)
+ * @property {string[]} patterns - Rules, without blank lines and comments
+ */
+
+/**
+ * Reads the ignore files of a directory tree
+ * @param {string} dirPath - Indexed directory
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.useGitignore=true] - Read .gitignore files (the .vectorignore file is always read)
+ * @param {string[]} [options.excludes=[]] - Glob patterns of directories not searched for .gitignore files
+ * @returns {Promise<IgnoreSource[]>} Ignore files, parents before their subdirectories and .vectorignore last
+ */
+export async function loadIgnoreFiles(dirPath, { useGitignore = true, excludes = [] } = {}) {
+  const files = useGitignore
+    ? (await glob('**/.gitignore', { cwd: dirPath, ignore: excludes, posix: true })).sort(byDepth)
+    : [];
+  if (await fs.pathExists(path.join(dirPath, VECTORIGNORE_FILE))) {
+    files.push(VECTORIGNORE_FILE);
+  }
+
+  const sources = [];
+  for (const file of files) {
+    const content = await fs.readFile(path.join(dirPath, file), 'utf8');
+    const patterns = content
+      .split(/\r?\n/)
+      .map(line => line.replace(/(?<!\\)\s+$/, ''))
+      .filter(line => line && !line.startsWith('#'));
+    if (patterns.length > 0) {
+      const directory = path.posix.dirname(file);
+      sources.push({ file, directory: directory === '.' ? '' : directory, patterns });
+    }
+  }
+  return sources;
+}
+
+/**
+ * Builds a filter telling which paths the ignore files exclude
+ * Rules of nested files are rewritten relative to the indexed directory and checked in
+ * one pass, so the last matching rule wins and ignored directories hide their content.
+ * @param {IgnoreSource[]} sources - Ignore files, parents first (see loadIgnoreFiles)
+ * @returns {Function} (relativePath) => true if the file is ignored
+ */
+export function createIgnoreFilter(sources) {
+  const matcher = ignore().add(sources.flatMap(({ directory, patterns }) =>
+    patterns.map(pattern => scopePattern(pattern, directory))
+  ));
+  return relativePath => matcher.ignores(relativePath);
+}
+
+/**
+ * Rewrites a rule of a nested ignore file relative to the indexed directory
+ * Rules with a slash before their end are anchored to the ignore file's directory;
+ * others match at any depth below it.
+ * @param {string} pattern - Rule, e.g. '/generated' or '!*.gen.ts'
+ * @param {string} directory - Directory of the ignore file ('' for the root)
+ * @returns {string} Rule for the root, e.g. 'packages/api/generated' or '!packages/api/**\/*.gen.ts'
+ */
+function scopePattern(pattern, directory) {
+  if (!directory) return pattern;
+  const negated = pattern.startsWith('!');
+  const body = negated ? pattern.slice(1) : pattern;
+  const anchored = body.replace(/\/$/, '').includes('/');
+  return `${negated ? '!' : ''}${directory}/${anchored ? body.replace(/^\//, '') : `**/${body}`}`;
+}
+
+/**
+ * Orders paths by their number of segments, then alphabetically
+ * @param {string} a - Path
+ * @param {string} b - Path
+ * @returns {number} Sort order
+ */
+function byDepth(a, b) {
+  return a.split('/').length - b.split('/').length || a.localeCompare(b);
+}
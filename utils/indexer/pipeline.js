@@ -0,0 +1,109 @@
+// ==========================================
+// Indexing Pipeline Primitives
+// ==========================================
+// Bounded async queue and worker pool used by FileIndexer to run file reading,
+// chunking, embedding and database writes as concurrent stages with backpressure
+
+/**
+ * FIFO queue connecting two pipeline stages
+ * Producers wait while the queue is full, consumers wait while it is empty.
+ * Failing the queue wakes every waiter with the error, which is how one failed
+ * stage stops the others.
+ */
+export class BoundedQueue {
+  /**
+   * @param {number} capacity - Maximum number of queued items before push() waits
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+    this.closed = false;
+    this.error = null;
+
+    /** @type {Function[]} Resolvers of producers waiting for space */
+    this.pushWaiters = [];
+    /** @type {Function[]} Resolvers of consumers waiting for items */
+    this.pullWaiters = [];
+  }
+
+  /**
+   * Adds an item, waiting while the queue is full
+   * @param {*} item - Item to queue (must not be undefined)
+   * @returns {Promise<void>}
+   * @throws {Error} The queue's error if it failed, or if it is closed
+   */
+  async push(item) {
+    while (!this.error && this.items.length >= this.capacity) {
+      await new Promise(resolve => this.pushWaiters.push(resolve));
+    }
+    if (this.error) throw this.error;
+    if (this.closed) throw new Error('Cannot push to a closed queue');
+
+    this.items.push(item);
+    this.wake(this.pullWaiters);
+  }
+
+  /**
+   * Takes the next item, waiting while the queue is empty
+   * @returns {Promise<*>} Item, or undefined once the queue is closed and drained
+   * @throws {Error} The queue's error if it failed
+   */
+  async pull() {
+    const [item] = await this.pullBatch(1);
+    return item;
+  }
+
+  /**
+   * Takes up to `size` items, waiting until that many are queued or the queue is closed
+   * @param {number} size - Batch size (at most the capacity)
+   * @returns {Promise<Array>} Items, or an empty array once the queue is closed and drained
+   * @throws {Error} The queue's error if it failed
+   */
+  async pullBatch(size) {
+    while (!this.error && !this.closed && this.items.length < size) {
+      await new Promise(resolve => this.pullWaiters.push(resolve));
+    }
+    if (this.error) throw this.error;
+
+    const batch = this.items.splice(0, size);
+    this.wake(this.pushWaiters);
+    return batch;
+  }
+
+  /**
+   * Marks the end of input; consumers drain the remaining items
+   */
+  close() {
+    this.closed = true;
+    this.wake(this.pullWaiters);
+  }
+
+  /**
+   * Fails the queue: every pending and future push/pull throws the error
+   * @param {Error} error - Error to raise
+   */
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.wake(this.pullWaiters);
+    this.wake(this.pushWaiters);
+  }
+
+  /**
+   * Wakes every waiter of one side (they re-check their condition)
+   * @param {Function[]} waiters - Waiter list
+   * @private
+   */
+  wake(waiters) {
+    waiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Runs the same worker function `count` times concurrently
+ * @param {number} count - Number of workers
+ * @param {Function} worker - Async function run by every worker
+ * @returns {Promise<void>} Resolves when every worker finished
+ */
+export async function runWorkers(count, worker) {
+  await Promise.all(Array.from({ length: count }, () => worker()));
+}
@@ -0,0 +1,40 @@
+// ==========================================
+// Project Indexing Settings
+// ==========================================
+// Validates the per-project settings accepted by POST /api/projects, the update route
+// and the MCP tools. They are kept in the project metadata and apply to every later
+// indexing run of the project.
+
+import { normalizeChunkingOptions } from './chunker.js';
+import { normalizeExtensions } from './filetypes.js';
+
+/**
+ * Validates the indexing settings given with a request
+ * Only the settings present in the request are returned, so saving them keeps the others.
+ * @param {Object} request - Request fields
+ * @param {Object|null} [request.chunking] - Chunking settings (see normalizeChunkingOptions), null for the defaults
+ * @param {boolean} [request.useGitignore] - Whether .gitignore files are honoured (default true)
+ * @param {string[]} [request.includeExtensions] - Extensions indexed in addition to the defaults (e.g. ['.tf'])
+ * @param {string[]} [request.excludeExtensions] - Extensions never indexed
+ * @returns {Object} Settings to save with setProjectSettings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeProjectSettings({ chunking, useGitignore, includeExtensions, excludeExtensions }) {
+  const settings = {};
+  if (chunking !== undefined) {
+    settings.chunking = chunking === null ? null : normalizeChunkingOptions(chunking);
+  }
+  if (useGitignore !== undefined) {
+    if (typeof useGitignore !== 'boolean') {
+      throw new Error('useGitignore must be a boolean');
+    }
+    settings.useGitignore = useGitignore;
+  }
+  if (includeExtensions !== undefined) {
+    settings.includeExtensions = normalizeExtensions(includeExtensions, 'includeExtensions');
+  }
+  if (excludeExtensions !== undefined) {
+    settings.excludeExtensions = normalizeExtensions(excludeExtensions, 'excludeExtensions');
+  }
+  return settings;
+}
@@ -3,13 +3,46 @@
 // ==========================================
 // Handles file discovery, content extraction, chunking, and embedding generation
 // Supports delta indexing for efficient updates of large codebases
+// Chunks embedded before (by any project) are taken from the store's embedding cache
+// Chunking follows the project's settings; files chunked with other settings are re-chunked
+// Files matched by .gitignore files or the project's .vectorignore are left out (see ignores.js)
+// Binary, minified and generated files are recognized by their content (see filetypes.js)
 
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
 import crypto from 'crypto';
+import { EmbeddingUnavailableError } from '../vector-store/provider.js';
+import { embeddingCacheHash } from '../vector-store/store.js';
+import { applyTemplate } from '../vector-store/instructions.js';
+import { BoundedQueue, runWorkers } from './pipeline.js';
+import { chunkSource, chunkingSignature, normalizeChunkingOptions, DEFAULT_CHUNKING } from './chunker.js';
+import { loadIgnoreFiles, createIgnoreFilter } from './ignores.js';
+import { extensionSkipReason, inspectContent, MAX_FILE_SIZE, SKIP_REASONS } from './filetypes.js';
 import { logger } from '../logger/logger.js';
 
+/** Skipped files listed by path in the result (all of them are counted) */
+const MAX_SKIPPED_FILES_LISTED = 100;
+
+/** Chunking signature of files indexed with the default settings */
+const DEFAULT_SIGNATURE = chunkingSignature(DEFAULT_CHUNKING);
+
+/**
+ * Reads a concurrency setting from an option or environment variable
+ * @param {number|undefined} value - Explicit option value
+ * @param {string} envName - Environment variable consulted when no option is given
+ * @param {number} defaultValue - Value used when neither is set
+ * @returns {number} Positive integer
+ * @throws {Error} If the value is not a positive integer
+ */
+function concurrencySetting(value, envName, defaultValue) {
+  const setting = value ?? (process.env[envName] ? Number(process.env[envName]) : defaultValue);
+  if (!(Number.isInteger(setting) && setting > 0)) {
+    throw new Error(`${envName} must be a positive integer (got "${setting}")`);
+  }
+  return setting;
+}
+
 /**
  * File indexer for processing code repositories into searchable vector embeddings
  * Provides full and delta indexing capabilities with content chunking and metadata tracking
@@ -17,14 +50,23 @@ import { logger } from '../logger/logger.js';
 export class FileIndexer {
   /**
    * Creates a new FileIndexer instance
-   * @param {OllamaEmbedding} embeddingProvider - Service for generating text embeddings
-   * @param {MongoVectorStore} vectorStore - Storage backend for documents and vectors
+   * @param {EmbeddingProvider} embeddingProvider - Service for generating text embeddings (see provider.js)
+   * @param {VectorStore} vectorStore - Storage backend for documents and vectors (see store.js)
    * @param {JobManager} [jobManager] - Optional job manager for progress tracking
+   * @param {Object} [options={}] - Indexing options
+   * @param {boolean} [options.allowFallback] - Index dummy vectors when the embedding service fails
+   *   instead of failing the run (env EMBEDDING_ALLOW_FALLBACK, default false)
+   * @param {number} [options.readConcurrency] - Files read in parallel (env INDEX_READ_CONCURRENCY, default 4)
+   * @param {number} [options.embedConcurrency] - Embedding requests in flight (env EMBEDDING_CONCURRENCY, default 2)
+   * @throws {Error} If a concurrency setting is not a positive integer
    */
-  constructor(embeddingProvider, vectorStore, jobManager = null) {
+  constructor(embeddingProvider, vectorStore, jobManager = null, options = {}) {
     this.embeddingProvider = embeddingProvider;
     this.vectorStore = vectorStore;
     this.jobManager = jobManager;
+    this.allowFallback = options.allowFallback ?? process.env.EMBEDDING_ALLOW_FALLBACK === 'true';
+    this.readConcurrency = concurrencySetting(options.readConcurrency, 'INDEX_READ_CONCURRENCY', 4);
+    this.embedConcurrency = concurrencySetting(options.embedConcurrency, 'EMBEDDING_CONCURRENCY', 2);
     
     // Default patterns to exclude from indexing
     // Includes common build artifacts, dependencies, and non-code files
@@ -62,6 +104,8 @@ export class FileIndexer {
    * @param {boolean} [deltaOnly=false] - If true, only process changed files
    * @param {string} [jobId] - Optional job ID for progress tracking
    * @returns {Promise<Object>} Indexing results with statistics
+   * @throws {EmbeddingMismatchError} If the project was indexed with another embedding model
+   * @throws {EmbeddingUnavailableError} If the embedding service fails and fallback is not allowed
    */
   async indexDirectory(dirPath, projectId, excludePatterns = [], deltaOnly = false, jobId = null) {
     const allExcludes = [...this.defaultExcludes, ...excludePatterns];
@@ -83,124 +127,128 @@ export class FileIndexer {
     logMethod(`Directory: ${originalPath}${dirPath !== originalPath ? ` (mapped to ${dirPath})` : ''}`);
     logMethod(`Excluding: ${allExcludes.join(', ')}`);
     
+    // Provider counters before the run, to report this run's retries and failures
+    const requestsBefore = { ...this.embeddingProvider.status };
+    
+    // Files whose chunks were written during the run (removed again if the run fails)
+    const writtenFiles = new Set();
+    let newProject = false;
+    
     try {
+      // Refuse to mix vectors of different models before touching any chunk
+      const model = this.embeddingProvider.model;
+      await this.vectorStore.assertEmbeddingCompatible(projectId, { model });
+      const metadata = await this.vectorStore.getProjectMetadata(projectId);
+
       updateProgress(5, 'Scanning directory...');
       
       // Discover all files in directory, respecting exclude patterns
-      const files = await glob('**/*', {
+      const globbed = await glob('**/*', {
         cwd: dirPath,
         ignore: allExcludes,
         nodir: true,    // Only files, not directories
-        dot: false      // Exclude dotfiles by default
+        dot: false,     // Exclude dotfiles by default
+        posix: true     // Forward slashes, as in ignore files and stored paths
       });
+      
+      // Leave out what .gitignore files (unless the project opted out) and .vectorignore exclude
+      const useGitignore = metadata?.useGitignore !== false;
+      if (!useGitignore) {
+        logMethod('Not using .gitignore files (disabled for this project)');
+      }
+      const ignoreFiles = await loadIgnoreFiles(dirPath, { useGitignore, excludes: allExcludes });
+      for (const { file, patterns } of ignoreFiles) {
+        logMethod(`Ignore rules from ${file}: ${patterns.join(', ')}`);
+      }
+      const isIgnored = createIgnoreFilter(ignoreFiles);
+      const files = globbed.filter(file => !isIgnored(file));
+      if (files.length < globbed.length) {
+        logMethod(`Ignored ${globbed.length - files.length} files matched by ignore files`);
+      }
 
-      const textFiles = files.filter(f => this.isTextFile(f));
-      logMethod(`Found ${files.length} files, ${textFiles.length} text files to ${deltaOnly ? 'check for changes' : 'index'}`);
+      // Keep the file types the project indexes; their content is checked when they are read
+      const { includeExtensions = [], excludeExtensions = [] } = metadata || {};
+      if (includeExtensions.length > 0 || excludeExtensions.length > 0) {
+        const rules = [
+          includeExtensions.length > 0 ? `also indexing ${includeExtensions.join(', ')}` : null,
+          excludeExtensions.length > 0 ? `never indexing ${excludeExtensions.join(', ')}` : null
+        ].filter(Boolean);
+        logMethod(`File types: ${rules.join('; ')}`);
+      }
+      const extensionSkipped = [];
+      const textFiles = files.filter(file => {
+        const reason = extensionSkipReason(file, { includeExtensions, excludeExtensions });
+        if (reason) extensionSkipped.push({ file, reason });
+        return !reason;
+      });
+      logMethod(`Found ${files.length} files, ${textFiles.length} of indexed types to ${deltaOnly ? 'check for changes' : 'index'}`);
       
       updateProgress(10, `Found ${textFiles.length} files to process`);
       
-      // Load existing file metadata for delta comparison
-      let existingFiles = {};
+      // Load the files already in the index: delta runs compare against them, and the new
+      // chunks of those files are held back until every file was embedded
+      const existingFiles = await this.vectorStore.getExistingFiles(projectId);
+      newProject = Object.keys(existingFiles).length === 0 && !metadata;
       if (deltaOnly) {
-        existingFiles = await this.vectorStore.getExistingFiles(projectId);
         logMethod(`Found ${Object.keys(existingFiles).length} existing files in index`);
         updateProgress(15, 'Loaded existing file metadata');
       }
       
-      // Initialize processing statistics
-      const documents = [];
-      let processed = 0;
-      let skipped = 0;    // Files unchanged (delta mode)
-      let updated = 0;    // Files modified (delta mode)
-      let added = 0;      // New files (delta mode)
+      // Keep the templates the project was indexed with so its vectors stay comparable
+      const templates = await this.vectorStore.getEmbeddingTemplates(projectId) || { ...this.embeddingProvider.templates };
+      if (templates.document !== this.embeddingProvider.templates.document) {
+        logMethod(`Using the project's document template "${templates.document}"; re-embed the project to switch to "${this.embeddingProvider.templates.document}"`);
+      }
       
-      // Track current files to identify deletions
-      const currentFiles = new Set();
+      // Chunk with the project's settings (see POST /api/projects)
+      const chunking = normalizeChunkingOptions(metadata?.chunking);
+      if (metadata?.chunking) {
+        const limits = [
+          chunking.overlapLines ? `${chunking.overlapLines} lines` : null,
+          chunking.overlapChars ? `${chunking.overlapChars} characters` : null
+        ].filter(Boolean);
+        logMethod(`Chunking: ${chunking.chunkSize} characters per chunk, ${limits.length > 0 ? `overlap of up to ${limits.join(' and ')}` : 'no overlap'}`);
+      }
       
       const totalFiles = textFiles.length;
       const startProgress = deltaOnly ? 20 : 15; // Reserve space for metadata loading
       const endProgress = 85; // Reserve space for database operations
       
-      let fileIndex = 0;
-      for (const file of files) {
-        const fullPath = path.join(dirPath, file);
-        currentFiles.add(file);
-        
-        try {
-          // Only process text files
-          if (this.isTextFile(file)) {
-            fileIndex++;
-            const stats = await fs.stat(fullPath);
-            const content = await fs.readFile(fullPath, 'utf8');
-            
-            // Skip very large files to avoid memory issues and poor embedding quality
-            if (content.length > 1024 * 1024) { // 1MB limit
-              logMethod(`Skipping large file: ${file}`, 'warn');
-              continue;
-            }
-            
-            const contentHash = this.calculateFileHash(content);
-            const fileModTime = stats.mtime;
-            
-            // Delta indexing: check if file needs processing
-            if (deltaOnly && existingFiles[file]) {
-              const existing = existingFiles[file];
-              
-              // Skip if file hasn't changed (same hash, size, and modification time)
-              if (existing.contentHash === contentHash && 
-                  existing.fileSize === content.length &&
-                  new Date(existing.lastModified) >= fileModTime) {
-                skipped++;
-                continue; // File hasn't changed
-              }
-              
-              // File has changed - remove old chunks before adding new ones
-              await this.vectorStore.removeFileChunks(projectId, file);
-              updated++;
-            } else if (deltaOnly) {
-              added++;
-            }
-            
-            // Split content into manageable chunks for embedding
-            const chunks = this.chunkContent(content, file);
-            
-            // Generate embeddings for each chunk
-            for (let i = 0; i < chunks.length; i++) {
-              const chunk = chunks[i];
-              const embedding = await this.embeddingProvider.getEmbedding(chunk.content);
-              
-              documents.push({
-                projectId,
-                filePath: file,
-                chunkIndex: i,
-                totalChunks: chunks.length,
-                content: chunk.content,
-                embedding,
-                metadata: {
-                  fileSize: content.length,
-                  fileType: path.extname(file),
-                  lastModified: fileModTime,
-                  contentHash,
-                  startLine: chunk.startLine,
-                  endLine: chunk.endLine
-                }
-              });
-            }
-            
-            processed++;
-            
-            // Update progress proportionally to files processed
-            const currentProgress = startProgress + ((fileIndex / totalFiles) * (endProgress - startProgress));
-            updateProgress(currentProgress, `Processed ${processed}/${totalFiles} files`);
-            
-            // Log progress every 10 files to avoid spam
-            if (processed % 10 === 0) {
-              logMethod(`Processed ${processed}/${totalFiles} files`);
-            }
-          }
-        } catch (error) {
-          logMethod(`Error processing file ${file}: ${error.message}`, 'error');
-        }
+      // Read, chunk, embed and store the files as concurrent stages
+      const run = await this.runPipeline({
+        dirPath,
+        projectId,
+        files: textFiles,
+        existingFiles,
+        deltaOnly,
+        chunking,
+        model,
+        documentTemplate: templates.document,
+        writtenFiles,
+        logMethod,
+        reportProgress: (fraction, message) => updateProgress(startProgress + fraction * (endProgress - startProgress), message)
+      });
+      const { processed, skipped, updated, added, rechunked, fallbackChunks, replacedFiles } = run;
+      if (run.embeddingBatches > 0) {
+        logMethod(`Embedded ${run.cache.misses} chunks in ${run.embeddingBatches} batches of up to ${run.batchSize}`);
+      }
+      if (run.cache.hits > 0) {
+        logMethod(`Reused ${run.cache.hits} cached embeddings`);
+      }
+      if (rechunked > 0) {
+        logMethod(`Re-chunked ${rechunked} unchanged files that were chunked with other settings`);
+      }
+      const skippedFiles = this.summarizeSkippedFiles([...extensionSkipped, ...run.skippedFiles]);
+      if (skippedFiles.total > 0) {
+        const counts = Object.entries(skippedFiles.reasons).map(([reason, count]) => `${count} ${reason}`);
+        logMethod(`Skipped ${skippedFiles.total} files: ${counts.join(', ')}`);
+      }
+      
+      // Track current files to identify deletions; files now skipped for their type or
+      // content are dropped from the index too (unless they only failed to be read)
+      const currentFiles = new Set(files);
+      for (const { file, reason } of [...extensionSkipped, ...run.skippedFiles]) {
+        if (reason !== SKIP_REASONS.unreadable) currentFiles.delete(file);
       }
       
       // Handle deleted files in delta mode
@@ -219,16 +267,37 @@ export class FileIndexer {
         }
       }
       
-      // Save all processed documents to vector store
-      if (documents.length > 0) {
+      // A full run replaces the whole project: every indexed file loses its old chunks, except
+      // files that could not be read this time (deleted files and files now skipped included)
+      if (!deltaOnly) {
+        const unreadable = new Set(run.skippedFiles.filter(({ reason }) => reason === SKIP_REASONS.unreadable).map(({ file }) => file));
+        replacedFiles.push(...Object.keys(existingFiles).filter(file => !unreadable.has(file)));
+      }
+
+      // Swap the previous chunks of modified files for the new ones
+      for (const replacedFile of replacedFiles) {
+        await this.vectorStore.removeFileChunks(projectId, replacedFile);
+      }
+      if (run.heldBack.length > 0) {
         updateProgress(90, 'Saving documents to database...');
-        await this.vectorStore.addDocuments(documents);
-        logMethod(`Successfully indexed ${documents.length} document chunks for project ${projectId}`, 'success');
+        await this.vectorStore.addDocuments(run.heldBack, { embeddingModel: model });
+      }
+      if (run.chunksIndexed > 0) {
+        logMethod(`Successfully indexed ${run.chunksIndexed} document chunks for project ${projectId}`, 'success');
+      }
+      if (fallbackChunks > 0) {
+        logMethod(`${fallbackChunks} chunks were indexed with fallback embeddings; run a repair once the embedding service is available`, 'warn');
+      }
+      const embeddingRequests = this.requestStats(requestsBefore);
+      if (embeddingRequests.retries > 0 || embeddingRequests.failedRequests > 0) {
+        logMethod(`Embedding requests: ${embeddingRequests.retries} retried, ${embeddingRequests.failedRequests} failed, ${embeddingRequests.rejectedRequests} refused by the circuit breaker`, 'warn');
       }
       
       // Save project metadata for future delta updates (use original path)
+      // The embedding model is only recorded when this run produced vectors
       updateProgress(95, 'Saving project metadata...');
-      await this.vectorStore.saveProjectMetadata(projectId, originalPath, excludePatterns);
+      const embedding = run.chunksIndexed > 0 ? { model, dimensions: run.dimensions, templates } : null;
+      await this.vectorStore.saveProjectMetadata(projectId, originalPath, excludePatterns, embedding);
       
       updateProgress(100, 'Indexing completed successfully');
       
@@ -236,7 +305,11 @@ export class FileIndexer {
       const result = {
         success: true,
         filesProcessed: processed,
-        chunksIndexed: documents.length,
+        chunksIndexed: run.chunksIndexed,
+        fallbackChunks,
+        embeddingRequests,
+        embeddingCache: run.cache,
+        skippedFiles,
         projectId,
         filesTotal: totalFiles
       };
@@ -248,19 +321,358 @@ export class FileIndexer {
           updated,
           added,
           deleted,
+          rechunked,
           total: totalFiles
         };
-        logMethod(`Delta stats: ${skipped} skipped, ${updated} updated, ${added} added, ${deleted} deleted`, 'success');
+        logMethod(`Delta stats: ${skipped} skipped, ${updated} updated, ${added} added, ${deleted} deleted, ${rechunked} re-chunked`, 'success');
       }
       
       return result;
       
     } catch (error) {
       logMethod(`Error during indexing: ${error.message}`, 'error');
+      
+      // Report the embedding retries and failures leading up to the error (kept in job stats)
+      error.embeddingRequests = this.requestStats(requestsBefore);
+      if (error.embeddingRequests.retries > 0 || error.embeddingRequests.failedRequests > 0) {
+        const { retries, failedRequests, rejectedRequests } = error.embeddingRequests;
+        logMethod(`Embedding requests: ${retries} retried, ${failedRequests} failed, ${rejectedRequests} refused by the circuit breaker`, 'warn');
+      }
+      
+      // Remove what this run already stored for files that were not indexed before
+      if (writtenFiles.size > 0) {
+        try {
+          if (newProject) {
+            await this.vectorStore.deleteProject(projectId);
+          } else {
+            for (const file of writtenFiles) {
+              await this.vectorStore.removeFileChunks(projectId, file);
+            }
+          }
+          logMethod(`Rolled back the chunks of ${writtenFiles.size} newly indexed files`, 'warn');
+        } catch (rollbackError) {
+          logMethod(`Failed to roll back newly indexed files: ${rollbackError.message}`, 'error');
+        }
+      }
+      if (error instanceof EmbeddingUnavailableError) {
+        logMethod('Nothing was saved. Start the embedding service, or set EMBEDDING_ALLOW_FALLBACK=true to index placeholder vectors', 'warn');
+      }
       throw error;
     }
   }
 
+  /**
+   * Reads, chunks, embeds and stores files as concurrent stages
+   * The stages are connected by bounded queues, so the slowest stage (usually embedding)
+   * holds the others back instead of the whole repository piling up in memory. Chunks of
+   * files that were not indexed before are written as soon as they are embedded and
+   * recorded in `writtenFiles`; chunks replacing indexed files are held back for the
+   * caller to swap in once every file was embedded. Chunks found in the embedding cache
+   * skip the embedding stage; newly embedded ones are added to the cache.
+   * @param {Object} run - Run context
+   * @param {string} run.dirPath - Directory being indexed
+   * @param {string} run.projectId - Project ID
+   * @param {string[]} run.files - Text files to process (relative paths)
+   * @param {Object} run.existingFiles - Indexed file metadata by path (see getExistingFiles)
+   * @param {boolean} run.deltaOnly - Skip files that did not change
+   * @param {Object} run.chunking - Chunking settings of the project (see normalizeChunkingOptions)
+   * @param {string} run.model - Embedding model recorded with written chunks
+   * @param {string} run.documentTemplate - Template wrapping each chunk before it is embedded
+   * @param {Set<string>} run.writtenFiles - Receives the paths of files with written chunks
+   * @param {Function} run.logMethod - Log function (message, level)
+   * @param {Function} run.reportProgress - Progress callback (fraction between 0 and 1, message)
+   * @returns {Promise<Object>} Statistics, held-back documents and the replaced files
+   * @throws {EmbeddingUnavailableError} If the embedding service fails and fallback is not allowed
+   * @private
+   */
+  async runPipeline({ dirPath, projectId, files, existingFiles, deltaOnly, chunking, model, documentTemplate, writtenFiles, logMethod, reportProgress }) {
+    const batchSize = this.embeddingProvider.batchSize || 1;
+    const run = {
+      processed: 0,       // Files chunked
+      skipped: 0,         // Files unchanged (delta mode)
+      updated: 0,         // Files modified (delta mode)
+      added: 0,           // New files (delta mode)
+      rechunked: 0,       // Unchanged files chunked with other settings (delta mode)
+      chunksIndexed: 0,
+      fallbackChunks: 0,  // Chunks embedded with dummy vectors (fallback allowed)
+      embeddingBatches: 0,
+      batchSize,
+      cache: { hits: 0, misses: 0 }, // Chunks found in / missing from the embedding cache
+      skippedFiles: [],   // { file, reason } of files not indexed for their size or content
+      dimensions: null,
+      heldBack: [],       // Embedded chunks of files that are already indexed
+      replacedFiles: []   // Indexed files whose old chunks are removed when the run succeeds
+    };
+
+    const namespace = this.embeddingProvider.cacheNamespace();
+    const signature = chunkingSignature(chunking);
+    const chunkQueue = new BoundedQueue(this.readConcurrency * 2);           // File contents
+    const embedQueue = new BoundedQueue(batchSize * (this.embedConcurrency + 1)); // Chunks
+    const writeQueue = new BoundedQueue(this.embedConcurrency * 2);          // Embedded batches
+
+    // Reading counts for a fifth of the work and embedding for the rest; the number of
+    // chunks still to come is extrapolated from the files read so far
+    let filesRead = 0;
+    let chunksQueued = 0;
+    let chunksEmbedded = 0;
+    let lastFraction = 0;
+    const progress = (message) => {
+      const readFraction = files.length > 0 ? filesRead / files.length : 1;
+      const expectedChunks = readFraction > 0 ? chunksQueued / readFraction : 0;
+      const embedFraction = expectedChunks > 0 ? Math.min(1, chunksEmbedded / expectedChunks) : readFraction;
+      lastFraction = Math.max(lastFraction, 0.2 * readFraction + 0.8 * embedFraction);
+      reportProgress(lastFraction, message);
+    };
+
+    // Stage 1: read files and decide which ones need indexing
+    let nextFile = 0;
+    const readStage = () => runWorkers(this.readConcurrency, async () => {
+      while (nextFile < files.length) {
+        const file = files[nextFile++];
+        const record = await this.readSourceFile(dirPath, file, existingFiles[file], deltaOnly, signature, run, logMethod).catch(error => {
+          logMethod(`Error processing file ${file}: ${error.message}`, 'error');
+          run.skippedFiles.push({ file, reason: SKIP_REASONS.unreadable });
+          return null;
+        });
+        filesRead++;
+        progress();
+        if (record) await chunkQueue.push(record);
+      }
+    });
+
+    // Stage 2: split files into chunks and take the ones embedded before from the cache
+    const chunkStage = async () => {
+      let record;
+      while ((record = await chunkQueue.pull()) !== undefined) {
+        const { file, content, contentHash, fileModTime } = record;
+        const docs = this.chunkContent(content, file, chunking).map((chunk, i, chunks) => ({
+          projectId,
+          filePath: file,
+          chunkIndex: i,
+          totalChunks: chunks.length,
+          content: chunk.content,
+          embedding: null,
+          embeddingSource: null,
+          metadata: {
+            fileSize: content.length,
+            fileType: path.extname(file),
+            lastModified: fileModTime,
+            contentHash,
+            startLine: chunk.startLine,
+            endLine: chunk.endLine,
+            chunking: signature
+          }
+        }));
+
+        const cached = await this.readEmbeddingCache(namespace, docs, documentTemplate, logMethod);
+        const hits = [];
+        for (const doc of docs) {
+          const embedding = cached.get(doc);
+          if (embedding) {
+            doc.embedding = embedding;
+            doc.embeddingSource = 'model';
+            hits.push(doc);
+          } else {
+            await embedQueue.push(doc);
+          }
+          chunksQueued++;
+        }
+        run.cache.hits += hits.length;
+        run.cache.misses += docs.length - hits.length;
+        if (hits.length > 0) {
+          chunksEmbedded += hits.length;
+          progress();
+          await writeQueue.push(hits);
+        }
+
+        run.processed++;
+
+        // Log progress every 10 files to avoid spam
+        if (run.processed % 10 === 0) {
+          logMethod(`Processed ${run.processed}/${files.length} files`);
+        }
+      }
+    };
+
+    // Stage 3: embed full batches of chunks (across files), several requests in flight
+    const embedStage = () => runWorkers(this.embedConcurrency, async () => {
+      let batch;
+      while ((batch = await embedQueue.pullBatch(batchSize)).length > 0) {
+        const results = await this.embeddingProvider.embedDocumentsWithSource(batch.map(doc => doc.content), {
+          template: documentTemplate,
+          allowFallback: this.allowFallback,
+          onRetry: ({ attempt, delayMs, error }) => {
+            logMethod(`Embedding request failed (${error.message}), retry ${attempt} in ${delayMs}ms`, 'warn');
+          }
+        });
+        batch.forEach((doc, i) => {
+          doc.embedding = results[i].embedding;
+          doc.embeddingSource = results[i].source;
+          if (results[i].source === 'fallback') run.fallbackChunks++;
+        });
+        await this.writeEmbeddingCache(namespace, batch.filter(doc => doc.embeddingSource === 'model'), documentTemplate, logMethod);
+        run.embeddingBatches++;
+        chunksEmbedded += batch.length;
+        progress(`Embedded ${chunksEmbedded} chunks from ${run.processed}/${files.length} files`);
+
+        await writeQueue.push(batch);
+      }
+    });
+
+    // Stage 4: store chunks of newly indexed files, hold back those of indexed ones
+    const writeStage = async () => {
+      let batch;
+      while ((batch = await writeQueue.pull()) !== undefined) {
+        const fresh = batch.filter(doc => !existingFiles[doc.filePath]);
+        run.heldBack.push(...batch.filter(doc => existingFiles[doc.filePath]));
+        run.chunksIndexed += batch.length;
+        run.dimensions ??= batch[0].embedding.length;
+
+        if (fresh.length > 0) {
+          fresh.forEach(doc => writtenFiles.add(doc.filePath));
+          await this.vectorStore.addDocuments(fresh, { embeddingModel: model });
+        }
+      }
+    };
+
+    // A finished stage closes its output queue; a failed one fails every queue, which
+    // stops the other stages at their next push or pull
+    const queues = [chunkQueue, embedQueue, writeQueue];
+    const stage = (runStage, output) => runStage().then(
+      () => output?.close(),
+      error => {
+        queues.forEach(queue => queue.fail(error));
+        throw error;
+      }
+    );
+
+    const outcomes = await Promise.allSettled([
+      stage(readStage, chunkQueue),
+      stage(chunkStage, embedQueue),
+      stage(embedStage, writeQueue),
+      stage(writeStage)
+    ]);
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failure) throw failure.reason;
+
+    return run;
+  }
+
+  /**
+   * Looks up the chunks of a file in the embedding cache
+   * The cache only saves work, so a failing lookup is logged and treated as a miss.
+   * @param {string} namespace - Vector space of the provider (see EmbeddingProvider.cacheNamespace)
+   * @param {Object[]} docs - Chunks to look up
+   * @param {string} template - Document template the chunks are embedded with
+   * @param {Function} logMethod - Log function (message, level)
+   * @returns {Promise<Map<Object, number[]>>} Cached vectors by chunk
+   * @private
+   */
+  async readEmbeddingCache(namespace, docs, template, logMethod) {
+    const hashes = docs.map(doc => embeddingCacheHash(applyTemplate(template, doc.content)));
+    try {
+      const cached = await this.vectorStore.getCachedEmbeddings(namespace, hashes);
+      return new Map(docs.flatMap((doc, i) => (cached.has(hashes[i]) ? [[doc, cached.get(hashes[i])]] : [])));
+    } catch (error) {
+      logMethod(`Embedding cache lookup failed: ${error.message}`, 'warn');
+      return new Map();
+    }
+  }
+
+  /**
+   * Adds embedded chunks to the embedding cache (failures are logged and ignored)
+   * @param {string} namespace - Vector space of the provider
+   * @param {Object[]} docs - Chunks embedded by the model
+   * @param {string} template - Document template the chunks were embedded with
+   * @param {Function} logMethod - Log function (message, level)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeEmbeddingCache(namespace, docs, template, logMethod) {
+    if (docs.length === 0) return;
+    try {
+      await this.vectorStore.cacheEmbeddings(namespace, docs.map(doc => ({
+        hash: embeddingCacheHash(applyTemplate(template, doc.content)),
+        embedding: doc.embedding
+      })));
+    } catch (error) {
+      logMethod(`Failed to update the embedding cache: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Counts the embedding retries and failures since a snapshot of the provider status
+   * @param {Object} before - Provider status at the start of the run
+   * @returns {Object} { retries, failedRequests, rejectedRequests }
+   * @private
+   */
+  requestStats(before) {
+    const after = this.embeddingProvider.status || {};
+    const delta = field => (after[field] || 0) - ((before && before[field]) || 0);
+    return {
+      retries: delta('retries'),
+      failedRequests: delta('failedRequests'),
+      rejectedRequests: delta('rejectedRequests')
+    };
+  }
+
+  /**
+   * Reads a file and decides whether it needs indexing, counting it in the run statistics
+   * @param {string} dirPath - Directory being indexed
+   * @param {string} file - File path relative to dirPath
+   * @param {Object|undefined} existing - Indexed metadata of the file, if any
+   * @param {boolean} deltaOnly - Skip the file if it did not change and was chunked with the same settings
+   * @param {string} signature - Chunking settings of the run (see chunkingSignature)
+   * @param {Object} run - Run statistics (skipped, updated, added, rechunked, replacedFiles, skippedFiles)
+   * @param {Function} logMethod - Log function (message, level)
+   * @returns {Promise<Object|null>} { file, content, contentHash, fileModTime }, or null if the file is skipped
+   * @private
+   */
+  async readSourceFile(dirPath, file, existing, deltaOnly, signature, run, logMethod) {
+    const fullPath = path.join(dirPath, file);
+    const stats = await fs.stat(fullPath);
+
+    // Skip very large files to avoid memory issues and poor embedding quality
+    if (stats.size > MAX_FILE_SIZE) {
+      logMethod(`Skipping large file: ${file}`, 'warn');
+      run.skippedFiles.push({ file, reason: SKIP_REASONS.tooLarge });
+      return null;
+    }
+
+    // Skip binary, non-UTF-8, minified and generated files
+    const { content, reason } = inspectContent(await fs.readFile(fullPath));
+    if (reason) {
+      run.skippedFiles.push({ file, reason });
+      return null;
+    }
+
+    const contentHash = this.calculateFileHash(content);
+    const fileModTime = stats.mtime;
+
+    // Delta indexing: check if file needs processing
+    if (deltaOnly && existing) {
+      // Skip if file hasn't changed (same hash, size, and modification time)
+      const unchanged = existing.contentHash === contentHash &&
+        existing.fileSize === content.length &&
+        new Date(existing.lastModified) >= fileModTime;
+      // Files indexed before chunking settings were recorded used the defaults
+      const sameChunking = (existing.chunking || DEFAULT_SIGNATURE) === signature;
+      if (unchanged && sameChunking) {
+        run.skipped++;
+        return null; // File hasn't changed
+      }
+
+      // File has changed (or is chunked differently) - old chunks are replaced when the run succeeds
+      run.replacedFiles.push(file);
+      if (unchanged) run.rechunked++;
+      else run.updated++;
+    } else if (deltaOnly) {
+      run.added++;
+    }
+
+    return { file, content, contentHash, fileModTime };
+  }
+
   /**
    * Calculates MD5 hash of file content for change detection
    * Used in delta indexing to determine if files have been modified
@@ -272,109 +684,31 @@ export class FileIndexer {
   }
 
   /**
-   * Determines if a file should be processed based on its extension
-   * Includes common programming languages and configuration files
-   * @param {string} filename - File name to check
-   * @returns {boolean} True if file should be indexed
+   * Counts skipped files by reason for the indexing result
+   * @param {{file: string, reason: string}[]} skipped - Skipped files (see SKIP_REASONS)
+   * @returns {{total: number, reasons: Object<string, number>, files: Object[]}} Counts by reason and
+   *   the first skipped files with their reason
+   * @private
    */
-  isTextFile(filename) {
-    const textExtensions = [
-      // Programming languages
-      '.js', '.ts', '.jsx', '.tsx',     // JavaScript/TypeScript
-      '.py',                            // Python
-      '.java',                          // Java
-      '.c', '.cpp', '.h', '.hpp',       // C/C++
-      '.cs',                            // C#
-      '.php',                           // PHP
-      '.rb',                            // Ruby
-      '.go',                            // Go
-      '.rs',                            // Rust
-      '.swift',                         // Swift
-      '.kt',                            // Kotlin
-      '.scala',                         // Scala
-      '.clj',                           // Clojure
-      '.r', '.R',                       // R
-      '.m',                             // MATLAB/Objective-C
-      '.pl',                            // Perl
-      
-      // Web technologies
-      '.html', '.css', '.scss', '.sass', '.less',
-      '.vue', '.svelte', '.astro',      // Frontend frameworks
-      
-      // Data formats
-      '.xml', '.json', '.yaml', '.yml',
-      '.toml', '.ini', '.conf', '.config',
-      
-      // Documentation
-      '.md', '.txt',
-      
-      // Database
-      '.sql',
-      
-      // Shell scripts
-      '.sh', '.bash', '.zsh', '.fish',
-      '.ps1', '.bat',                   // Windows scripts
-      
-      // Other
-      '.dockerfile', '.gitignore', '.env.example',
-      '.lock'
-    ];
-    
-    const ext = path.extname(filename).toLowerCase();
-    
-    // Include files with recognized extensions or no extension (README, Makefile, etc.)
-    return textExtensions.includes(ext) || !path.extname(filename);
+  summarizeSkippedFiles(skipped) {
+    const reasons = {};
+    for (const { reason } of skipped) {
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+    const files = [...skipped].sort((a, b) => a.file.localeCompare(b.file)).slice(0, MAX_SKIPPED_FILES_LISTED);
+    return { total: skipped.length, reasons, files };
   }
 
   /**
-   * Splits file content into smaller chunks for better embedding quality
-   * Maintains line number information and adds context headers to each chunk
+   * Splits file content into chunks along function and class boundaries (see chunker.js)
+   * Each chunk carries a header with the file path, its enclosing declarations and its line range
    * @param {string} content - Full file content to chunk
-   * @param {string} filename - Source filename for context
+   * @param {string} filename - Source filename for context and language detection
+   * @param {Object} [chunking] - Chunk size, overlap and header template (see normalizeChunkingOptions)
    * @returns {Object[]} Array of chunk objects with content and line info
    */
-  chunkContent(content, filename) {
-    const maxChunkSize = 2000; // Maximum characters per chunk
-    const lines = content.split('\n');
-    const chunks = [];
-    
-    let currentChunk = '';
-    let startLine = 1;
-    let currentLine = 1;
-    
-    // Process line by line to maintain logical boundaries
-    for (const line of lines) {
-      // If adding this line would exceed chunk size, save current chunk
-      if (currentChunk.length + line.length > maxChunkSize && currentChunk.length > 0) {
-        chunks.push({
-          content: `File: ${filename}\nLines ${startLine}-${currentLine - 1}:\n\n${currentChunk}`,
-          startLine,
-          endLine: currentLine - 1
-        });
-        
-        // Start new chunk
-        currentChunk = '';
-        startLine = currentLine;
-      }
-      
-      currentChunk += line + '\n';
-      currentLine++;
-    }
-    
-    // Add final chunk if there's remaining content
-    if (currentChunk.trim()) {
-      chunks.push({
-        content: `File: ${filename}\nLines ${startLine}-${currentLine - 1}:\n\n${currentChunk}`,
-        startLine,
-        endLine: currentLine - 1
-      });
-    }
-    
-    // Ensure we always return at least one chunk, even for empty files
-    return chunks.length > 0 ? chunks : [{
-      content: `File: ${filename}\n\n${content}`,
-      startLine: 1,
-      endLine: lines.length
-    }];
+  chunkContent(content, filename, chunking = DEFAULT_CHUNKING) {
+    const { chunkSize, overlapLines, overlapChars, headerTemplate } = chunking;
+    return chunkSource(content, filename, { maxChunkSize: chunkSize, overlapLines, overlapChars, headerTemplate });
   }
 }
\ No newline at end of file
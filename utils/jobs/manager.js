@@ -5,6 +5,7 @@
 // Provides job lifecycle management for indexing and other background operations
 
 import { logger } from '../logger/logger.js';
+import { describeStorageChange } from '../vector-store/encoding.js';
 
 /**
  * Manages asynchronous jobs with progress tracking and logging
@@ -26,7 +27,7 @@ export class JobManager {
   /**
    * Creates a new job with initial status and metadata
    * Generates unique ID and sets up job tracking structure
-   * @param {string} type - Job type ('index', 'update', 'delete')
+   * @param {string} type - Job type ('index', 'update', 'delete', 'migrate', 'reembed', 'repair')
    * @param {string} projectId - Associated project identifier
    * @param {Object} [params={}] - Additional job parameters
    * @returns {Object} Created job object with initial status
@@ -51,6 +52,10 @@ export class JobManager {
         filesTotal: 0,
         filesProcessed: 0,
         chunksIndexed: 0,
+        fallbackChunks: 0,   // Chunks indexed with dummy vectors
+        embeddingRequests: null, // Embedding retries, failures and circuit breaker refusals
+        embeddingCache: null,    // Chunks found in / missing from the embedding cache
+        skippedFiles: null,      // Files not indexed, counted by reason
         deltaStats: null     // Delta-specific statistics
       }
     };
@@ -233,6 +238,10 @@ export class JobManager {
           filesTotal: result.filesTotal || result.filesProcessed,
           filesProcessed: result.filesProcessed,
           chunksIndexed: result.chunksIndexed,
+          fallbackChunks: result.fallbackChunks || 0,
+          embeddingRequests: result.embeddingRequests,
+          embeddingCache: result.embeddingCache,
+          skippedFiles: result.skippedFiles,
           deltaStats: result.deltaStats
         }
       });
@@ -244,7 +253,7 @@ export class JobManager {
       // Log delta statistics if available
       if (result.deltaStats) {
         this.addJobLog(jobId, 
-          `Delta stats: ${result.deltaStats.skipped} skipped, ${result.deltaStats.updated} updated, ${result.deltaStats.added} added, ${result.deltaStats.deleted} deleted`, 
+          `Delta stats: ${result.deltaStats.skipped} skipped, ${result.deltaStats.updated} updated, ${result.deltaStats.added} added, ${result.deltaStats.deleted} deleted, ${result.deltaStats.rechunked} re-chunked`, 
           'success'
         );
       }
@@ -256,11 +265,143 @@ export class JobManager {
       this.updateJob(jobId, { 
         status: 'failed', 
         error: error.message,
-        progress: 0
+        progress: 0,
+        stats: { ...job.stats, embeddingRequests: error.embeddingRequests || null }
       });
       
       this.addJobLog(jobId, `Indexing failed: ${error.message}`, 'error');
       throw error; // Re-throw for upstream error handling
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Executes an embedding storage migration with progress tracking
+   * @param {string} jobId - Job ID to execute
+   * @param {MongoVectorStore} vectorStore - Vector store holding the embeddings
+   * @param {string} format - Target storage format
+   * @param {string|null} projectId - Project to convert (all projects if null)
+   * @returns {Promise<Object>} Migration result with space statistics
+   * @throws {Error} If the migration fails or job not found
+   */
+  async runEmbeddingMigrationJob(jobId, vectorStore, format, projectId) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new Error('Job not found');
+
+    try {
+      this.updateJob(jobId, { status: 'running' });
+      this.addJobLog(jobId, `Converting embeddings of ${projectId ? `project ${projectId}` : 'all projects'} to ${format}`);
+
+      const result = await vectorStore.migrateEmbeddings(format, projectId, (processed, total) => {
+        this.updateProgress(jobId, total > 0 ? Math.round((processed / total) * 100) : 100);
+      });
+
+      this.updateJob(jobId, { status: 'completed', result, progress: 100 });
+
+      this.addJobLog(jobId, `Migration completed: ${result.converted} converted, ${result.skipped} already ${format}`, 'success');
+      this.addJobLog(jobId, `Embedding storage ${describeStorageChange(result)}`, 'success');
+
+      return result;
+
+    } catch (error) {
+      this.updateJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        progress: 0
+      });
+
+      this.addJobLog(jobId, `Migration failed: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Re-embeds every chunk of a project with the current embedding model
+   * @param {string} jobId - Job ID to execute
+   * @param {VectorStore} vectorStore - Vector store holding the project
+   * @param {Object} embeddingProvider - Provider whose model the project is upgraded to
+   * @param {string} projectId - Project to re-embed
+   * @returns {Promise<Object>} Re-embedding result with previous and new model
+   * @throws {Error} If re-embedding fails or job not found
+   */
+  async runReembedJob(jobId, vectorStore, embeddingProvider, projectId) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new Error('Job not found');
+
+    try {
+      this.updateJob(jobId, { status: 'running' });
+      this.addJobLog(jobId, `Re-embedding project ${projectId} with model ${embeddingProvider.model}`);
+
+      const result = await vectorStore.reembedProject(projectId, embeddingProvider, (processed, total) => {
+        this.updateProgress(jobId, total > 0 ? Math.round((processed / total) * 100) : 100);
+      });
+
+      this.updateJob(jobId, {
+        status: 'completed',
+        result,
+        progress: 100,
+        stats: { ...job.stats, chunksIndexed: result.chunksReembedded }
+      });
+
+      const previous = result.previousModel || 'unknown model';
+      this.addJobLog(jobId,
+        `Re-embedded ${result.chunksReembedded} chunks: ${previous} (${result.previousDimensions ?? '?'} dimensions) -> ${result.model} (${result.dimensions} dimensions)`,
+        'success'
+      );
+
+      return result;
+
+    } catch (error) {
+      this.updateJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        progress: 0
+      });
+
+      this.addJobLog(jobId, `Re-embedding failed: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Re-embeds the chunks of a project that were indexed with fallback vectors
+   * @param {string} jobId - Job ID to execute
+   * @param {VectorStore} vectorStore - Vector store holding the project
+   * @param {Object} embeddingProvider - Provider the project was indexed with
+   * @param {string} projectId - Project to repair
+   * @returns {Promise<Object>} Repair result
+   * @throws {Error} If the repair fails or job not found
+   */
+  async runRepairJob(jobId, vectorStore, embeddingProvider, projectId) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new Error('Job not found');
+
+    try {
+      this.updateJob(jobId, { status: 'running' });
+      this.addJobLog(jobId, `Repairing fallback embeddings of project ${projectId} with model ${embeddingProvider.model}`);
+
+      const result = await vectorStore.repairFallbackEmbeddings(projectId, embeddingProvider, (processed, total) => {
+        this.updateProgress(jobId, total > 0 ? Math.round((processed / total) * 100) : 100);
+      });
+
+      this.updateJob(jobId, {
+        status: 'completed',
+        result,
+        progress: 100,
+        stats: { ...job.stats, chunksIndexed: result.chunksRepaired }
+      });
+      this.addJobLog(jobId, `Repaired ${result.chunksRepaired} fallback chunks`, 'success');
+
+      return result;
+
+    } catch (error) {
+      this.updateJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        progress: 0
+      });
+
+      this.addJobLog(jobId, `Repair failed: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+}
@@ -20,10 +20,16 @@ export class Logger {
   /**
    * Creates a new Logger instance with specified log file
    * @param {string} [logFile='server.log'] - Log file name (relative to logger directory)
+   * @param {Object} [options={}] - Logger options
+   * @param {boolean} [options.silent] - Skip console output and only write the log file
+   *   (defaults to LOG_SILENT=true, which the test script sets)
    */
-  constructor(logFile = 'server.log') {
+  constructor(logFile = 'server.log', options = {}) {
     /** @type {string} Full path to the log file */
     this.logFile = path.join(__dirname, logFile);
+
+    /** @type {boolean} Whether console output is suppressed */
+    this.silent = options.silent ?? process.env.LOG_SILENT === 'true';
     
     // Ensure log file exists on initialization
     this.ensureLogFile();
@@ -80,6 +86,17 @@ export class Logger {
     }
   }
 
+  /**
+   * Writes a line to the console unless the logger is silent
+   * @param {string} method - Console method (log, warn, error)
+   * @param {string} text - Text to print
+   */
+  print(method, text) {
+    if (!this.silent) {
+      console[method](text);
+    }
+  }
+
   /**
    * Logs an informational message
    * Uses ℹ️ emoji for console output and structured format for file
@@ -88,7 +105,7 @@ export class Logger {
    */
   info(message, context = {}) {
     this.writeToFile('info', message, context);
-    console.log(`ℹ️ ${message}`);
+    this.print('log', `ℹ️ ${message}`);
   }
 
   /**
@@ -99,7 +116,7 @@ export class Logger {
    */
   success(message, context = {}) {
     this.writeToFile('success', message, context);
-    console.log(`✅ ${message}`);
+    this.print('log', `✅ ${message}`);
   }
 
   /**
@@ -110,7 +127,7 @@ export class Logger {
    */
   warn(message, context = {}) {
     this.writeToFile('warn', message, context);
-    console.warn(`⚠️ ${message}`);
+    this.print('warn', `⚠️ ${message}`);
   }
 
   /**
@@ -121,7 +138,7 @@ export class Logger {
    */
   error(message, context = {}) {
     this.writeToFile('error', message, context);
-    console.error(`❌ ${message}`);
+    this.print('error', `❌ ${message}`);
   }
 
   /**
@@ -132,7 +149,7 @@ export class Logger {
    */
   debug(message, context = {}) {
     this.writeToFile('debug', message, context);
-    console.log(`🐛 ${message}`);
+    this.print('log', `🐛 ${message}`);
   }
 
   /**
@@ -158,7 +175,7 @@ export class Logger {
       'debug': '🐛'
     }[level] || 'ℹ️';
     
-    console.log(`${emoji} [${jobId.substr(-8)}] ${message}`);
+    this.print('log', `${emoji} [${jobId.substr(-8)}] ${message}`);
   }
 
   /**
@@ -0,0 +1,125 @@
+// ==========================================
+// Circuit Breaker
+// ==========================================
+// Stops calling a failing service for a cooldown period after repeated failures,
+// then lets a single trial request through to probe whether it recovered
+
+/**
+ * Circuit breaker with closed, open and half-open states
+ * - closed:    requests pass; consecutive failures are counted
+ * - open:      requests are refused until the cooldown has passed
+ * - half-open: one trial request passes; success closes the circuit, failure reopens it
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.threshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - Time the circuit stays open before a trial request
+   */
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.opens = 0;
+    this.trialInFlight = false;
+    /** @type {Promise<void>|null} Settles when the trial request in flight has an outcome */
+    this.trialSettled = null;
+    this.settleTrial = null;
+  }
+
+  /**
+   * Checks whether a request may be sent now
+   * Moves an open circuit to half-open once the cooldown has passed; the caller
+   * that gets `true` then is the trial request.
+   * @returns {boolean} True if the request may be sent
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      this.trialSettled = new Promise(resolve => { this.settleTrial = resolve; });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records a successful request, closing the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.endTrial();
+  }
+
+  /**
+   * Records a failed request, opening the circuit at the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.endTrial();
+    if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.threshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.opens++;
+    }
+  }
+
+  /**
+   * Records a request that says nothing about the service's health (such as a client error
+   * for one invalid input): the failure count is unchanged, but a trial slot is freed
+   */
+  releaseTrial() {
+    this.endTrial();
+  }
+
+  /**
+   * Frees the trial slot and wakes the requests waiting for the trial's outcome
+   * @private
+   */
+  endTrial() {
+    this.trialInFlight = false;
+    this.settleTrial?.();
+    this.trialSettled = null;
+    this.settleTrial = null;
+  }
+
+  /**
+   * Waits until a refused request may ask again: until an open circuit's cooldown has
+   * passed, or until the trial request of a half-open circuit has succeeded or failed
+   * @returns {Promise<void>}
+   */
+  async waitForTurn() {
+    if (this.trialInFlight) {
+      await this.trialSettled;
+    } else if (this.state === 'open') {
+      await new Promise(resolve => setTimeout(resolve, this.remainingCooldown()));
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial request through
+   * @returns {number} Remaining cooldown (0 unless open)
+   */
+  remainingCooldown() {
+    return this.state === 'open' ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt)) : 0;
+  }
+
+  /**
+   * Serializable breaker state for health and status reports
+   * @returns {Object} { state, consecutiveFailures, openedAt, opens }
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      opens: this.opens
+    };
+  }
+}
@@ -0,0 +1,134 @@
+// ==========================================
+// Search Context Expansion
+// ==========================================
+// Widens search hits with neighbouring chunks of the same file and stitches
+// overlapping ranges into contiguous excerpts with accurate line numbers
+
+// Default header that FileIndexer.chunkContent prepends to every chunk
+const CHUNK_HEADER = /^File: [^\n]*\n(?:In: [^\n]*\n)?(?:Lines \d+-\d+:\n)?\n/;
+
+/**
+ * Strips the indexer header from a chunk, leaving only the source lines
+ * Chunks with a project's own header template end with their source lines, so those
+ * are taken from the end of the chunk.
+ * @param {Object} chunk - Stored chunk ({ content, metadata: { startLine, endLine } })
+ * @returns {string[]} Source lines covered by the chunk
+ */
+function chunkLines(chunk) {
+  const content = chunk.content || '';
+  const { startLine, endLine } = chunk.metadata || {};
+  if (!startLine || !endLine) return content.replace(CHUNK_HEADER, '').split('\n');
+
+  const count = endLine - startLine + 1;
+  if (CHUNK_HEADER.test(content)) {
+    return content.replace(CHUNK_HEADER, '').split('\n').slice(0, count);
+  }
+  const lines = content.replace(/\n$/, '').split('\n');
+  return lines.slice(Math.max(0, lines.length - count));
+}
+
+/**
+ * Stitches consecutive chunks of one file into a single excerpt
+ * Lines shared by overlapping chunks are emitted once
+ * @param {Object[]} chunks - Chunks sorted by chunkIndex
+ * @returns {{startLine: number, endLine: number, content: string, chunkIndexes: number[]}} Excerpt
+ */
+export function stitchChunks(chunks) {
+  const lines = new Map();
+  for (const chunk of chunks) {
+    const start = chunk.metadata?.startLine || 1;
+    chunkLines(chunk).forEach((line, offset) => {
+      if (!lines.has(start + offset)) lines.set(start + offset, line);
+    });
+  }
+
+  const numbers = [...lines.keys()].sort((a, b) => a - b);
+  return {
+    startLine: numbers[0],
+    endLine: numbers[numbers.length - 1],
+    content: numbers.map(n => lines.get(n)).join('\n'),
+    chunkIndexes: chunks.map(chunk => chunk.chunkIndex)
+  };
+}
+
+/**
+ * Expands ranked results with their neighbouring chunks
+ * Each hit covers chunkIndex ± radius (clamped to the file). Overlapping or touching
+ * ranges in the same file are merged: the best-ranked result keeps the combined
+ * excerpt and lists the absorbed results in `mergedIds`; the absorbed results are dropped.
+ * Results grouped by file expand every matching chunk and may carry several excerpts.
+ * @param {Object[]} results - Ranked results (with chunkIndex/totalChunks)
+ * @param {number} radius - Number of chunks to add before and after each hit
+ * @param {Function} loadChunks - async (projectId, filePath, chunkIndexes) => chunks
+ * @returns {Promise<Object[]>} Results with an `excerpts` array, in original order
+ */
+export async function expandWithContext(results, radius, loadChunks) {
+  const spansByFile = new Map();
+
+  results.forEach((result, owner) => {
+    const anchors = result.matches ? result.matches.map(m => m.chunkIndex) : [result.chunkIndex];
+    const last = (result.totalChunks || 1) - 1;
+    const key = `${result.projectId}\u0000${result.filePath}`;
+    if (!spansByFile.has(key)) spansByFile.set(key, []);
+
+    for (const anchor of anchors) {
+      if (anchor === undefined || anchor === null) continue;
+      spansByFile.get(key).push({
+        owner,
+        from: Math.max(0, anchor - radius),
+        to: Math.min(last, anchor + radius)
+      });
+    }
+  });
+
+  const excerpts = results.map(() => []);
+  const mergedIds = results.map(() => []);
+  const absorbed = new Set();
+
+  for (const spans of spansByFile.values()) {
+    if (spans.length === 0) continue;
+
+    // Merge overlapping or adjacent spans; the best-ranked owner wins
+    spans.sort((a, b) => a.from - b.from);
+    const merged = [];
+    for (const span of spans) {
+      const previous = merged[merged.length - 1];
+      if (previous && span.from <= previous.to + 1) {
+        previous.to = Math.max(previous.to, span.to);
+        previous.owners.add(span.owner);
+      } else {
+        merged.push({ from: span.from, to: span.to, owners: new Set([span.owner]) });
+      }
+    }
+
+    const { projectId, filePath } = results[spans[0].owner];
+    const wanted = merged.flatMap(span => Array.from({ length: span.to - span.from + 1 }, (_, i) => span.from + i));
+    const chunks = await loadChunks(projectId, filePath, wanted);
+    const byIndex = new Map(chunks.map(chunk => [chunk.chunkIndex, chunk]));
+
+    for (const span of merged) {
+      const spanChunks = [];
+      for (let i = span.from; i <= span.to; i++) {
+        if (byIndex.has(i)) spanChunks.push(byIndex.get(i));
+      }
+      if (spanChunks.length === 0) continue;
+
+      const owner = Math.min(...span.owners);
+      excerpts[owner].push(stitchChunks(spanChunks));
+      for (const other of span.owners) {
+        if (other !== owner) {
+          absorbed.add(other);
+          mergedIds[owner].push(results[other].id);
+        }
+      }
+    }
+  }
+
+  return results
+    .map((result, i) => ({
+      ...result,
+      excerpts: excerpts[i].sort((a, b) => a.startLine - b.startLine),
+      ...(mergedIds[i].length > 0 ? { mergedIds: mergedIds[i] } : {})
+    }))
+    .filter((_, i) => !absorbed.has(i) || excerpts[i].length > 0);
+}
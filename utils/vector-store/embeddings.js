@@ -2,98 +2,113 @@
 // Ollama Embedding Provider
 // ==========================================
 // Handles text-to-vector embedding generation using Ollama's local API
-// Provides fallback dummy embeddings for development when Ollama is unavailable
+// Batches go to /api/embed; servers older than Ollama 0.3 only offer the
+// single-text /api/embeddings endpoint, which is used when /api/embed is missing
+// Fallback, status tracking and health checks are inherited from EmbeddingProvider (see provider.js)
+
+import { EmbeddingProvider, EmbeddingRequestError } from './provider.js';
 
 /**
  * Ollama embedding provider class for generating text embeddings
  * Communicates with local Ollama instance to create vector representations of text
- * Includes fallback mechanism for development environments
  */
-export class OllamaEmbedding {
+export class OllamaEmbedding extends EmbeddingProvider {
   /**
    * Creates a new OllamaEmbedding instance
    * @param {string} [model='llama2'] - The Ollama model to use for embeddings
+   * @param {Object} [options={}] - Provider options: batchSize, timeoutMs, maxRetries, retryDelayMs,
+   *   breakerThreshold and breakerCooldownMs (see EmbeddingProvider)
    */
-  constructor(model = 'llama2') {
-    this.model = model;
+  constructor(model = 'llama2', options = {}) {
+    super(model, 'Ollama', options);
     this.baseUrl = process.env.OLLAMA_HOST || 'http://localhost:11434';
-  }
 
-  /**
-   * Generates embeddings for multiple text inputs in parallel
-   * Convenience method for batch processing multiple texts
-   * @param {string[]} texts - Array of text strings to embed
-   * @returns {Promise<number[][]>} Array of embedding vectors
-   */
-  async embed(texts) {
-    return Promise.all(texts.map(text => this.getEmbedding(text)));
+    /** @type {boolean} False once the server turned out not to support /api/embed */
+    this.batchEndpoint = true;
   }
 
   /**
-   * Generates a vector embedding for a single text input
-   * Uses Ollama's local API or falls back to dummy embeddings if unavailable
-   * @param {string} text - Text to generate embedding for
-   * @returns {Promise<number[]>} Embedding vector (array of floats)
-   * @throws {Error} If text is empty after cleaning
+   * Requests embeddings for a batch of texts from Ollama's /api/embed endpoint
+   * Falls back to one /api/embeddings request per text on servers without /api/embed
+   * @param {string[]} texts - Texts to embed
+   * @param {AbortSignal} [signal] - Aborts the request when its time limit is reached
+   * @returns {Promise<number[][]>} Embedding vectors, in input order
+   * @throws {Error} If a text is empty, Ollama is unreachable or the response is invalid
    */
-  async getEmbedding(text) {
-    try {
-      // Clean and validate input text
-      const cleanText = text.replace(/\n/g, ' ').trim();
-      if (!cleanText) {
-        throw new Error('Empty text provided');
-      }
+  async requestEmbeddings(texts, signal) {
+    if (!this.batchEndpoint) {
+      return super.requestEmbeddings(texts, signal);
+    }
 
-      // Make request to Ollama embeddings API
-      const response = await fetch(`${this.baseUrl}/api/embeddings`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: this.model,
-          prompt: cleanText
-        })
-      });
+    const response = await fetch(`${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts.map(text => this.cleanText(text))
+      })
+    });
 
-      if (!response.ok) {
-        throw new Error(`Ollama HTTP ${response.status}: ${response.statusText}`);
+    // Ollama answers 404 both for an unknown route and for an unknown model
+    if (response.status === 404) {
+      const data = await response.json().catch(() => null);
+      if (!/model/i.test(data?.error || '')) {
+        console.error('⚠️ Ollama does not support /api/embed, using /api/embeddings (one request per text)');
+        this.batchEndpoint = false;
+        return super.requestEmbeddings(texts, signal);
       }
+      throw new EmbeddingRequestError(`Ollama HTTP 404: ${data.error}`, { status: 404 });
+    }
 
-      const data = await response.json();
-      
-      // Validate response structure
-      if (!data.embedding || !Array.isArray(data.embedding)) {
-        throw new Error('Invalid embedding response from Ollama');
-      }
-      
-      return data.embedding;
-      
-    } catch (error) {
-      console.error('⚠️ Ollama embedding error:', error.message);
-      console.error('🔄 Using fallback dummy embedding');
-      
-      // Generate consistent dummy embedding for development/testing
-      // This ensures the system remains functional even without Ollama
-      const seed = this.hashString(text);
-      return new Array(4096).fill(0).map((_, i) => Math.sin(seed + i) * 0.1);
+    if (!response.ok) {
+      throw new EmbeddingRequestError(`Ollama HTTP ${response.status}: ${response.statusText}`, { status: response.status });
     }
+
+    const data = await response.json();
+
+    // Validate response structure
+    if (!Array.isArray(data.embeddings) || !data.embeddings.every(Array.isArray)) {
+      throw new Error('Invalid embedding response from Ollama');
+    }
+
+    return data.embeddings;
   }
 
   /**
-   * Generates a simple hash code from a string for deterministic dummy embeddings
-   * Used to create consistent fallback embeddings when Ollama is unavailable
-   * @param {string} str - Input string to hash
-   * @returns {number} 32-bit integer hash code
-   * @private
+   * Requests a single embedding from Ollama's legacy /api/embeddings endpoint
+   * @param {string} text - Text to embed
+   * @param {AbortSignal} [signal] - Aborts the request when its time limit is reached
+   * @returns {Promise<number[]>} Embedding vector
+   * @throws {Error} If the text is empty, Ollama is unreachable or the response is invalid
    */
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  async requestEmbedding(text, signal) {
+    // Make request to Ollama embeddings API
+    const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        prompt: this.cleanText(text)
+      })
+    });
+
+    if (!response.ok) {
+      throw new EmbeddingRequestError(`Ollama HTTP ${response.status}: ${response.statusText}`, { status: response.status });
     }
-    return hash;
+
+    const data = await response.json();
+
+    // Validate response structure
+    if (!data.embedding || !Array.isArray(data.embedding)) {
+      throw new Error('Invalid embedding response from Ollama');
+    }
+
+    return data.embedding;
   }
-}
\ No newline at end of file
+}
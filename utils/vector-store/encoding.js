@@ -0,0 +1,152 @@
+// ==========================================
+// Embedding Storage Encoding
+// ==========================================
+// Converts embeddings between JS arrays and the compact BSON vector formats
+// stored in MongoDB, scores packed sign bits for binary-quantized search and
+// describes the space a format migration saved
+
+import { Binary } from 'mongodb';
+
+/**
+ * Supported storage formats
+ * - array:   plain number array (legacy, 8+ bytes per dimension)
+ * - float32: BSON Float32 vector (4 bytes per dimension)
+ * - int8:    scalar-quantized BSON Int8 vector with a per-vector scale (1 byte per dimension)
+ * - binary:  packed sign bits for candidate search plus a Float32 vector for rescoring
+ */
+export const EMBEDDING_FORMATS = ['array', 'float32', 'int8', 'binary'];
+
+/** Fields an encoded embedding may occupy on a stored document */
+export const EMBEDDING_FIELDS = ['embedding', 'embeddingFormat', 'embeddingScale', 'embeddingBits'];
+
+/** Projection that loads everything needed to decode a full embedding */
+export const EMBEDDING_PROJECTION = { embedding: 1, embeddingFormat: 1, embeddingScale: 1 };
+
+// Number of set bits for every byte value
+const POPCOUNT = new Uint8Array(256).map((_, byte) => {
+  let count = 0;
+  for (let b = byte; b; b >>= 1) count += b & 1;
+  return count;
+});
+
+/**
+ * Packs the sign of each dimension into bits (1 = positive), most significant bit first
+ * @param {ArrayLike<number>} vector - Embedding
+ * @returns {Uint8Array} Packed bits
+ */
+export function packSignBits(vector) {
+  const bits = new Uint8Array(Math.ceil(vector.length / 8));
+  for (let i = 0; i < vector.length; i++) {
+    if (vector[i] > 0) bits[i >> 3] |= 0x80 >> (i & 7);
+  }
+  return bits;
+}
+
+/**
+ * Similarity of two packed sign vectors: the fraction of dimensions whose signs agree
+ * @param {Uint8Array} a - Packed bits
+ * @param {Uint8Array} b - Packed bits
+ * @param {number} dimensions - Number of meaningful bits
+ * @returns {number} Similarity between 0 and 1
+ */
+export function hammingSimilarity(a, b, dimensions) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[a[i] ^ b[i]];
+  }
+  return 1 - distance / dimensions;
+}
+
+/**
+ * Encodes an embedding into the document fields for a storage format
+ * Every format sets all EMBEDDING_FIELDS (unused ones to null) so the result can be
+ * used directly in a $set when converting documents between formats
+ * @param {number[]} vector - Embedding
+ * @param {string} format - One of EMBEDDING_FORMATS
+ * @returns {Object} Document fields
+ * @throws {Error} If the format is unknown
+ */
+export function encodeEmbedding(vector, format) {
+  const fields = { embedding: null, embeddingFormat: format, embeddingScale: null, embeddingBits: null };
+
+  switch (format) {
+    case 'array':
+      fields.embedding = Array.from(vector);
+      fields.embeddingFormat = null;
+      break;
+    case 'float32':
+      fields.embedding = Binary.fromFloat32Array(Float32Array.from(vector));
+      break;
+    case 'int8': {
+      // Symmetric per-vector scale keeps zero exact and preserves cosine similarity closely
+      const maxAbs = vector.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+      const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+      fields.embedding = Binary.fromInt8Array(Int8Array.from(vector, v => Math.round(v / scale)));
+      fields.embeddingScale = scale;
+      break;
+    }
+    case 'binary': {
+      const padding = (8 - (vector.length % 8)) % 8;
+      fields.embedding = Binary.fromFloat32Array(Float32Array.from(vector));
+      fields.embeddingBits = Binary.fromPackedBits(packSignBits(vector), padding);
+      break;
+    }
+    default:
+      throw new Error(`Unknown embedding format "${format}". Expected one of: ${EMBEDDING_FORMATS.join(', ')}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Decodes a stored document's embedding back into a number array
+ * Int8 vectors are de-quantized, so they approximate the original values
+ * @param {Object} doc - Document with the fields of EMBEDDING_PROJECTION
+ * @returns {number[]|null} Embedding, or null if the document has none
+ */
+export function decodeEmbedding(doc) {
+  const stored = doc?.embedding;
+  if (!stored) return null;
+  if (Array.isArray(stored)) return stored;
+
+  if (doc.embeddingFormat === 'int8') {
+    const scale = doc.embeddingScale || 1;
+    return Array.from(stored.toInt8Array(), v => v * scale);
+  }
+  return Array.from(stored.toFloat32Array());
+}
+
+/**
+ * Reads the packed sign bits of a binary-quantized document
+ * @param {Object} doc - Document with an `embeddingBits` field
+ * @returns {Uint8Array|null} Packed bits, or null if the document is not binary-quantized
+ */
+export function decodeSignBits(doc) {
+  return doc?.embeddingBits ? doc.embeddingBits.toPackedBits() : null;
+}
+
+/**
+ * Detects the storage format of a stored document
+ * @param {Object} doc - Stored document
+ * @returns {string|null} Format name, or null if the document has no embedding
+ */
+export function storedFormat(doc) {
+  if (!doc?.embedding) return null;
+  if (Array.isArray(doc.embedding)) return 'array';
+  return doc.embeddingFormat || 'float32';
+}
+
+/**
+ * Describes how a migration changed the space taken by embeddings
+ * @param {Object} stats - Migration statistics (see MongoVectorStore.migrateEmbeddings)
+ * @param {number} stats.bytesBefore - Bytes before the migration
+ * @param {number} stats.bytesSaved - Bytes saved (negative when the new format is larger)
+ * @returns {string} e.g. "reduced by 1.20 MB (62.5%)", "increased by 0.40 MB (25.0%)" or "unchanged"
+ */
+export function describeStorageChange({ bytesBefore, bytesSaved }) {
+  if (bytesSaved === 0) return 'unchanged';
+  const megabytes = (Math.abs(bytesSaved) / (1024 * 1024)).toFixed(2);
+  const percent = bytesBefore > 0 ? ((Math.abs(bytesSaved) / bytesBefore) * 100).toFixed(1) : '0.0';
+  return `${bytesSaved > 0 ? 'reduced' : 'increased'} by ${megabytes} MB (${percent}%)`;
+}
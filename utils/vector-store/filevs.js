@@ -0,0 +1,339 @@
+// ==========================================
+// Local File Vector Store
+// ==========================================
+// Embedded VectorStore backend that needs no database server
+// Each project lives in its own directory under the data directory: chunk records
+// and project metadata as JSON, embeddings as one packed Float32 file.
+// Projects are loaded into memory on first use and scored in process
+// (search and storage logic is inherited from MemoryVectorStore).
+// The embedding cache is kept next to the project directories in the same two formats.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MemoryVectorStore } from './memoryvs.js';
+import { logger } from '../logger/logger.js';
+
+// ES6 module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Delay before chunk changes are written to disk (metadata changes are written immediately)
+const SAVE_DELAY_MS = 1000;
+
+// Project metadata fields restored as dates when loading
+const METADATA_DATES = ['createdAt', 'lastIndexed', 'updatedAt'];
+
+// Embedding cache files in the data directory
+const CACHE_INDEX_FILE = 'embedding-cache.json';
+const CACHE_VECTORS_FILE = 'embedding-cache.bin';
+
+/**
+ * File-based vector store for running without MongoDB
+ * Suited to single-user setups; every process reloads a project when another
+ * process has rewritten its files since it was loaded.
+ */
+export class FileVectorStore extends MemoryVectorStore {
+  /**
+   * Creates a new FileVectorStore instance
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.dataDir] - Directory holding one sub-directory per project
+   * @param {number} [options.embeddingCacheSize] - Maximum number of cached embeddings (see VectorStore)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dataDir = options.dataDir || process.env.VECTOR_STORE_DIR || path.join(__dirname, '..', '..', 'data', 'store');
+    this.backend = { name: 'node', configured: 'node', reason: 'local file store' };
+
+    /** @type {Map<string, NodeJS.Timeout>} Pending debounced saves by project */
+    this.saveTimers = new Map();
+    /** @type {Map<string, Promise<void>>} Last started save by project (saves are chained on it) */
+    this.pendingSaves = new Map();
+    /** @type {Promise<Map<string, Float32Array>>|null} Embedding cache read from disk on first use */
+    this.embeddingCacheLoading = null;
+    this.embeddingCacheDirty = false;
+    this.embeddingCacheTimer = null;
+  }
+
+  /**
+   * Directory of a project's files
+   * @param {string} projectId - Project ID
+   * @returns {string} Absolute path
+   * @private
+   */
+  projectDir(projectId) {
+    return path.join(this.dataDir, encodeURIComponent(projectId));
+  }
+
+  /**
+   * Lists every known project (on disk or not yet saved)
+   * @returns {Promise<string[]>} Project IDs
+   */
+  async listProjectIds() {
+    await fs.ensureDir(this.dataDir);
+    const entries = await fs.readdir(this.dataDir, { withFileTypes: true });
+    const ids = entries.filter(entry => entry.isDirectory()).map(entry => decodeURIComponent(entry.name));
+    for (const [projectId, project] of this.projects) {
+      if (project.dirty) ids.push(projectId);
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Returns a project, (re)loading it from disk if it is not in memory or changed on disk
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Project state, or null if the project does not exist
+   * @protected
+   */
+  async loadProject(projectId) {
+    const dir = this.projectDir(projectId);
+    const cached = this.projects.get(projectId);
+    const stat = await fs.stat(path.join(dir, 'chunks.json')).catch(() => null);
+
+    if (cached && (cached.dirty || (stat && stat.mtimeMs === cached.mtimeMs))) {
+      return cached;
+    }
+    if (!stat) {
+      this.projects.delete(projectId);
+      return null;
+    }
+
+    const stored = await fs.readJson(path.join(dir, 'chunks.json'));
+    const buffer = await fs.readFile(path.join(dir, 'embeddings.bin')).catch(() => Buffer.alloc(0));
+    // Copy into an aligned buffer before viewing it as floats
+    const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+
+    const metadata = stored.metadata || null;
+    if (metadata) {
+      METADATA_DATES.forEach(field => { if (metadata[field]) metadata[field] = new Date(metadata[field]); });
+    }
+
+    // A crash between the two writes of saveProject leaves vectors the records do not describe;
+    // they are dropped and the chunks flagged like fallback vectors, so the repair job re-embeds them
+    const total = stored.chunks.reduce((sum, { vector }) => sum + (vector ? vector[1] : 0), 0);
+    const vectorsMatch = total === vectors.length;
+    if (!vectorsMatch) {
+      logger.warn(`Dropping the embeddings of project ${projectId}: chunks.json and embeddings.bin do not match. Run a repair job to re-embed them.`, { projectId });
+    }
+
+    const chunks = stored.chunks.map(({ vector, ...chunk }) => {
+      const [offset, length] = vector || [0, 0];
+      if (chunk.createdAt) chunk.createdAt = new Date(chunk.createdAt);
+      if (chunk.metadata?.lastModified) chunk.metadata.lastModified = new Date(chunk.metadata.lastModified);
+      if (length > 0 && !vectorsMatch) {
+        return { ...chunk, embedding: null, embeddingSource: 'fallback' };
+      }
+      return { ...chunk, embedding: length > 0 ? vectors.subarray(offset, offset + length) : null };
+    });
+
+    const project = { metadata, chunks, mtimeMs: stat.mtimeMs, dirty: false };
+    this.projects.set(projectId, project);
+    return project;
+  }
+
+  /**
+   * Returns a project, creating an empty one in memory if it does not exist
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Project state
+   * @protected
+   */
+  async getOrCreateProject(projectId) {
+    const existing = await this.loadProject(projectId);
+    if (existing) return existing;
+
+    const project = { metadata: null, chunks: [], mtimeMs: null, dirty: true };
+    this.projects.set(projectId, project);
+    return project;
+  }
+
+  /**
+   * Writes a project to disk
+   * Saves of one project run one after another, so a debounced save that already started
+   * never races an immediate one over the same temporary files.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveProject(projectId) {
+    clearTimeout(this.saveTimers.get(projectId));
+    this.saveTimers.delete(projectId);
+
+    const previous = this.pendingSaves.get(projectId) || Promise.resolve();
+    const save = previous.catch(() => {}).then(() => this.writeProject(projectId));
+    this.pendingSaves.set(projectId, save);
+    const settled = () => {
+      if (this.pendingSaves.get(projectId) === save) this.pendingSaves.delete(projectId);
+    };
+    save.then(settled, settled);
+    return save;
+  }
+
+  /**
+   * Writes a project's files (embeddings first, then the chunk records that reference them)
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeProject(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return;
+
+    const dir = this.projectDir(projectId);
+    await fs.ensureDir(dir);
+
+    let offset = 0;
+    const buffers = [];
+    const chunks = project.chunks.map(({ embedding, ...chunk }) => {
+      const length = embedding ? embedding.length : 0;
+      if (embedding) buffers.push(Buffer.from(embedding.buffer, embedding.byteOffset, embedding.byteLength));
+      const record = { ...chunk, vector: [offset, length] };
+      offset += length;
+      return record;
+    });
+
+    const binFile = path.join(dir, 'embeddings.bin');
+    const chunksFile = path.join(dir, 'chunks.json');
+    await fs.writeFile(`${binFile}.tmp`, Buffer.concat(buffers));
+    await fs.move(`${binFile}.tmp`, binFile, { overwrite: true });
+    await fs.writeJson(`${chunksFile}.tmp`, { metadata: project.metadata, chunks });
+    await fs.move(`${chunksFile}.tmp`, chunksFile, { overwrite: true });
+
+    project.dirty = false;
+    project.mtimeMs = (await fs.stat(chunksFile)).mtimeMs;
+  }
+
+  /**
+   * Marks a project as changed and saves it after a short delay
+   * Batches the many small writes of an indexing run into one save
+   * @param {string} projectId - Project ID
+   * @private
+   */
+  scheduleSave(projectId) {
+    const project = this.projects.get(projectId);
+    if (project) project.dirty = true;
+
+    clearTimeout(this.saveTimers.get(projectId));
+    const timer = setTimeout(() => {
+      this.saveProject(projectId).catch(error => {
+        logger.warn(`Failed to save project ${projectId}: ${error.message}`, { projectId });
+      });
+    }, SAVE_DELAY_MS);
+    timer.unref();
+    this.saveTimers.set(projectId, timer);
+  }
+
+  /**
+   * Writes every project with pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (const [projectId, project] of this.projects) {
+      if (project.dirty) await this.saveProject(projectId);
+    }
+    if (this.embeddingCacheDirty) await this.saveEmbeddingCache();
+  }
+
+  /**
+   * Saves chunk changes after a short delay
+   * @param {string} projectId - Project ID
+   * @protected
+   */
+  chunksChanged(projectId) {
+    this.scheduleSave(projectId);
+  }
+
+  /**
+   * Writes the project (including pending chunk changes) to disk immediately
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async metadataChanged(projectId) {
+    await this.saveProject(projectId);
+  }
+
+  /**
+   * Forgets a project and removes its files
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async dropProject(projectId) {
+    clearTimeout(this.saveTimers.get(projectId));
+    this.saveTimers.delete(projectId);
+    this.projects.delete(projectId);
+    await this.pendingSaves.get(projectId)?.catch(() => {});
+    await fs.remove(this.projectDir(projectId));
+  }
+
+  /**
+   * Returns the embedding cache, reading it from disk on first use
+   * A cache whose files do not match (e.g. after a crash between the two writes) is discarded.
+   * @returns {Promise<Map<string, Float32Array>>} Vectors by `namespace:hash`, least recently used first
+   * @protected
+   */
+  async loadEmbeddingCache() {
+    this.embeddingCacheLoading ??= (async () => {
+      const index = await fs.readJson(path.join(this.dataDir, CACHE_INDEX_FILE)).catch(() => null);
+      if (!index) return this.embeddingCache;
+
+      const buffer = await fs.readFile(path.join(this.dataDir, CACHE_VECTORS_FILE)).catch(() => Buffer.alloc(0));
+      const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+      const total = index.entries.reduce((sum, [, length]) => sum + length, 0);
+      if (total !== vectors.length) {
+        logger.warn(`Discarding the embedding cache in ${this.dataDir}: its index and vectors do not match`);
+        return this.embeddingCache;
+      }
+
+      let offset = 0;
+      for (const [key, length] of index.entries) {
+        this.embeddingCache.set(key, vectors.subarray(offset, offset + length));
+        offset += length;
+      }
+      return this.embeddingCache;
+    })();
+    return this.embeddingCacheLoading;
+  }
+
+  /**
+   * Saves the embedding cache after a short delay
+   * @protected
+   */
+  embeddingCacheChanged() {
+    this.embeddingCacheDirty = true;
+    if (this.embeddingCacheTimer) return;
+
+    this.embeddingCacheTimer = setTimeout(() => {
+      this.saveEmbeddingCache().catch(error => {
+        logger.warn(`Failed to save the embedding cache: ${error.message}`);
+      });
+    }, SAVE_DELAY_MS);
+    this.embeddingCacheTimer.unref();
+  }
+
+  /**
+   * Writes the embedding cache to disk (vectors first, then the index that references them)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveEmbeddingCache() {
+    clearTimeout(this.embeddingCacheTimer);
+    this.embeddingCacheTimer = null;
+    this.embeddingCacheDirty = false;
+
+    const entries = [];
+    const buffers = [];
+    for (const [key, vector] of this.embeddingCache) {
+      entries.push([key, vector.length]);
+      buffers.push(Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+    }
+
+    await fs.ensureDir(this.dataDir);
+    const binFile = path.join(this.dataDir, CACHE_VECTORS_FILE);
+    const indexFile = path.join(this.dataDir, CACHE_INDEX_FILE);
+    await fs.writeFile(`${binFile}.tmp`, Buffer.concat(buffers));
+    await fs.move(`${binFile}.tmp`, binFile, { overwrite: true });
+    await fs.writeJson(`${indexFile}.tmp`, { entries });
+    await fs.move(`${indexFile}.tmp`, indexFile, { overwrite: true });
+  }
+}
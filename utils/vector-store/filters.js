@@ -0,0 +1,151 @@
+// ==========================================
+// Search Metadata Filters
+// ==========================================
+// Validates path glob, extension and modification-date filters for search
+// and translates them into MongoDB query conditions or in-process predicates
+// applied before scoring
+
+import { minimatch } from 'minimatch';
+
+/**
+ * Compiles a path glob into a regular expression
+ * Patterns without a slash match at any depth (e.g. "*.ts" matches "src/a.ts")
+ * @param {string} pattern - Glob pattern relative to the project root
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/^\.\//, '');
+  const source = normalized.includes('/') ? normalized : `**/${normalized}`;
+  const regex = minimatch.makeRe(source, { dot: true });
+  if (!regex) {
+    throw new Error(`Invalid path glob: ${pattern}`);
+  }
+  return regex;
+}
+
+/**
+ * Combines several globs into a single alternation regex
+ * @param {string[]} patterns - Glob patterns
+ * @returns {RegExp} Regex matching any of the patterns
+ */
+function combineGlobs(patterns) {
+  return new RegExp(patterns.map(p => `(?:${globToRegExp(p).source})`).join('|'));
+}
+
+/**
+ * Parses an optional date bound
+ * @param {string|number|Date} value - Date input
+ * @param {string} name - Option name used in error messages
+ * @returns {Date|null} Parsed date or null if not provided
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date (got "${value}")`);
+  }
+  return date;
+}
+
+/**
+ * Coerces a string or array option into a clean string array
+ * @param {string|string[]} value - Raw option value
+ * @returns {string[]} Non-empty trimmed strings
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validates and normalizes raw search filter options
+ * Normalizing already-normalized filters returns an equivalent object
+ * @param {Object|null} [input={}] - Raw filter options from an API request or MCP tool call
+ * @param {string|string[]} [input.includePaths] - Globs a file path must match (any of)
+ * @param {string|string[]} [input.excludePaths] - Globs a file path must not match
+ * @param {string|string[]} [input.extensions] - File extensions to keep (e.g. ".ts" or "ts")
+ * @param {string|Date} [input.modifiedAfter] - Only files modified at or after this date
+ * @param {string|Date} [input.modifiedBefore] - Only files modified at or before this date
+ * @returns {Object|null} Normalized filters, or null if no filter was given
+ * @throws {Error} If a glob or date is invalid
+ */
+export function normalizeSearchFilters(input = {}) {
+  if (!input) return null;
+  const filters = {
+    includePaths: toList(input.includePaths),
+    excludePaths: toList(input.excludePaths),
+    extensions: toList(input.extensions).map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()),
+    modifiedAfter: parseDate(input.modifiedAfter, 'modifiedAfter'),
+    modifiedBefore: parseDate(input.modifiedBefore, 'modifiedBefore')
+  };
+
+  // Compile once so invalid globs are reported up front
+  [...filters.includePaths, ...filters.excludePaths].forEach(globToRegExp);
+
+  const empty = filters.includePaths.length === 0 &&
+    filters.excludePaths.length === 0 &&
+    filters.extensions.length === 0 &&
+    !filters.modifiedAfter &&
+    !filters.modifiedBefore;
+
+  return empty ? null : filters;
+}
+
+/**
+ * Builds MongoDB query conditions for normalized search filters
+ * @param {Object|null} filters - Output of normalizeSearchFilters()
+ * @returns {Object} Conditions to merge into a document query
+ */
+export function buildMongoFilter(filters) {
+  if (!filters) return {};
+
+  const conditions = [];
+  if (filters.includePaths.length > 0) {
+    conditions.push({ filePath: { $regex: combineGlobs(filters.includePaths) } });
+  }
+  if (filters.excludePaths.length > 0) {
+    conditions.push({ filePath: { $not: combineGlobs(filters.excludePaths) } });
+  }
+  if (filters.extensions.length > 0) {
+    // Stored extensions keep their original case, so match case-insensitively
+    const escaped = filters.extensions.map(ext => ext.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    conditions.push({ 'metadata.fileType': { $regex: new RegExp(`^(?:${escaped.join('|')})$`, 'i') } });
+  }
+  if (filters.modifiedAfter || filters.modifiedBefore) {
+    const range = {};
+    if (filters.modifiedAfter) range.$gte = filters.modifiedAfter;
+    if (filters.modifiedBefore) range.$lte = filters.modifiedBefore;
+    conditions.push({ 'metadata.lastModified': range });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Builds an in-process predicate for normalized search filters
+ * Matches exactly the documents buildMongoFilter() selects
+ * @param {Object|null} filters - Output of normalizeSearchFilters()
+ * @returns {Function} (doc) => boolean
+ */
+export function buildFilterPredicate(filters) {
+  if (!filters) return () => true;
+
+  const include = filters.includePaths.length > 0 ? combineGlobs(filters.includePaths) : null;
+  const exclude = filters.excludePaths.length > 0 ? combineGlobs(filters.excludePaths) : null;
+  const extensions = new Set(filters.extensions);
+
+  return (doc) => {
+    if (include && !include.test(doc.filePath)) return false;
+    if (exclude && exclude.test(doc.filePath)) return false;
+    if (extensions.size > 0 && !extensions.has(String(doc.metadata?.fileType || '').toLowerCase())) return false;
+    if (filters.modifiedAfter || filters.modifiedBefore) {
+      const modified = doc.metadata?.lastModified ? new Date(doc.metadata.lastModified) : null;
+      if (!modified) return false;
+      if (filters.modifiedAfter && modified < filters.modifiedAfter) return false;
+      if (filters.modifiedBefore && modified > filters.modifiedBefore) return false;
+    }
+    return true;
+  };
+}
@@ -0,0 +1,167 @@
+// ==========================================
+// Lexical Hash Embedding Provider
+// ==========================================
+// Deterministic embeddings computed in process, for air-gapped machines and CI
+// Texts become weighted bags of code tokens (identifiers split on camelCase and
+// snake_case, token bigrams and character trigrams) hashed into a fixed-size vector.
+// Similarity reflects shared vocabulary rather than meaning, which already works
+// well for finding code by the names it uses.
+
+import { EmbeddingProvider } from './provider.js';
+
+/** Vector size unless EMBEDDING_DIMENSIONS says otherwise */
+const DEFAULT_DIMENSIONS = 1024;
+
+/** Identifiers, numbers and words in source text */
+const TOKEN_PATTERN = /[A-Za-z_$][A-Za-z0-9_$]*|\d+/g;
+
+/** Boundaries inside identifiers: fooBar, HTTPServer, utf8Decode, v2 */
+const SUBWORD_BOUNDARY = /(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=[A-Za-z])(?=\d)|(?<=\d)(?=[A-Za-z])/;
+
+/**
+ * Tokens so common in code and prose that they say little about a chunk
+ * They stand in for a corpus-wide IDF: a fixed table keeps vectors identical across
+ * projects and runs, which a learned document frequency would not.
+ */
+const COMMON_TOKENS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+  // Keywords shared by many languages
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+  'do', 'else', 'export', 'false', 'fn', 'func', 'function', 'import', 'let', 'new', 'nil',
+  'none', 'null', 'private', 'public', 'return', 'self', 'static', 'string', 'switch', 'throw',
+  'true', 'try', 'undefined', 'var', 'void', 'while',
+  // Chunk headers added by the indexer
+  'file', 'lines'
+]);
+
+/** Weight of a common token relative to a regular one */
+const COMMON_WEIGHT = 0.2;
+
+/** Feature weights by kind */
+const WEIGHTS = {
+  subword: 1,      // Lower-cased identifier parts ("parse", "json")
+  identifier: 1.5, // Whole compound identifiers ("parsejson")
+  bigram: 0.5,     // Adjacent subwords ("parse json")
+  trigram: 0.25    // Character trigrams of longer subwords, for partial matches ("authenticate" ~ "auth")
+};
+
+/**
+ * Splits an identifier into lower-cased parts
+ * @param {string} identifier - Identifier such as `parseHTTPResponse` or `max_retry_count`
+ * @returns {string[]} Parts such as ['parse', 'http', 'response']
+ */
+export function splitIdentifier(identifier) {
+  return identifier
+    .split(/[_$]+/)
+    .flatMap(part => part.split(SUBWORD_BOUNDARY))
+    .filter(Boolean)
+    .map(part => part.toLowerCase());
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embedding provider that needs no model or service
+ */
+export class LexicalHashEmbedding extends EmbeddingProvider {
+  /**
+   * Creates a new LexicalHashEmbedding instance
+   * @param {Object} [options={}] - Provider options
+   * @param {number} [options.dimensions] - Vector size (env EMBEDDING_DIMENSIONS, default 1024)
+   * @throws {Error} If dimensions is not a positive integer
+   */
+  constructor(options = {}) {
+    super('lexical-hash-v1', 'Lexical hash', options);
+
+    const dimensions = options.dimensions ?? (process.env.EMBEDDING_DIMENSIONS ? Number(process.env.EMBEDDING_DIMENSIONS) : DEFAULT_DIMENSIONS);
+    if (!(Number.isInteger(dimensions) && dimensions > 0)) {
+      throw new Error(`EMBEDDING_DIMENSIONS must be a positive integer (got "${dimensions}")`);
+    }
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Identifies the vector space in the embedding cache, including the vector size
+   * @returns {string} Namespace
+   */
+  cacheNamespace() {
+    return `${this.model}@${this.dimensions}`;
+  }
+
+  /**
+   * Computes the embedding of a text
+   * @param {string} text - Text to embed
+   * @returns {Promise<number[]>} Unit-length vector
+   * @throws {Error} If the text is empty
+   */
+  async requestEmbedding(text) {
+    const features = this.extractFeatures(this.cleanText(text));
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const [feature, { tf, weight }] of features) {
+      // Sublinear term frequency: repeating a name helps, with diminishing returns
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1; // Signed hashing keeps collisions from adding up
+      vector[hash % this.dimensions] += sign * (1 + Math.log(tf)) * weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  /**
+   * Turns a text into weighted features
+   * @param {string} text - Cleaned text
+   * @returns {Map<string, {tf: number, weight: number}>} Occurrences and weight by feature
+   * @private
+   */
+  extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      const entry = features.get(feature);
+      if (entry) entry.tf++;
+      else features.set(feature, { tf: 1, weight });
+    };
+    const tokenWeight = token => (COMMON_TOKENS.has(token) ? COMMON_WEIGHT : 1);
+
+    let previous = null;
+    for (const token of text.match(TOKEN_PATTERN) || []) {
+      if (token.length > 64) continue; // Skip hashes, base64 blobs, etc.
+
+      const parts = splitIdentifier(token);
+      if (parts.length > 1) {
+        add(`i:${parts.join('')}`, WEIGHTS.identifier);
+      }
+
+      for (const part of parts) {
+        add(`w:${part}`, WEIGHTS.subword * tokenWeight(part));
+        if (previous) {
+          add(`b:${previous} ${part}`, WEIGHTS.bigram * Math.min(tokenWeight(previous), tokenWeight(part)));
+        }
+        if (part.length >= 4) {
+          const padded = `^${part}$`;
+          for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`c:${padded.slice(i, i + 3)}`, WEIGHTS.trigram);
+          }
+        }
+        previous = part;
+      }
+    }
+
+    return features;
+  }
+}
@@ -0,0 +1,416 @@
+// ==========================================
+// HNSW Approximate Nearest-Neighbor Index
+// ==========================================
+// In-process Hierarchical Navigable Small World graph over normalized vectors
+// Supports incremental inserts and removals plus JSON (de)serialization of the graph
+
+/**
+ * Minimal binary heap used for HNSW candidate and result queues
+ * Ordered by the supplied comparator (smallest first)
+ * @private
+ */
+class Heap {
+  /**
+   * Creates a new heap
+   * @param {Function} compare - Comparator returning a negative number when a sorts before b
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Normalizes a vector to unit length so cosine similarity becomes a dot product
+ * @param {number[]|Float32Array} vector - Input vector
+ * @returns {Float32Array} Unit-length copy of the vector
+ */
+export function normalizeVector(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+/**
+ * Dot product of two equal-length vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Dot product
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Approximate nearest-neighbor index using the HNSW algorithm
+ * Nodes are addressed externally by string IDs (MongoDB document IDs)
+ */
+export class HnswIndex {
+  /**
+   * Creates a new, empty HNSW index
+   * @param {Object} options - Index options
+   * @param {number} options.dimensions - Vector dimensionality
+   * @param {number} [options.M=16] - Maximum neighbors per node on upper layers (2*M on layer 0)
+   * @param {number} [options.efConstruction=100] - Candidate list size used while inserting
+   */
+  constructor({ dimensions, M = 16, efConstruction = 100 }) {
+    this.dimensions = dimensions;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    /** @type {(Object|null)[]} Node slots: { id, vector, level, neighbors } or null once removed */
+    this.nodes = [];
+    /** @type {Map<string, number>} External ID to node slot */
+    this.idToSlot = new Map();
+
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of live vectors in the index
+   * @returns {number}
+   */
+  get size() {
+    return this.idToSlot.size;
+  }
+
+  /**
+   * Checks whether a document ID is present in the index
+   * @param {string} id - Document ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.idToSlot.has(id);
+  }
+
+  /**
+   * Picks a random layer for a new node using the standard exponential distribution
+   * @returns {number} Layer number (0 = bottom layer)
+   * @private
+   */
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Maximum number of connections allowed for a node on a given layer
+   * @param {number} level - Layer number
+   * @returns {number}
+   * @private
+   */
+  maxConnections(level) {
+    return level === 0 ? this.M * 2 : this.M;
+  }
+
+  /**
+   * Cosine distance between a query and a stored node
+   * @param {Float32Array} query - Normalized query vector
+   * @param {number} slot - Node slot
+   * @returns {number} Distance (0 = identical direction)
+   * @private
+   */
+  distance(query, slot) {
+    return 1 - dot(query, this.nodes[slot].vector);
+  }
+
+  /**
+   * Best-first search of a single layer
+   * @param {Float32Array} query - Normalized query vector
+   * @param {number[]} entrySlots - Slots to start from
+   * @param {number} ef - Size of the dynamic result list
+   * @param {number} level - Layer to search
+   * @param {Function} [accept] - Optional predicate deciding which slots may enter the result list
+   * @returns {{slot: number, dist: number}[]} Results sorted nearest first
+   * @private
+   */
+  searchLayer(query, entrySlots, ef, level, accept = null) {
+    const visited = new Set(entrySlots);
+    const candidates = new Heap((a, b) => a.dist - b.dist); // nearest first
+    const results = new Heap((a, b) => b.dist - a.dist);    // furthest first
+
+    for (const slot of entrySlots) {
+      const entry = { slot, dist: this.distance(query, slot) };
+      candidates.push(entry);
+      if (!accept || accept(slot)) results.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      for (const neighbor of this.nodes[current.slot].neighbors[level] || []) {
+        if (visited.has(neighbor) || !this.nodes[neighbor]) continue;
+        visited.add(neighbor);
+
+        const dist = this.distance(query, neighbor);
+        if (results.size < ef || dist < results.peek().dist) {
+          candidates.push({ slot: neighbor, dist });
+          if (!accept || accept(neighbor)) {
+            results.push({ slot: neighbor, dist });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  /**
+   * Greedily walks from the entry point down to the target layer
+   * @param {Float32Array} query - Normalized query vector
+   * @param {number} targetLevel - Layer to stop above
+   * @returns {number} Closest slot found on targetLevel + 1
+   * @private
+   */
+  descend(query, targetLevel) {
+    let current = this.entryPoint;
+    for (let level = this.maxLevel; level > targetLevel; level--) {
+      current = this.searchLayer(query, [current], 1, level)[0].slot;
+    }
+    return current;
+  }
+
+  /**
+   * Adds a vector to the index (replacing any existing vector with the same ID)
+   * @param {string} id - Document ID
+   * @param {number[]|Float32Array} vector - Embedding vector
+   */
+  add(id, vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dimensions}`);
+    }
+    if (this.idToSlot.has(id)) {
+      this.remove(id);
+    }
+
+    const normalized = normalizeVector(vector);
+    const level = this.randomLevel();
+    const node = { id, vector: normalized, level, neighbors: Array.from({ length: level + 1 }, () => []) };
+    const slot = this.nodes.length;
+    this.nodes[slot] = node;
+    this.idToSlot.set(id, slot);
+
+    // First node becomes the entry point
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = [this.descend(normalized, level)];
+    for (let lc = Math.min(level, this.maxLevel); lc >= 0; lc--) {
+      const found = this.searchLayer(normalized, entry, this.efConstruction, lc);
+      const selected = found.slice(0, this.M).map(r => r.slot);
+      node.neighbors[lc] = selected;
+
+      // Connect back and prune neighbors that exceed their layer capacity
+      for (const neighbor of selected) {
+        const links = this.nodes[neighbor].neighbors[lc];
+        links.push(slot);
+        if (links.length > this.maxConnections(lc)) {
+          this.pruneLinks(neighbor, lc);
+        }
+      }
+      entry = found.map(r => r.slot);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = slot;
+    }
+  }
+
+  /**
+   * Keeps only the closest neighbors of a node on a layer
+   * @param {number} slot - Node slot to prune
+   * @param {number} level - Layer number
+   * @private
+   */
+  pruneLinks(slot, level) {
+    const node = this.nodes[slot];
+    node.neighbors[level] = node.neighbors[level]
+      .filter(neighbor => this.nodes[neighbor])
+      .map(neighbor => ({ slot: neighbor, dist: this.distance(node.vector, neighbor) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, this.maxConnections(level))
+      .map(r => r.slot);
+  }
+
+  /**
+   * Removes a vector from the index and repairs the graph around it
+   * Former neighbors are reconnected to each other so the graph stays navigable
+   * @param {string} id - Document ID
+   * @returns {boolean} True if the ID was present
+   */
+  remove(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined) return false;
+
+    const node = this.nodes[slot];
+    this.idToSlot.delete(id);
+    this.nodes[slot] = null;
+
+    for (let level = 0; level <= node.level; level++) {
+      const orphans = node.neighbors[level];
+      for (const neighbor of orphans) {
+        if (!this.nodes[neighbor]) continue;
+        const links = this.nodes[neighbor].neighbors[level].filter(s => s !== slot);
+        // Offer the removed node's other neighbors as replacement links
+        for (const candidate of orphans) {
+          if (candidate !== neighbor && this.nodes[candidate] && !links.includes(candidate)) links.push(candidate);
+        }
+        this.nodes[neighbor].neighbors[level] = links;
+        if (links.length > this.maxConnections(level)) {
+          this.pruneLinks(neighbor, level);
+        }
+      }
+    }
+
+    // One-directional links to the removed slot may remain; traversal skips them
+    // and toJSON() drops them, so slots are never reused
+
+    if (this.entryPoint === slot) {
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+      this.nodes.forEach((candidate, candidateSlot) => {
+        if (candidate && candidate.level > this.maxLevel) {
+          this.maxLevel = candidate.level;
+          this.entryPoint = candidateSlot;
+        }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Finds the approximate K nearest vectors to a query
+   * @param {number[]} queryVector - Query embedding
+   * @param {number} k - Number of results to return
+   * @param {number} [ef=64] - Search breadth; higher values trade latency for recall
+   * @param {Function} [filter] - Optional predicate on document IDs restricting the results
+   * @returns {{id: string, score: number}[]} Results with cosine similarity scores, best first
+   */
+  search(queryVector, k, ef = 64, filter = null) {
+    if (this.entryPoint === -1 || !queryVector || queryVector.length !== this.dimensions) {
+      return [];
+    }
+
+    const query = normalizeVector(queryVector);
+    const accept = filter ? (slot) => filter(this.nodes[slot].id) : null;
+    const entry = this.descend(query, 0);
+    const found = this.searchLayer(query, [entry], Math.max(ef, k), 0, accept);
+
+    return found.slice(0, k).map(r => ({
+      id: this.nodes[r.slot].id,
+      score: 1 - r.dist
+    }));
+  }
+
+  /**
+   * Serializes the graph structure (without vectors) for persistence
+   * Slots are compacted so the output only references live nodes
+   * @returns {Object} Plain JSON-compatible representation
+   */
+  toJSON() {
+    const remap = new Map();
+    const live = [];
+    this.nodes.forEach((node, slot) => {
+      if (node) {
+        remap.set(slot, live.length);
+        live.push(node);
+      }
+    });
+
+    return {
+      version: 1,
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      maxLevel: this.maxLevel,
+      entryPoint: this.entryPoint === -1 ? -1 : remap.get(this.entryPoint),
+      nodes: live.map(node => ({
+        id: node.id,
+        level: node.level,
+        neighbors: node.neighbors.map(links => links.filter(s => remap.has(s)).map(s => remap.get(s)))
+      }))
+    };
+  }
+
+  /**
+   * Restores an index from its serialized graph and the stored vectors
+   * @param {Object} data - Output of toJSON()
+   * @param {Map<string, number[]>} vectors - Map of document ID to embedding
+   * @returns {HnswIndex|null} Restored index, or null if any vector is missing or mismatched
+   */
+  static fromJSON(data, vectors) {
+    if (!data || data.version !== 1) return null;
+
+    const index = new HnswIndex({ dimensions: data.dimensions, M: data.M, efConstruction: data.efConstruction });
+    for (const [slot, node] of data.nodes.entries()) {
+      const vector = vectors.get(node.id);
+      if (!vector || vector.length !== data.dimensions) return null;
+      index.nodes[slot] = {
+        id: node.id,
+        vector: normalizeVector(vector),
+        level: node.level,
+        neighbors: node.neighbors
+      };
+      index.idToSlot.set(node.id, slot);
+    }
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+}
@@ -0,0 +1,58 @@
+// ==========================================
+// Embedding Instruction Templates
+// ==========================================
+// Many retrieval models are trained with different prefixes for search queries and
+// for the passages they should find. Templates wrap a text before it is embedded;
+// `{text}` marks where the text goes.
+
+/** Templates that leave texts unchanged (models without instructions, projects indexed before templates existed) */
+export const PLAIN_TEMPLATES = Object.freeze({ query: '{text}', document: '{text}' });
+
+const SEARCH_INSTRUCTION = 'Represent this sentence for searching relevant passages: {text}';
+
+/**
+ * Known model families and the templates they were trained with
+ * Matched in order against the model name (without tag), first match wins
+ */
+export const MODEL_TEMPLATES = [
+  { pattern: /nomic-embed-text/i, query: 'search_query: {text}', document: 'search_document: {text}' },
+  { pattern: /(^|[-/_])e5([-_]|$)/i, query: 'query: {text}', document: 'passage: {text}' },
+  { pattern: /mxbai-embed-large/i, query: SEARCH_INSTRUCTION, document: '{text}' },
+  { pattern: /bge-(small|base|large)-en/i, query: SEARCH_INSTRUCTION, document: '{text}' },
+  { pattern: /snowflake-arctic-embed/i, query: SEARCH_INSTRUCTION, document: '{text}' }
+];
+
+/**
+ * Looks up the templates a model expects
+ * @param {string} model - Model name, optionally with an Ollama tag (e.g. 'nomic-embed-text:latest')
+ * @returns {{query: string, document: string}} Templates (plain for unknown models)
+ */
+export function defaultTemplates(model) {
+  const name = String(model || '').split(':')[0];
+  const known = MODEL_TEMPLATES.find(entry => entry.pattern.test(name));
+  return known ? { query: known.query, document: known.document } : { ...PLAIN_TEMPLATES };
+}
+
+/**
+ * Checks that a template contains the `{text}` placeholder
+ * @param {string} template - Template to check
+ * @param {string} name - Setting name used in the error message
+ * @returns {string} The template
+ * @throws {Error} If the placeholder is missing
+ */
+export function validateTemplate(template, name) {
+  if (typeof template !== 'string' || !template.includes('{text}')) {
+    throw new Error(`${name} must contain the {text} placeholder (got "${template}")`);
+  }
+  return template;
+}
+
+/**
+ * Wraps a text in a template
+ * @param {string} template - Template with a `{text}` placeholder
+ * @param {string} text - Text to insert
+ * @returns {string} Text to embed
+ */
+export function applyTemplate(template, text) {
+  return template.replace('{text}', () => text);
+}
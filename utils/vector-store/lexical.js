@@ -0,0 +1,78 @@
+// ==========================================
+// Lexical (BM25) Search Helpers
+// ==========================================
+// Tokenizes code for keyword matching and scores chunks with Okapi BM25
+// Identifiers are indexed whole and split on camelCase/snake_case boundaries
+
+// BM25 tuning constants (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Splits text into lowercase search terms
+ * Each identifier yields itself plus its camelCase/snake_case parts,
+ * so `runIndexJob` matches both the exact name and "index job"
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance (with repetitions)
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of (text || '').match(/[A-Za-z0-9_$]+/g) || []) {
+    if (word.length > 64) continue; // Skip hashes, base64 blobs, etc.
+
+    terms.push(word.toLowerCase());
+    const parts = word
+      .split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      parts.forEach(part => terms.push(part.toLowerCase()));
+    }
+  }
+  return terms.filter(term => term.length > 1);
+}
+
+/**
+ * Builds the lexical index entry stored alongside a chunk
+ * Term frequencies are kept as parallel arrays so terms can be matched with a multikey index
+ * @param {string} content - Chunk content
+ * @returns {{terms: string[], counts: number[], length: number}} Lexical index entry
+ */
+export function buildLexicalEntry(content) {
+  const tokens = tokenize(content);
+  const frequencies = new Map();
+  for (const token of tokens) {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  }
+
+  return {
+    terms: [...frequencies.keys()],
+    counts: [...frequencies.values()],
+    length: tokens.length
+  };
+}
+
+/**
+ * Scores a chunk against query terms with Okapi BM25
+ * @param {string[]} queryTerms - Unique query terms
+ * @param {{terms: string[], counts: number[], length: number}} entry - Chunk lexical entry
+ * @param {Map<string, number>} documentFrequencies - Number of chunks containing each term
+ * @param {number} totalDocuments - Number of chunks in the corpus
+ * @param {number} averageLength - Average chunk length in terms
+ * @returns {number} BM25 score (0 when no term matches)
+ */
+export function bm25Score(queryTerms, entry, documentFrequencies, totalDocuments, averageLength) {
+  let score = 0;
+  const norm = 1 - BM25_B + BM25_B * (entry.length / (averageLength || 1));
+
+  for (const term of queryTerms) {
+    const position = entry.terms.indexOf(term);
+    if (position === -1) continue;
+
+    const tf = entry.counts[position];
+    const df = documentFrequencies.get(term) || 0;
+    const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5));
+    score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+  }
+
+  return score;
+}
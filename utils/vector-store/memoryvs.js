@@ -0,0 +1,599 @@
+// ==========================================
+// In-Memory Vector Store
+// ==========================================
+// VectorStore backend that keeps every project in process memory
+// Follows the MongoVectorStore contract (result shapes, project metadata
+// upserts, first-chunk-per-file semantics of getExistingFiles) so it can stand
+// in for MongoDB in tests and ephemeral sessions. Nothing survives a restart.
+// The embedding cache is a Map in insertion order, which doubles as LRU order.
+
+import crypto from 'crypto';
+import { VectorStore, normalizeTags } from './store.js';
+import { tokenize, buildLexicalEntry, bm25Score } from './lexical.js';
+import { applyProjectWeights, cosineSimilarity } from './ranking.js';
+import { buildFilterPredicate } from './filters.js';
+
+/**
+ * In-memory vector store
+ * Projects are held as { metadata, chunks }; chunk embeddings are Float32Arrays.
+ * Subclasses can persist projects by overriding the project lifecycle hooks
+ * (loadProject, listProjectIds, getOrCreateProject, chunksChanged, metadataChanged, dropProject)
+ * and the embedding cache through loadEmbeddingCache and embeddingCacheChanged.
+ */
+export class MemoryVectorStore extends VectorStore {
+  /**
+   * Creates a new MemoryVectorStore instance
+   * @param {Object} [options={}] - Store options (see VectorStore)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = { name: 'node', configured: 'node', reason: 'in-memory store' };
+
+    /** @type {Map<string, Object>} Projects by ID: { metadata, chunks } */
+    this.projects = new Map();
+    /** @type {Map<string, Float32Array>} Cached embeddings by `namespace:hash`, least recently used first */
+    this.embeddingCache = new Map();
+  }
+
+  /**
+   * Lists every known project
+   * @returns {Promise<string[]>} Project IDs
+   */
+  async listProjectIds() {
+    return [...this.projects.keys()];
+  }
+
+  /**
+   * Returns a project's state
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Project state, or null if the project does not exist
+   * @protected
+   */
+  async loadProject(projectId) {
+    return this.projects.get(projectId) || null;
+  }
+
+  /**
+   * Returns a project, creating an empty one if it does not exist
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Project state
+   * @protected
+   */
+  async getOrCreateProject(projectId) {
+    const existing = await this.loadProject(projectId);
+    if (existing) return existing;
+
+    const project = { metadata: null, chunks: [] };
+    this.projects.set(projectId, project);
+    return project;
+  }
+
+  /**
+   * Called after chunks of a project were added or removed
+   * @param {string} projectId - Project ID
+   * @protected
+   */
+  chunksChanged(projectId) {}
+
+  /**
+   * Called after a project's metadata changed
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async metadataChanged(projectId) {}
+
+  /**
+   * Forgets a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async dropProject(projectId) {
+    this.projects.delete(projectId);
+  }
+
+  /**
+   * Converts a stored chunk into the public search result shape (without score)
+   * @param {Object} chunk - Stored chunk
+   * @returns {Object} Result object
+   * @private
+   */
+  formatResult(chunk) {
+    return {
+      id: chunk.id,
+      projectId: chunk.projectId,
+      filePath: chunk.filePath,
+      chunkIndex: chunk.chunkIndex,
+      totalChunks: chunk.totalChunks,
+      content: chunk.content,
+      metadata: chunk.metadata,
+    };
+  }
+
+  /**
+   * Collects the chunks of several projects
+   * @param {string[]|null} projectIds - Projects (null = all)
+   * @returns {Promise<Object[]>} Chunks
+   * @private
+   */
+  async chunksIn(projectIds) {
+    const ids = projectIds || await this.listProjectIds();
+    const chunks = [];
+    for (const projectId of ids) {
+      const project = await this.loadProject(projectId);
+      if (project) chunks.push(...project.chunks);
+    }
+    return chunks;
+  }
+
+  /**
+   * Adds multiple documents with embeddings to the store
+   * @param {Object[]} docs - Documents ({ id?, projectId, filePath, chunkIndex, totalChunks, content, embedding, metadata })
+   * @param {Object} [options={}] - Insert options
+   * @param {string} [options.embeddingModel] - Model that produced the embeddings
+   * @returns {Promise<void>}
+   * @throws {EmbeddingMismatchError} If the embeddings do not match the project's recorded model or dimension
+   */
+  async addDocuments(docs, options = {}) {
+    await this.assertDocumentsCompatible(docs, options.embeddingModel);
+
+    const touched = new Set();
+    for (const doc of docs) {
+      const project = await this.getOrCreateProject(doc.projectId);
+      const content = doc.content || doc.text; // Support both content and text fields
+      project.chunks.push({
+        id: doc.id || crypto.randomBytes(12).toString('hex'),
+        projectId: doc.projectId,
+        filePath: doc.filePath,
+        chunkIndex: doc.chunkIndex || 0,
+        totalChunks: doc.totalChunks || 1,
+        content,
+        embedding: doc.embedding ? Float32Array.from(doc.embedding) : null,
+        embeddingSource: doc.embeddingSource || null,
+        lexical: buildLexicalEntry(content),
+        metadata: doc.metadata || {},
+        createdAt: new Date(),
+      });
+      touched.add(doc.projectId);
+    }
+    touched.forEach(projectId => this.chunksChanged(projectId));
+  }
+
+  /**
+   * Scores every matching chunk against the query by cosine similarity
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of results
+   * @param {string[]|null} [projectIds] - Projects to search (null = all)
+   * @param {Object|null} [filters] - Normalized search filters
+   * @param {Object} [options={}] - Search options (projectWeights)
+   * @returns {Promise<Object[]>} Scored results, best first
+   */
+  async semanticSearch(queryEmbedding, topK, projectIds = null, filters = null, options = {}) {
+    const matches = buildFilterPredicate(filters);
+    const chunks = (await this.chunksIn(projectIds)).filter(chunk => chunk.embedding && matches(chunk));
+
+    const scored = applyProjectWeights(chunks.map(chunk => ({
+      ...this.formatResult(chunk),
+      score: cosineSimilarity(queryEmbedding, chunk.embedding),
+    })), options.projectWeights);
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, topK);
+  }
+
+  /**
+   * Performs BM25 keyword search over chunk content
+   * Corpus statistics cover the whole project scope; filters only restrict the candidates
+   * @param {string} query - Raw query text
+   * @param {number} topK - Number of results
+   * @param {string[]|null} [projectIds] - Projects to search (null = all)
+   * @param {Object|null} [filters] - Normalized search filters
+   * @param {Object} [options={}] - Search options (projectWeights)
+   * @returns {Promise<Object[]>} Scored results, best first
+   */
+  async lexicalSearch(query, topK, projectIds = null, filters = null, options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const corpus = (await this.chunksIn(projectIds)).filter(chunk => chunk.lexical);
+    if (corpus.length === 0) return [];
+
+    const documentFrequencies = new Map();
+    const candidates = [];
+    let totalLength = 0;
+    for (const chunk of corpus) {
+      totalLength += chunk.lexical.length;
+      const shared = queryTerms.filter(term => chunk.lexical.terms.includes(term));
+      shared.forEach(term => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+      if (shared.length > 0) candidates.push(chunk);
+    }
+    const averageLength = totalLength / corpus.length;
+
+    const matches = buildFilterPredicate(filters);
+    const scored = applyProjectWeights(candidates.filter(matches).map(chunk => ({
+      ...this.formatResult(chunk),
+      score: bm25Score(queryTerms, chunk.lexical, documentFrequencies, corpus.length, averageLength),
+    })), options.projectWeights);
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, topK);
+  }
+
+  /**
+   * Resolves the set of projects a search should cover
+   * Explicit project IDs and projects carrying any of the given tags are combined
+   * @param {string|string[]|null} projectId - Project ID, list of IDs, or null
+   * @param {string[]} [tags] - Project tags to include
+   * @returns {Promise<string[]|null>} Project IDs to search, or null for all projects
+   */
+  async resolveProjectScope(projectId, tags = null) {
+    const ids = projectId ? [].concat(projectId) : [];
+    if (tags && tags.length > 0) {
+      for (const candidate of await this.listProjectIds()) {
+        const project = await this.loadProject(candidate);
+        if (project?.metadata?.tags?.some(tag => tags.includes(tag))) ids.push(candidate);
+      }
+      return [...new Set(ids)];
+    }
+    return ids.length > 0 ? [...new Set(ids)] : null;
+  }
+
+  /**
+   * Fetches stored embeddings for a set of documents
+   * @param {string[]} ids - Document IDs
+   * @returns {Promise<Map<string, number[]>>} Embedding by document ID
+   */
+  async getEmbeddings(ids) {
+    if (ids.length === 0) return new Map();
+    const wanted = new Set(ids);
+    const embeddings = new Map();
+    for (const chunk of await this.chunksIn(null)) {
+      if (wanted.has(chunk.id) && chunk.embedding) embeddings.set(chunk.id, Array.from(chunk.embedding));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Loads chunks of one file by chunk index, without vectors
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number[]} chunkIndexes - Chunk indexes to load
+   * @returns {Promise<Object[]>} Chunks
+   */
+  async loadChunks(projectId, filePath, chunkIndexes) {
+    const project = await this.loadProject(projectId);
+    if (!project) return [];
+    const wanted = new Set(chunkIndexes);
+    return project.chunks
+      .filter(chunk => chunk.filePath === filePath && wanted.has(chunk.chunkIndex))
+      .map(chunk => this.formatResult(chunk));
+  }
+
+  /**
+   * Finds embedded chunks of a file overlapping a line range
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number} from - First line
+   * @param {number} to - Last line
+   * @returns {Promise<Object[]>} Chunks ({ id, embedding, metadata })
+   */
+  async findRangeChunks(projectId, filePath, from, to) {
+    const project = await this.loadProject(projectId);
+    if (!project) return [];
+    return project.chunks
+      .filter(chunk =>
+        chunk.filePath === filePath &&
+        chunk.embedding &&
+        chunk.metadata?.startLine <= to &&
+        chunk.metadata?.endLine >= from
+      )
+      .map(chunk => ({ id: chunk.id, embedding: Array.from(chunk.embedding), metadata: chunk.metadata }));
+  }
+
+  /**
+   * Dimension of the first stored vector of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number|null>} Dimension, or null if the project has no embeddings
+   */
+  async getStoredDimensions(projectId) {
+    const project = await this.loadProject(projectId);
+    const chunk = project?.chunks.find(candidate => candidate.embedding);
+    return chunk ? chunk.embedding.length : null;
+  }
+
+  /**
+   * Pages through a project's chunks ordered by ID
+   * @param {string} projectId - Project ID
+   * @param {string|null} afterId - Return chunks after this ID (null = from the start)
+   * @param {number} limit - Maximum number of chunks
+   * @param {Object} [options={}] - Selection options
+   * @param {string} [options.embeddingSource] - Only chunks whose embedding came from this source
+   * @returns {Promise<Object[]>} Chunks ({ id, content })
+   */
+  async getChunkBatch(projectId, afterId, limit, options = {}) {
+    const project = await this.loadProject(projectId);
+    return (project ? project.chunks : [])
+      .filter(chunk => afterId === null || chunk.id > afterId)
+      .filter(chunk => !options.embeddingSource || chunk.embeddingSource === options.embeddingSource)
+      .sort((a, b) => (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+      .map(chunk => ({ id: chunk.id, content: chunk.content }));
+  }
+
+  /**
+   * Overwrites the embeddings of existing chunks (marking them as model embeddings)
+   * @param {string} projectId - Project ID
+   * @param {Object[]} updates - New vectors ({ id, embedding })
+   * @returns {Promise<void>}
+   */
+  async replaceEmbeddings(projectId, updates) {
+    const project = await this.loadProject(projectId);
+    if (!project) return;
+
+    const byId = new Map(updates.map(update => [update.id, update.embedding]));
+    for (const chunk of project.chunks) {
+      if (!byId.has(chunk.id)) continue;
+      chunk.embedding = Float32Array.from(byId.get(chunk.id));
+      chunk.embeddingSource = 'model';
+    }
+    this.chunksChanged(projectId);
+  }
+
+  /**
+   * Retrieves all indexed projects with their statistics and metadata
+   * @returns {Promise<Object[]>} Array of project objects with statistics
+   */
+  async getProjects() {
+    const projects = [];
+    for (const projectId of await this.listProjectIds()) {
+      const project = await this.loadProject(projectId);
+      if (!project) continue;
+
+      const meta = project.metadata;
+      if (meta) {
+        projects.push({
+          projectId,
+          documentCount: project.chunks.length,
+          lastModified: meta.lastIndexed || meta.createdAt,
+          directoryPath: meta.directoryPath,
+          excludePatterns: meta.excludePatterns || [],
+          tags: meta.tags || [],
+          embeddingModel: meta.embeddingModel || null,
+          embeddingDimensions: meta.embeddingDimensions || null,
+          embeddingTemplates: meta.embeddingTemplates || null,
+          chunking: meta.chunking || null,
+          useGitignore: meta.useGitignore !== false,
+          includeExtensions: meta.includeExtensions || [],
+          excludeExtensions: meta.excludeExtensions || [],
+          createdAt: meta.createdAt,
+          lastIndexed: meta.lastIndexed
+        });
+      } else {
+        projects.push({
+          projectId,
+          documentCount: project.chunks.length,
+          lastModified: project.chunks[0]?.createdAt || new Date(),
+          directoryPath: null,
+          excludePatterns: [],
+          tags: []
+        });
+      }
+    }
+    return projects;
+  }
+
+  /**
+   * Gets detailed statistics for a specific project
+   * @param {string} projectId - Project ID to get statistics for
+   * @returns {Promise<Object>} Project statistics object
+   */
+  async getProjectStats(projectId) {
+    const project = await this.loadProject(projectId);
+    const chunks = project ? project.chunks : [];
+    const files = [...new Set(chunks.map(chunk => chunk.filePath))];
+
+    return {
+      projectId,
+      totalDocuments: chunks.length,
+      fallbackDocuments: chunks.filter(chunk => chunk.embeddingSource === 'fallback').length,
+      totalFiles: files.length,
+      files
+    };
+  }
+
+  /**
+   * Retrieves metadata for existing files in a project
+   * Used for delta indexing to determine which files have changed
+   * @param {string} projectId - Project ID to query
+   * @returns {Promise<Object>} Map of file paths to their metadata
+   */
+  async getExistingFiles(projectId) {
+    const project = await this.loadProject(projectId);
+    const fileMap = {};
+    for (const chunk of project ? project.chunks : []) {
+      if (fileMap[chunk.filePath]) continue;
+      fileMap[chunk.filePath] = {
+        fileSize: chunk.metadata?.fileSize,
+        lastModified: chunk.metadata?.lastModified,
+        contentHash: chunk.metadata?.contentHash,
+        chunking: chunk.metadata?.chunking
+      };
+    }
+    return fileMap;
+  }
+
+  /**
+   * Removes all document chunks for a specific file from a project
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path to remove chunks for
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async removeFileChunks(projectId, filePath) {
+    const project = await this.loadProject(projectId);
+    if (!project) return 0;
+
+    const before = project.chunks.length;
+    project.chunks = project.chunks.filter(chunk => chunk.filePath !== filePath);
+    const removed = before - project.chunks.length;
+    if (removed > 0) this.chunksChanged(projectId);
+    return removed;
+  }
+
+  /**
+   * Saves or updates project metadata including directory path and exclude patterns
+   * Keeps the original createdAt when the project already has metadata
+   * @param {string} projectId - Project identifier
+   * @param {string} directoryPath - Directory that was indexed
+   * @param {string[]} [excludePatterns=[]] - Patterns that were excluded during indexing
+   * @param {{model: string, dimensions: number, templates?: Object}} [embedding] - Embedding model, dimension and
+   *   query/document templates to record (kept when omitted)
+   * @returns {Promise<Object>} Saved metadata object
+   */
+  async saveProjectMetadata(projectId, directoryPath, excludePatterns = [], embedding = null) {
+    const project = await this.getOrCreateProject(projectId);
+
+    const metadata = {
+      projectId,
+      directoryPath,
+      excludePatterns,
+      lastIndexed: new Date(),
+      updatedAt: new Date()
+    };
+    if (embedding) {
+      metadata.embeddingModel = embedding.model;
+      metadata.embeddingDimensions = embedding.dimensions;
+      if (embedding.templates) metadata.embeddingTemplates = embedding.templates;
+    }
+    project.metadata = { createdAt: new Date(), ...project.metadata, ...metadata };
+    this.forgetEmbeddingSignature(projectId);
+
+    await this.metadataChanged(projectId);
+    return metadata;
+  }
+
+  /**
+   * Replaces the tags of a project, creating its metadata entry if needed
+   * @param {string} projectId - Project identifier
+   * @param {string[]} tags - Tags to assign
+   * @returns {Promise<string[]>} Normalized tags that were saved
+   */
+  async setProjectTags(projectId, tags) {
+    const normalized = normalizeTags(tags);
+    const project = await this.getOrCreateProject(projectId);
+    project.metadata = { projectId, createdAt: new Date(), ...project.metadata, tags: normalized, updatedAt: new Date() };
+
+    await this.metadataChanged(projectId);
+    return normalized;
+  }
+
+  /**
+   * Saves indexing settings of a project, creating its metadata entry if needed
+   * @param {string} projectId - Project identifier
+   * @param {Object} settings - Validated settings (see normalizeProjectSettings)
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setProjectSettings(projectId, settings) {
+    const project = await this.getOrCreateProject(projectId);
+    project.metadata = { projectId, createdAt: new Date(), ...project.metadata, ...settings, updatedAt: new Date() };
+
+    await this.metadataChanged(projectId);
+    return settings;
+  }
+
+  /**
+   * Retrieves stored metadata for a project
+   * @param {string} projectId - Project ID to get metadata for
+   * @returns {Promise<Object|null>} Project metadata or null if not found
+   */
+  async getProjectMetadata(projectId) {
+    const project = await this.loadProject(projectId);
+    return project?.metadata || null;
+  }
+
+  /**
+   * Completely removes a project and all its associated data
+   * @param {string} projectId - Project ID to delete
+   * @returns {Promise<number>} Number of chunks deleted
+   */
+  async deleteProject(projectId) {
+    const project = await this.loadProject(projectId);
+    const deleted = project ? project.chunks.length : 0;
+
+    this.forgetEmbeddingSignature(projectId);
+    await this.dropProject(projectId);
+    return deleted;
+  }
+
+  /**
+   * Returns the embedding cache
+   * @returns {Promise<Map<string, Float32Array>>} Vectors by `namespace:hash`, least recently used first
+   * @protected
+   */
+  async loadEmbeddingCache() {
+    return this.embeddingCache;
+  }
+
+  /**
+   * Called after the embedding cache changed (entries added, used or evicted)
+   * @protected
+   */
+  embeddingCacheChanged() {}
+
+  /**
+   * Looks up cached embeddings and marks them as recently used
+   * @param {string} namespace - Vector space of the embeddings
+   * @param {string[]} hashes - Hashes of the embedded texts
+   * @returns {Promise<Map<string, number[]>>} Cached vectors by hash
+   */
+  async getCachedEmbeddings(namespace, hashes) {
+    const found = new Map();
+    if (this.embeddingCacheSize === 0) return found;
+
+    const cache = await this.loadEmbeddingCache();
+    for (const hash of hashes) {
+      const key = `${namespace}:${hash}`;
+      const vector = cache.get(key);
+      if (!vector) continue;
+
+      // Re-insert to move the entry to the most recently used end
+      cache.delete(key);
+      cache.set(key, vector);
+      found.set(hash, Array.from(vector));
+    }
+    if (found.size > 0) this.embeddingCacheChanged();
+    return found;
+  }
+
+  /**
+   * Adds embeddings to the cache, evicting the least recently used entries beyond embeddingCacheSize
+   * @param {string} namespace - Vector space of the embeddings
+   * @param {{hash: string, embedding: number[]}[]} entries - Embeddings by text hash
+   * @returns {Promise<void>}
+   */
+  async cacheEmbeddings(namespace, entries) {
+    if (this.embeddingCacheSize === 0 || entries.length === 0) return;
+
+    const cache = await this.loadEmbeddingCache();
+    for (const { hash, embedding } of entries) {
+      const key = `${namespace}:${hash}`;
+      cache.delete(key);
+      cache.set(key, Float32Array.from(embedding));
+    }
+    for (const key of cache.keys()) {
+      if (cache.size <= this.embeddingCacheSize) break;
+      cache.delete(key);
+      this.embeddingCacheEvictions++;
+    }
+    this.embeddingCacheChanged();
+  }
+
+  /**
+   * Size of the embedding cache
+   * @returns {Promise<Object>} { entries, maxEntries, evictions }
+   */
+  async getEmbeddingCacheStats() {
+    const cache = await this.loadEmbeddingCache();
+    return { entries: cache.size, maxEntries: this.embeddingCacheSize, evictions: this.embeddingCacheEvictions };
+  }
+}
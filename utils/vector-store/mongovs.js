@@ -2,46 +2,201 @@
 // MongoDB Vector Store
 // ==========================================
 // Provides vector storage and similarity search capabilities using MongoDB
+// Implements the VectorStore interface (see store.js)
 // Handles document storage, retrieval, and project management operations
+// Large projects are searched through a persisted per-project HNSW index
+// Chunks also carry a BM25 lexical entry for keyword and hybrid search
+// Embeddings are stored as compact BSON vectors (see encoding.js)
+// The embedding cache lives in the `embedding_cache` collection
+// Scoring runs in Node, in a MongoDB aggregation or through Atlas $vectorSearch
 
-import { ObjectId } from 'mongodb';
+import { ObjectId, BSON } from 'mongodb';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VectorStore, SEARCH_MODES, normalizeTags } from './store.js';
+import { HnswIndex } from './hnsw.js';
+import { tokenize, buildLexicalEntry, bm25Score } from './lexical.js';
+import { applyProjectWeights, cosineSimilarity } from './ranking.js';
+import { buildMongoFilter } from './filters.js';
+import {
+  EMBEDDING_FORMATS,
+  EMBEDDING_FIELDS,
+  EMBEDDING_PROJECTION,
+  encodeEmbedding,
+  decodeEmbedding,
+  decodeSignBits,
+  packSignBits,
+  hammingSimilarity,
+  storedFormat,
+  describeStorageChange
+} from './encoding.js';
+import { logger } from '../logger/logger.js';
+
+export { SEARCH_MODES, EMBEDDING_FORMATS };
+
+/**
+ * Similarity scoring backends
+ * - node:        vectors are streamed into the process (exact scan or HNSW index)
+ * - aggregation: MongoDB computes cosine similarity of array-stored vectors and returns only top-K
+ * - atlas:       Atlas Vector Search ($vectorSearch) against a vector search index
+ * - auto:        detected by detectSearchBackend()
+ */
+export const SEARCH_BACKENDS = ['auto', 'node', 'aggregation', 'atlas'];
+
+// Reported by /health when new embeddings are stored as arrays so MongoDB can score them
+const ARRAY_STORAGE_TRADEOFF = 'New embeddings are stored as number arrays (about 9 bytes per dimension instead of 4 for float32) '
+  + 'so MongoDB can score them; set EMBEDDING_STORAGE to keep compact vectors and score them in Node, and convert '
+  + 'existing embeddings with POST /api/embeddings/migrate {"format": "array"}';
+
+// Projection that leaves out every stored vector and the lexical entry
+const WITHOUT_VECTORS = { embedding: 0, embeddingBits: 0, lexical: 0 };
+
+// Documents converted per bulk write during embedding migration and lexical backfill
+const MIGRATION_BATCH_SIZE = 200;
 
 /**
- * Calculates cosine similarity between two vectors
- * Used for semantic similarity scoring in vector search operations
- * @param {number[]} a - First vector
- * @param {number[]} b - Second vector
- * @returns {number} Cosine similarity score between 0 and 1
+ * Builds an update that replaces a document's embedding fields
+ * @param {Object} fields - Output of encodeEmbedding() (null values are removed from the document)
+ * @returns {Object} Update with $set and, if needed, $unset
  */
-function cosineSimilarity(a, b) {
-  if (!a || !b || a.length !== b.length) {
-    return 0;
-  }
-  
-  // Calculate dot product
-  const dot = a.reduce((sum, v, i) => sum + v * b[i], 0);
-  
-  // Calculate vector magnitudes
-  const normA = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
-  const normB = Math.sqrt(b.reduce((sum, v) => sum + v * v, 0));
-  
-  // Return cosine similarity
-  return dot / (normA * normB);
+function embeddingUpdate(fields) {
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) $unset[field] = '';
+    else $set[field] = value;
+  }
+  return { $set, ...(Object.keys($unset).length > 0 ? { $unset } : {}) };
 }
 
+// ES6 module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 /**
  * MongoDB-based vector store for storing and searching document embeddings
  * Provides project-scoped storage with metadata support and similarity search
  */
-export class MongoVectorStore {
+export class MongoVectorStore extends VectorStore {
   /**
    * Creates a new MongoVectorStore instance
    * @param {Collection} collection - MongoDB collection for documents
    * @param {Db} [db] - MongoDB database instance (optional, derived from collection)
+   * @param {Object} [options={}] - Approximate nearest-neighbor index options
+   * @param {string} [options.annIndexDir] - Directory where per-project HNSW graphs are persisted
+   * @param {number} [options.annMinDocuments=2000] - Projects smaller than this use the exact scan
+   * @param {number} [options.annEfSearch=64] - Default HNSW search breadth (recall/latency knob)
+   * @param {string} [options.embeddingFormat] - Storage format for new embeddings (see EMBEDDING_FORMATS); when
+   *   not configured, 'array' if the aggregation backend is configured and 'float32' otherwise
+   * @param {number} [options.rescoreFactor=8] - Binary format: candidates per result re-scored at full precision
+   * @param {string} [options.searchBackend='auto'] - Similarity scoring backend (see SEARCH_BACKENDS)
+   * @param {string} [options.atlasIndexName='vector_index'] - Atlas vector search index on `embedding`
+   * @param {number} [options.embeddingCacheSize] - Maximum number of cached embeddings (see VectorStore)
+   * @throws {Error} If the embedding format, search backend or cache size is invalid
    */
-  constructor(collection, db = null) {
+  constructor(collection, db = null, options = {}) {
+    super(options);
     this.collection = collection;
     this.db = db || collection.db;
+
+    this.annIndexDir = options.annIndexDir || process.env.ANN_INDEX_DIR || path.join(__dirname, '..', '..', 'data', 'ann');
+    this.annMinDocuments = options.annMinDocuments ?? parseInt(process.env.ANN_MIN_DOCUMENTS || '2000', 10);
+    this.annEfSearch = options.annEfSearch ?? parseInt(process.env.ANN_EF_SEARCH || '64', 10);
+
+    /** @type {string|null} Explicitly configured storage format (null lets detectSearchBackend choose) */
+    this.configuredEmbeddingFormat = options.embeddingFormat || process.env.EMBEDDING_STORAGE || null;
+    this.embeddingFormat = this.configuredEmbeddingFormat || 'float32';
+    this.rescoreFactor = options.rescoreFactor ?? parseInt(process.env.EMBEDDING_RESCORE_FACTOR || '8', 10);
+    if (!EMBEDDING_FORMATS.includes(this.embeddingFormat)) {
+      throw new Error(`Unknown embedding storage format "${this.embeddingFormat}" (expected one of: ${EMBEDDING_FORMATS.join(', ')})`);
+    }
+
+    this.searchBackend = options.searchBackend || process.env.VECTOR_SEARCH_BACKEND || 'auto';
+    this.atlasIndexName = options.atlasIndexName || process.env.ATLAS_VECTOR_INDEX || 'vector_index';
+    if (!SEARCH_BACKENDS.includes(this.searchBackend)) {
+      throw new Error(`Unknown search backend "${this.searchBackend}" (expected one of: ${SEARCH_BACKENDS.join(', ')})`);
+    }
+    /** @type {{name: string, configured: string, reason: string, embeddingFormat: string, tradeoff: string|null}} Backend in use (set by detectSearchBackend) */
+    this.backend = {
+      name: this.searchBackend === 'auto' ? 'node' : this.searchBackend,
+      configured: this.searchBackend,
+      reason: 'not detected yet',
+      embeddingFormat: this.embeddingFormat,
+      tradeoff: null
+    };
+
+    /** @type {Map<string, Promise<HnswIndex|null>>} Loaded (or loading) HNSW indexes by project */
+    this.annIndexes = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} Pending debounced index saves by project */
+    this.annSaveTimers = new Map();
+  }
+
+  /**
+   * Chooses the similarity scoring backend
+   * An explicitly configured backend is always used (with a warning if it looks unsupported).
+   * In auto mode Atlas Vector Search is used when the configured vector search index exists;
+   * otherwise the aggregation backend is used when embeddings are stored as arrays (MongoDB
+   * cannot read BSON vector binaries in a pipeline) and the Node backend for other formats.
+   * A configured aggregation backend without a configured storage format stores new
+   * embeddings as arrays, trading about twice the space of float32 for server-side scoring.
+   * @returns {Promise<{name: string, configured: string, reason: string, embeddingFormat: string, tradeoff: string|null}>} Selected backend
+   */
+  async detectSearchBackend() {
+    const atlas = await this.probeAtlasIndex();
+
+    let name;
+    let reason;
+    let tradeoff = null;
+    if (this.searchBackend !== 'auto') {
+      name = this.searchBackend;
+      reason = 'configured';
+      if (name === 'atlas' && !atlas.available) {
+        reason = `configured, but ${atlas.reason}`;
+        logger.warn(`Atlas vector search was configured but looks unavailable: ${atlas.reason}`);
+      }
+      if (name === 'aggregation' && !this.configuredEmbeddingFormat) {
+        this.embeddingFormat = 'array';
+        tradeoff = ARRAY_STORAGE_TRADEOFF;
+      } else if (name === 'aggregation' && this.embeddingFormat !== 'array') {
+        reason = `configured; only array-stored embeddings are scored server-side (storage format is ${this.embeddingFormat})`;
+        logger.warn(`Aggregation scoring only covers array-stored embeddings; ${this.embeddingFormat} embeddings are scored in Node`);
+      }
+    } else if (atlas.available) {
+      name = 'atlas';
+      reason = `vector search index "${this.atlasIndexName}" is ready`;
+    } else if (this.embeddingFormat === 'array') {
+      name = 'aggregation';
+      reason = `${atlas.reason}; embeddings are stored as arrays`;
+    } else {
+      name = 'node';
+      reason = `${atlas.reason}; ${this.embeddingFormat} embeddings cannot be scored in an aggregation`;
+    }
+
+    this.backend = { name, configured: this.searchBackend, reason, embeddingFormat: this.embeddingFormat, tradeoff };
+    return this.backend;
+  }
+
+  /**
+   * Checks whether the Atlas vector search index exists and is queryable
+   * @returns {Promise<{available: boolean, reason: string}>} Probe result
+   * @private
+   */
+  async probeAtlasIndex() {
+    try {
+      const indexes = await this.collection.listSearchIndexes(this.atlasIndexName).toArray();
+      const index = indexes.find(candidate => candidate.type === 'vectorSearch' || candidate.latestDefinition?.fields);
+      if (!index) {
+        return { available: false, reason: `no vector search index named "${this.atlasIndexName}"` };
+      }
+      if (index.queryable === false) {
+        return { available: false, reason: `vector search index "${this.atlasIndexName}" is ${index.status || 'not queryable'}` };
+      }
+      return { available: true, reason: 'ready' };
+    } catch (error) {
+      // Self-hosted servers reject $listSearchIndexes
+      return { available: false, reason: 'Atlas Search is not supported by this deployment' };
+    }
   }
 
   /**
@@ -54,11 +209,24 @@ export class MongoVectorStore {
    * @param {number} [docs[].chunkIndex=0] - Chunk index within file
    * @param {number} [docs[].totalChunks=1] - Total chunks in file
    * @param {string} docs[].content - Document text content
-   * @param {number[]} docs[].embedding - Vector embedding
+   * @param {number[]} docs[].embedding - Vector embedding (stored in the configured embeddingFormat)
+   * @param {string} [docs[].embeddingSource] - 'model', or 'fallback' for dummy vectors indexed while the embedding service was down
    * @param {Object} [docs[].metadata={}] - Additional metadata
+   * @param {Object} [options={}] - Insert options
+   * @param {string} [options.embeddingModel] - Model that produced the embeddings
    * @returns {Promise<void>}
+   * @throws {EmbeddingMismatchError} If the embeddings do not match the project's recorded model or dimension
    */
-  async addDocuments(docs) {
+  async addDocuments(docs, options = {}) {
+    await this.assertDocumentsCompatible(docs, options.embeddingModel);
+
+    // Load persisted indexes before inserting so their document counts still match
+    const projectIds = [...new Set(docs.map(doc => doc.projectId))];
+    const indexes = new Map();
+    for (const projectId of projectIds) {
+      indexes.set(projectId, await this.getAnnIndex(projectId, false));
+    }
+
     const toInsert = docs.map((doc) => ({
       _id: doc.id ? new ObjectId(doc.id) : new ObjectId(),
       projectId: doc.projectId,
@@ -66,45 +234,683 @@ export class MongoVectorStore {
       chunkIndex: doc.chunkIndex || 0,
       totalChunks: doc.totalChunks || 1,
       content: doc.content || doc.text, // Support both content and text fields
-      embedding: doc.embedding,
+      ...this.encodeForStorage(doc.embedding),
+      ...(doc.embeddingSource ? { embeddingSource: doc.embeddingSource } : {}),
+      lexical: buildLexicalEntry(doc.content || doc.text),
       metadata: doc.metadata || {},
       createdAt: new Date(),
     }));
     
     await this.collection.insertMany(toInsert);
+
+    // Keep already-built HNSW indexes in sync with the new documents
+    toInsert.forEach((doc, i) => {
+      const index = indexes.get(doc.projectId);
+      if (index && docs[i].embedding) {
+        index.add(doc._id.toString(), docs[i].embedding);
+      }
+    });
+    for (const [projectId, index] of indexes) {
+      if (index) this.scheduleAnnSave(projectId);
+    }
   }
 
   /**
    * Performs vector similarity search across stored documents
-   * Supports project-scoped filtering and returns top-K most similar results
+   * With the Atlas backend each project is queried through $vectorSearch; otherwise
+   * projects with at least annMinDocuments chunks are searched through their HNSW index
    * @param {number[]} queryEmbedding - Query vector to search for
-   * @param {number} [topK=3] - Number of top results to return
-   * @param {string} [projectId] - Optional project filter
-   * @returns {Promise<Object[]>} Array of search results with similarity scores
-   */
-  async search(queryEmbedding, topK = 3, projectId = null) {
-    // Build filter query
-    const filter = { embedding: { $exists: true } };
-    if (projectId) {
-      filter.projectId = projectId;
+   * @param {number} topK - Number of top results to return
+   * @param {string[]|null} [projectIds] - Projects to search (null = all)
+   * @param {Object|null} [filters] - Normalized search filters
+   * @param {Object} [options={}] - Search options (efSearch, exact, projectWeights)
+   * @returns {Promise<Object[]>} Array of search results with (weighted) cosine similarity scores
+   */
+  async semanticSearch(queryEmbedding, topK, projectIds = null, filters = null, options = {}) {
+    const scope = projectIds || await this.collection.distinct('projectId');
+    const metadataFilter = buildMongoFilter(filters);
+    const filtered = Object.keys(metadataFilter).length > 0;
+
+    const perProject = await Promise.all(scope.map(async (id) => {
+      const projectFilter = { projectId: id, ...metadataFilter };
+      if (this.backend.name === 'atlas') {
+        return this.atlasSearch(queryEmbedding, topK, id, metadataFilter, options.exact);
+      }
+      const index = options.exact ? null : await this.getAnnIndex(id, true);
+      if (!index) {
+        return this.exactSearch(queryEmbedding, topK, projectFilter);
+      }
+      if (!filtered) {
+        return this.annSearch(index, queryEmbedding, topK, options.efSearch || this.annEfSearch);
+      }
+
+      // Resolve the filter in MongoDB first; small subsets are cheaper to scan exactly
+      const allowed = await this.collection.find(projectFilter, { projection: { _id: 1 } }).toArray();
+      if (allowed.length < this.annMinDocuments) {
+        return this.exactSearch(queryEmbedding, topK, projectFilter);
+      }
+      const allowedIds = new Set(allowed.map(doc => doc._id.toString()));
+      return this.annSearch(index, queryEmbedding, topK, options.efSearch || this.annEfSearch, id => allowedIds.has(id));
+    }));
+
+    // Merge per-project results by (weighted) similarity score and return top-K
+    const scored = applyProjectWeights(perProject.flat(), options.projectWeights);
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, topK);
+  }
+
+  /**
+   * Performs BM25 keyword search over chunk content
+   * Only chunks sharing at least one term with the query are scored. MongoDB returns just
+   * the frequencies of the query terms in each candidate; content is loaded for the top-K.
+   * @param {string} query - Raw query text
+   * @param {number} topK - Number of top results to return
+   * @param {string[]|null} [projectIds] - Projects to search (null = all)
+   * @param {Object|null} [filters] - Normalized search filters
+   * @param {Object} [options={}] - Search options (projectWeights)
+   * @returns {Promise<Object[]>} Array of search results with (weighted) BM25 scores
+   */
+  async lexicalSearch(query, topK, projectIds = null, filters = null, options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+    const metadataFilter = buildMongoFilter(filters);
+
+    const scope = projectIds ? { projectId: { $in: projectIds } } : {};
+    const termFilter = { ...scope, 'lexical.terms': { $in: queryTerms } };
+
+    // Corpus statistics for IDF and length normalization (over the whole project scope)
+    const [corpus] = await this.collection.aggregate([
+      { $match: { ...scope, lexical: { $exists: true } } },
+      { $group: { _id: null, count: { $sum: 1 }, totalLength: { $sum: '$lexical.length' } } }
+    ]).toArray();
+    if (!corpus) return [];
+
+    const frequencies = await this.collection.aggregate([
+      { $match: termFilter },
+      { $unwind: '$lexical.terms' },
+      { $match: { 'lexical.terms': { $in: queryTerms } } },
+      { $group: { _id: '$lexical.terms', df: { $sum: 1 } } }
+    ]).toArray();
+    const documentFrequencies = new Map(frequencies.map(f => [f._id, f.df]));
+    const averageLength = corpus.totalLength / corpus.count;
+
+    // Count of each query term per candidate (0 when absent), in query term order
+    const candidates = await this.collection.aggregate([
+      { $match: { ...termFilter, ...metadataFilter } },
+      {
+        $project: {
+          projectId: 1,
+          length: '$lexical.length',
+          counts: queryTerms.map(term => ({
+            $let: {
+              vars: { position: { $indexOfArray: ['$lexical.terms', term] } },
+              in: { $cond: [{ $gte: ['$$position', 0] }, { $arrayElemAt: ['$lexical.counts', '$$position'] }, 0] }
+            }
+          }))
+        }
+      }
+    ]).toArray();
+
+    const scored = applyProjectWeights(candidates.map(doc => ({
+      _id: doc._id,
+      projectId: doc.projectId,
+      score: bm25Score(queryTerms, { terms: queryTerms, counts: doc.counts, length: doc.length }, documentFrequencies, corpus.count, averageLength),
+    })), options.projectWeights);
+
+    scored.sort((a, b) => b.score - a.score);
+    return this.hydrateScores(scored.slice(0, topK));
+  }
+
+  /**
+   * Adds lexical entries to chunks indexed before keyword search existed
+   * Run once at startup: finding them scans the collection, which is too slow for every query.
+   * @returns {Promise<number>} Number of chunks backfilled
+   */
+  async backfillLexicalEntries() {
+    const cursor = this.collection.find({ lexical: { $exists: false } }, { projection: { content: 1 } });
+    let backfilled = 0;
+    let batch = [];
+    for await (const doc of cursor) {
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { lexical: buildLexicalEntry(doc.content) } } } });
+      if (batch.length >= MIGRATION_BATCH_SIZE) {
+        await this.collection.bulkWrite(batch, { ordered: false });
+        backfilled += batch.length;
+        batch = [];
+      }
     }
-    
-    // Retrieve all matching documents
-    const allDocs = await this.collection.find(filter).toArray();
-    
-    // Calculate similarity scores for all documents
-    const scored = allDocs.map(doc => ({
+    if (batch.length > 0) {
+      await this.collection.bulkWrite(batch, { ordered: false });
+      backfilled += batch.length;
+    }
+
+    if (backfilled > 0) logger.info(`Backfilled lexical index for ${backfilled} chunks`);
+    return backfilled;
+  }
+
+  /**
+   * Scores every matching document against the query (exact brute-force search)
+   * Only vectors are transferred while scoring; the top-K documents are hydrated afterwards.
+   * With the aggregation backend, array-stored vectors are scored inside MongoDB.
+   * Binary-quantized documents are shortlisted by sign-bit similarity and the
+   * shortlist (topK * rescoreFactor) is re-scored against the full-precision vectors.
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of results to return
+   * @param {Object} [extraFilter={}] - Additional MongoDB filter conditions
+   * @returns {Promise<Object[]>} Top-K scored results
+   * @private
+   */
+  async exactSearch(queryEmbedding, topK, extraFilter = {}) {
+    const filter = { embedding: { $exists: true }, ...extraFilter };
+
+    // Full vectors of documents without sign bits are scored directly
+    const scored = [];
+    let fullFilter = { ...filter, embeddingBits: null };
+    if (this.backend.name === 'aggregation') {
+      scored.push(...await this.aggregateScores(queryEmbedding, topK, { ...filter, embedding: { $type: 'array' } }));
+      fullFilter = { ...fullFilter, embedding: { $exists: true, $not: { $type: 'array' } } };
+    }
+    const fullCursor = this.collection.find(fullFilter, { projection: EMBEDDING_PROJECTION });
+    for await (const doc of fullCursor) {
+      scored.push({ _id: doc._id, score: cosineSimilarity(queryEmbedding, decodeEmbedding(doc)) });
+    }
+
+    // Binary-quantized documents: shortlist by sign bits, then rescore at full precision
+    const queryBits = packSignBits(queryEmbedding);
+    const shortlist = [];
+    const bitsCursor = this.collection.find({ ...filter, embeddingBits: { $ne: null } }, { projection: { embeddingBits: 1 } });
+    for await (const doc of bitsCursor) {
+      shortlist.push({ _id: doc._id, score: hammingSimilarity(queryBits, decodeSignBits(doc), queryEmbedding.length) });
+    }
+    if (shortlist.length > 0) {
+      shortlist.sort((a, b) => b.score - a.score);
+      const rescored = await this.collection
+        .find({ _id: { $in: shortlist.slice(0, topK * this.rescoreFactor).map(doc => doc._id) } }, { projection: EMBEDDING_PROJECTION })
+        .toArray();
+      rescored.forEach(doc => scored.push({ _id: doc._id, score: cosineSimilarity(queryEmbedding, decodeEmbedding(doc)) }));
+    }
+
+    // Sort by similarity score (highest first) and hydrate the top-K
+    scored.sort((a, b) => b.score - a.score);
+    return this.hydrateScores(scored.slice(0, topK));
+  }
+
+  /**
+   * Computes cosine similarity inside MongoDB and returns only the top-K scores
+   * Works on array-stored embeddings; the pipeline never sends vectors back to Node
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of scores to return
+   * @param {Object} filter - MongoDB filter selecting array-stored documents
+   * @returns {Promise<{_id: ObjectId, score: number}[]>} Top-K scores, best first
+   * @private
+   */
+  async aggregateScores(queryEmbedding, topK, filter) {
+    const queryNorm = Math.sqrt(queryEmbedding.reduce((sum, v) => sum + v * v, 0));
+    if (queryNorm === 0) return [];
+    const query = Array.from(queryEmbedding);
+
+    return this.collection.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          score: {
+            $let: {
+              vars: {
+                dot: {
+                  $reduce: {
+                    input: { $zip: { inputs: ['$embedding', query] } },
+                    initialValue: 0,
+                    in: { $add: ['$$value', { $multiply: [{ $arrayElemAt: ['$$this', 0] }, { $arrayElemAt: ['$$this', 1] }] }] }
+                  }
+                },
+                norm: {
+                  $sqrt: {
+                    $reduce: {
+                      input: '$embedding',
+                      initialValue: 0,
+                      in: { $add: ['$$value', { $multiply: ['$$this', '$$this'] }] }
+                    }
+                  }
+                }
+              },
+              in: {
+                $cond: [{ $eq: ['$$norm', 0] }, 0, { $divide: ['$$dot', { $multiply: ['$$norm', queryNorm] }] }]
+              }
+            }
+          }
+        }
+      },
+      { $sort: { score: -1 } },
+      { $limit: topK }
+    ]).toArray();
+  }
+
+  /**
+   * Searches one project through Atlas Vector Search
+   * The project is a pre-filter of the index; metadata filters are applied after the
+   * vector stage over a wider candidate window, so heavily filtered searches may return fewer hits.
+   * Atlas reports cosine scores as (1 + cos) / 2; they are mapped back to cosine similarity.
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of results to return
+   * @param {string} projectId - Project to search
+   * @param {Object} [metadataFilter={}] - MongoDB conditions from buildMongoFilter()
+   * @param {boolean} [exact=false] - Use exact (ENN) instead of approximate search
+   * @returns {Promise<Object[]>} Top-K scored results
+   * @private
+   */
+  async atlasSearch(queryEmbedding, topK, projectId, metadataFilter = {}, exact = false) {
+    const filtered = Object.keys(metadataFilter).length > 0;
+    const limit = filtered ? topK * 10 : topK;
+
+    const docs = await this.collection.aggregate([
+      {
+        $vectorSearch: {
+          index: this.atlasIndexName,
+          path: 'embedding',
+          queryVector: Array.from(queryEmbedding),
+          filter: { projectId },
+          limit,
+          ...(exact ? { exact: true } : { numCandidates: Math.max(limit * 10, 100) })
+        }
+      },
+      { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+      { $unset: Object.keys(WITHOUT_VECTORS) },
+      ...(filtered ? [{ $match: metadataFilter }] : []),
+      { $limit: topK }
+    ]).toArray();
+
+    return docs.map(doc => ({ ...this.formatResult(doc), score: doc.score * 2 - 1 }));
+  }
+
+  /**
+   * Loads the documents behind a list of scores, preserving order
+   * Other fields of a score (e.g. rawScore and projectWeight) are kept on the result.
+   * @param {{_id: ObjectId, score: number}[]} top - Scored document IDs
+   * @returns {Promise<Object[]>} Scored results
+   * @private
+   */
+  async hydrateScores(top) {
+    if (top.length === 0) return [];
+
+    const docs = await this.collection
+      .find({ _id: { $in: top.map(hit => hit._id) } }, { projection: WITHOUT_VECTORS })
+      .toArray();
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    return top
+      .filter(hit => byId.has(hit._id.toString()))
+      .map(({ _id, ...hit }) => ({ ...this.formatResult(byId.get(_id.toString())), ...hit }));
+  }
+
+  /**
+   * Queries a project's HNSW index and hydrates the hits from MongoDB
+   * @param {HnswIndex} index - Project index
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of results to return
+   * @param {number} efSearch - HNSW search breadth
+   * @param {Function} [filter] - Optional predicate on document IDs
+   * @returns {Promise<Object[]>} Top-K scored results
+   * @private
+   */
+  async annSearch(index, queryEmbedding, topK, efSearch, filter = null) {
+    const hits = index.search(queryEmbedding, topK, efSearch, filter);
+    if (hits.length === 0) return [];
+
+    const docs = await this.collection
+      .find({ _id: { $in: hits.map(hit => new ObjectId(hit.id)) } }, { projection: WITHOUT_VECTORS })
+      .toArray();
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    return hits
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({ ...this.formatResult(byId.get(hit.id)), score: hit.score }));
+  }
+
+  /**
+   * Resolves the set of projects a search should cover
+   * Explicit project IDs and projects carrying any of the given tags are combined
+   * @param {string|string[]|null} projectId - Project ID, list of IDs, or null
+   * @param {string[]} [tags] - Project tags to include
+   * @returns {Promise<string[]|null>} Project IDs to search, or null for all projects
+   */
+  async resolveProjectScope(projectId, tags = null) {
+    const ids = projectId ? [].concat(projectId) : [];
+    if (tags && tags.length > 0) {
+      const tagged = await this.db.collection('project_metadata').distinct('projectId', { tags: { $in: tags } });
+      ids.push(...tagged);
+      return [...new Set(ids)];
+    }
+    return ids.length > 0 ? [...new Set(ids)] : null;
+  }
+
+  /**
+   * Fetches stored embeddings for a set of documents
+   * @param {string[]} ids - Document IDs
+   * @returns {Promise<Map<string, number[]>>} Embedding by document ID
+   */
+  async getEmbeddings(ids) {
+    if (ids.length === 0) return new Map();
+    const docs = await this.collection
+      .find({ _id: { $in: ids.map(id => new ObjectId(id)) } }, { projection: EMBEDDING_PROJECTION })
+      .toArray();
+    return new Map(docs.map(doc => [doc._id.toString(), decodeEmbedding(doc)]));
+  }
+
+  /**
+   * Loads chunks of one file by chunk index, without vectors
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number[]} chunkIndexes - Chunk indexes to load
+   * @returns {Promise<Object[]>} Stored chunks
+   */
+  async loadChunks(projectId, filePath, chunkIndexes) {
+    return this.collection
+      .find({ projectId, filePath, chunkIndex: { $in: chunkIndexes } }, { projection: WITHOUT_VECTORS })
+      .toArray();
+  }
+
+  /**
+   * Converts a stored document into the public search result shape (without score)
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Result object
+   * @private
+   */
+  formatResult(doc) {
+    return {
       id: doc._id.toString(),
       projectId: doc.projectId,
       filePath: doc.filePath,
+      chunkIndex: doc.chunkIndex,
+      totalChunks: doc.totalChunks,
       content: doc.content,
       metadata: doc.metadata,
-      score: cosineSimilarity(queryEmbedding, doc.embedding),
-    }));
-    
-    // Sort by similarity score (highest first) and return top-K
-    scored.sort((a, b) => b.score - a.score);
-    return scored.slice(0, topK);
+    };
+  }
+
+  /**
+   * Returns the HNSW index for a project, loading it from disk or building it when needed
+   * Persisted graphs are only reused when they cover exactly the stored documents
+   * @param {string} projectId - Project ID
+   * @param {boolean} [build=true] - Build a new index if none can be loaded and the project is large enough
+   * @returns {Promise<HnswIndex|null>} Index, or null if the project should use the exact scan
+   */
+  async getAnnIndex(projectId, build = true) {
+    if (this.annIndexes.has(projectId)) {
+      const index = await this.annIndexes.get(projectId);
+      if (index || !build) return index;
+    }
+
+    const pending = this.loadOrBuildAnnIndex(projectId, build).catch(error => {
+      logger.warn(`ANN index unavailable for project ${projectId}: ${error.message}`, { projectId });
+      return null;
+    });
+    this.annIndexes.set(projectId, pending);
+
+    const index = await pending;
+    if (!index) this.annIndexes.delete(projectId);
+    return index;
+  }
+
+  /**
+   * Loads a persisted HNSW graph or builds a new one from the stored embeddings
+   * @param {string} projectId - Project ID
+   * @param {boolean} build - Whether building from scratch is allowed
+   * @returns {Promise<HnswIndex|null>} Index or null
+   * @private
+   */
+  async loadOrBuildAnnIndex(projectId, build) {
+    const filter = { projectId, embedding: { $exists: true } };
+    const count = await this.collection.countDocuments(filter);
+    const indexFile = this.annIndexPath(projectId);
+    const persisted = await fs.pathExists(indexFile) ? await fs.readJson(indexFile) : null;
+
+    if (!persisted && (!build || count < this.annMinDocuments)) {
+      return null;
+    }
+
+    // Stream stored embeddings once; used for both restoring and building
+    const vectors = new Map();
+    const cursor = this.collection.find(filter, { projection: EMBEDDING_PROJECTION });
+    for await (const doc of cursor) {
+      vectors.set(doc._id.toString(), decodeEmbedding(doc));
+    }
+
+    if (persisted && persisted.nodes.length === count) {
+      const restored = HnswIndex.fromJSON(persisted, vectors);
+      if (restored) {
+        logger.info(`Loaded ANN index for project ${projectId} (${restored.size} vectors)`, { projectId });
+        return restored;
+      }
+    }
+
+    if (!build || count < this.annMinDocuments) {
+      // Stale graph that cannot be reused; the next search rebuilds it if needed
+      await fs.remove(indexFile);
+      return null;
+    }
+
+    logger.info(`Building ANN index for project ${projectId} (${count} vectors)`, { projectId });
+    const [first] = vectors.values();
+    const index = new HnswIndex({ dimensions: first.length });
+    for (const [id, vector] of vectors) {
+      if (vector.length === index.dimensions) index.add(id, vector);
+    }
+    await this.saveAnnIndex(projectId, index);
+    logger.success(`ANN index built for project ${projectId}`, { projectId });
+    return index;
+  }
+
+  /**
+   * Path of the persisted HNSW graph for a project
+   * @param {string} projectId - Project ID
+   * @returns {string} Absolute file path
+   * @private
+   */
+  annIndexPath(projectId) {
+    return path.join(this.annIndexDir, `${encodeURIComponent(projectId)}.json`);
+  }
+
+  /**
+   * Writes a project's HNSW graph to disk atomically
+   * @param {string} projectId - Project ID
+   * @param {HnswIndex} index - Index to persist
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveAnnIndex(projectId, index) {
+    const indexFile = this.annIndexPath(projectId);
+    await fs.ensureDir(this.annIndexDir);
+    await fs.writeJson(`${indexFile}.tmp`, index);
+    await fs.move(`${indexFile}.tmp`, indexFile, { overwrite: true });
+  }
+
+  /**
+   * Debounces persistence of a project's index after incremental updates
+   * @param {string} projectId - Project ID
+   * @private
+   */
+  scheduleAnnSave(projectId) {
+    clearTimeout(this.annSaveTimers.get(projectId));
+    const timer = setTimeout(async () => {
+      this.annSaveTimers.delete(projectId);
+      const index = await this.annIndexes.get(projectId);
+      if (!index) return;
+      try {
+        await this.saveAnnIndex(projectId, index);
+      } catch (error) {
+        logger.error(`Failed to persist ANN index for project ${projectId}: ${error.message}`, { projectId });
+      }
+    }, 1000);
+    timer.unref();
+    this.annSaveTimers.set(projectId, timer);
+  }
+
+  /**
+   * Finds embedded chunks of a file overlapping a line range
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number} from - First line
+   * @param {number} to - Last line
+   * @returns {Promise<Object[]>} Chunks ({ id, embedding, metadata })
+   */
+  async findRangeChunks(projectId, filePath, from, to) {
+    const chunks = await this.collection
+      .find({
+        projectId,
+        filePath,
+        embedding: { $exists: true },
+        'metadata.startLine': { $lte: to },
+        'metadata.endLine': { $gte: from }
+      }, { projection: { ...EMBEDDING_PROJECTION, metadata: 1 } })
+      .toArray();
+
+    return chunks.map(chunk => ({ id: chunk._id.toString(), embedding: decodeEmbedding(chunk), metadata: chunk.metadata }));
+  }
+
+  /**
+   * Encodes an embedding for insertion in the configured storage format
+   * @param {number[]} [embedding] - Embedding
+   * @returns {Object} Document fields (empty if there is no embedding)
+   * @private
+   */
+  encodeForStorage(embedding) {
+    if (!embedding) return {};
+    const fields = encodeEmbedding(embedding, this.embeddingFormat);
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+  }
+
+  /**
+   * Converts stored embeddings to another storage format
+   * Documents already in the target format are left untouched. Converting to int8 is
+   * lossy, and converting int8 back to a float format keeps the quantized values.
+   * Space is measured as the BSON size of the embedding fields before and after.
+   * @param {string} format - Target format (see EMBEDDING_FORMATS)
+   * @param {string} [projectId] - Project to convert (all projects if omitted)
+   * @param {Function} [onProgress] - Called as (processed, total) after each batch
+   * @returns {Promise<Object>} { format, documentsTotal, converted, skipped, bytesBefore, bytesAfter, bytesSaved }
+   *   (bytesSaved is negative when the target format is larger)
+   * @throws {Error} If the format is unknown
+   */
+  async migrateEmbeddings(format, projectId = null, onProgress = null) {
+    if (!EMBEDDING_FORMATS.includes(format)) {
+      throw new Error(`Unknown embedding storage format "${format}" (expected one of: ${EMBEDDING_FORMATS.join(', ')})`);
+    }
+
+    const filter = { embedding: { $exists: true }, ...(projectId ? { projectId } : {}) };
+    const documentsTotal = await this.collection.countDocuments(filter);
+    const vectorBytes = fields => BSON.calculateObjectSize(
+      Object.fromEntries(EMBEDDING_FIELDS.filter(field => fields[field] != null).map(field => [field, fields[field]]))
+    );
+
+    const stats = { format, documentsTotal, converted: 0, skipped: 0, bytesBefore: 0, bytesAfter: 0, bytesSaved: 0 };
+    let processed = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) await this.collection.bulkWrite(batch, { ordered: false });
+      batch = [];
+      if (onProgress) onProgress(processed, documentsTotal);
+    };
+
+    const cursor = this.collection.find(filter, { projection: { ...EMBEDDING_PROJECTION, embeddingBits: 1 } });
+    for await (const doc of cursor) {
+      processed++;
+      const before = vectorBytes(doc);
+      stats.bytesBefore += before;
+
+      if (storedFormat(doc) === format) {
+        stats.skipped++;
+        stats.bytesAfter += before;
+        continue;
+      }
+
+      const fields = encodeEmbedding(decodeEmbedding(doc), format);
+      stats.bytesAfter += vectorBytes(fields);
+      stats.converted++;
+
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: embeddingUpdate(fields) } });
+
+      if (batch.length >= MIGRATION_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    stats.bytesSaved = stats.bytesBefore - stats.bytesAfter;
+    logger.info(`Converted ${stats.converted} embeddings to ${format} (${stats.skipped} already converted, storage ${describeStorageChange(stats)})`, { projectId });
+    return stats;
+  }
+
+  /**
+   * Lists the IDs of every project with stored documents
+   * @returns {Promise<string[]>} Project IDs
+   */
+  async listProjectIds() {
+    return this.collection.distinct('projectId');
+  }
+
+  /**
+   * Dimension of a stored vector of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number|null>} Dimension, or null if the project has no embeddings
+   */
+  async getStoredDimensions(projectId) {
+    const doc = await this.collection.findOne(
+      { projectId, embedding: { $exists: true } },
+      { projection: EMBEDDING_PROJECTION }
+    );
+    return decodeEmbedding(doc)?.length ?? null;
+  }
+
+  /**
+   * Pages through a project's chunks ordered by _id
+   * @param {string} projectId - Project ID
+   * @param {string|null} afterId - Return chunks after this document ID (null = from the start)
+   * @param {number} limit - Maximum number of chunks
+   * @param {Object} [options={}] - Selection options
+   * @param {string} [options.embeddingSource] - Only chunks whose embedding came from this source
+   * @returns {Promise<Object[]>} Chunks ({ id, content })
+   */
+  async getChunkBatch(projectId, afterId, limit, options = {}) {
+    const filter = { projectId };
+    if (afterId) filter._id = { $gt: new ObjectId(afterId) };
+    if (options.embeddingSource) filter.embeddingSource = options.embeddingSource;
+    const docs = await this.collection
+      .find(filter, { projection: { content: 1 } })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .toArray();
+    return docs.map(doc => ({ id: doc._id.toString(), content: doc.content }));
+  }
+
+  /**
+   * Overwrites the embeddings of existing chunks in the configured storage format
+   * and marks them as model embeddings
+   * The project's HNSW graph no longer matches the new vectors, so it is dropped and rebuilt
+   * by the next search. Atlas vector search indexes have a fixed dimension and must be
+   * recreated by hand when it changes.
+   * @param {string} projectId - Project ID
+   * @param {Object[]} updates - New vectors ({ id, embedding })
+   * @returns {Promise<void>}
+   */
+  async replaceEmbeddings(projectId, updates) {
+    if (updates.length === 0) return;
+    await this.collection.bulkWrite(updates.map(({ id, embedding }) => ({
+      updateOne: {
+        filter: { _id: new ObjectId(id), projectId },
+        update: embeddingUpdate({ ...encodeEmbedding(embedding, this.embeddingFormat), embeddingSource: 'model' })
+      }
+    })), { ordered: false });
+    await this.dropAnnIndex(projectId);
+  }
+
+  /**
+   * Forgets a project's HNSW graph in memory and on disk
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dropAnnIndex(projectId) {
+    clearTimeout(this.annSaveTimers.get(projectId));
+    this.annSaveTimers.delete(projectId);
+    this.annIndexes.delete(projectId);
+    await fs.remove(this.annIndexPath(projectId));
   }
 
   /**
@@ -128,6 +934,14 @@ export class MongoVectorStore {
             lastModified: meta.lastIndexed || meta.createdAt,
             directoryPath: meta.directoryPath,
             excludePatterns: meta.excludePatterns || [],
+            tags: meta.tags || [],
+            embeddingModel: meta.embeddingModel || null,
+            embeddingDimensions: meta.embeddingDimensions || null,
+            embeddingTemplates: meta.embeddingTemplates || null,
+            chunking: meta.chunking || null,
+            useGitignore: meta.useGitignore !== false,
+            includeExtensions: meta.includeExtensions || [],
+            excludeExtensions: meta.excludeExtensions || [],
             createdAt: meta.createdAt,
             lastIndexed: meta.lastIndexed
           };
@@ -147,7 +961,8 @@ export class MongoVectorStore {
           documentCount: count,
           lastModified: sample?.createdAt || new Date(),
           directoryPath: null, // Unknown for legacy projects
-          excludePatterns: []
+          excludePatterns: [],
+          tags: []
         };
       })
     );
@@ -162,11 +977,13 @@ export class MongoVectorStore {
    */
   async getProjectStats(projectId) {
     const totalDocs = await this.collection.countDocuments({ projectId });
+    const fallbackDocs = await this.collection.countDocuments({ projectId, embeddingSource: 'fallback' });
     const files = await this.collection.distinct('filePath', { projectId });
     
     return {
       projectId,
       totalDocuments: totalDocs,
+      fallbackDocuments: fallbackDocs,
       totalFiles: files.length,
       files
     };
@@ -186,7 +1003,8 @@ export class MongoVectorStore {
           _id: '$filePath',
           fileSize: { $first: '$metadata.fileSize' },
           lastModified: { $first: '$metadata.lastModified' },
-          contentHash: { $first: '$metadata.contentHash' }
+          contentHash: { $first: '$metadata.contentHash' },
+          chunking: { $first: '$metadata.chunking' }
         }
       }
     ];
@@ -199,7 +1017,8 @@ export class MongoVectorStore {
       fileMap[result._id] = {
         fileSize: result.fileSize,
         lastModified: result.lastModified,
-        contentHash: result.contentHash
+        contentHash: result.contentHash,
+        chunking: result.chunking
       };
     }
     
@@ -214,7 +1033,17 @@ export class MongoVectorStore {
    * @returns {Promise<number>} Number of documents deleted
    */
   async removeFileChunks(projectId, filePath) {
+    const index = await this.getAnnIndex(projectId, false);
+    const removed = index
+      ? await this.collection.find({ projectId, filePath }, { projection: { _id: 1 } }).toArray()
+      : [];
+
     const result = await this.collection.deleteMany({ projectId, filePath });
+
+    if (index) {
+      removed.forEach(doc => index.remove(doc._id.toString()));
+      this.scheduleAnnSave(projectId);
+    }
     return result.deletedCount;
   }
 
@@ -224,9 +1053,11 @@ export class MongoVectorStore {
    * @param {string} projectId - Project identifier
    * @param {string} directoryPath - Directory that was indexed
    * @param {string[]} [excludePatterns=[]] - Patterns that were excluded during indexing
+   * @param {{model: string, dimensions: number, templates?: Object}} [embedding] - Embedding model, dimension and
+   *   query/document templates to record (kept when omitted)
    * @returns {Promise<Object>} Saved metadata object
    */
-  async saveProjectMetadata(projectId, directoryPath, excludePatterns = []) {
+  async saveProjectMetadata(projectId, directoryPath, excludePatterns = [], embedding = null) {
     const projectsCollection = this.db.collection('project_metadata');
     
     const metadata = {
@@ -236,6 +1067,11 @@ export class MongoVectorStore {
       lastIndexed: new Date(),
       updatedAt: new Date()
     };
+    if (embedding) {
+      metadata.embeddingModel = embedding.model;
+      metadata.embeddingDimensions = embedding.dimensions;
+      if (embedding.templates) metadata.embeddingTemplates = embedding.templates;
+    }
 
     // Upsert metadata (create if doesn't exist, update if it does)
     await projectsCollection.updateOne(
@@ -246,10 +1082,56 @@ export class MongoVectorStore {
       },
       { upsert: true }
     );
+    this.forgetEmbeddingSignature(projectId);
 
     return metadata;
   }
 
+  /**
+   * Replaces the tags of a project, creating its metadata entry if needed
+   * Tags group projects so one search can span e.g. "frontend + api + shared-lib"
+   * @param {string} projectId - Project identifier
+   * @param {string[]} tags - Tags to assign
+   * @returns {Promise<string[]>} Normalized tags that were saved
+   */
+  async setProjectTags(projectId, tags) {
+    const normalized = normalizeTags(tags);
+    const projectsCollection = this.db.collection('project_metadata');
+
+    await projectsCollection.updateOne(
+      { projectId },
+      {
+        $set: { tags: normalized, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    return normalized;
+  }
+
+  /**
+   * Saves indexing settings of a project, creating its metadata entry if needed
+   * The next indexing run uses them (e.g. re-chunks files chunked with other settings)
+   * @param {string} projectId - Project identifier
+   * @param {Object} settings - Validated settings (see normalizeProjectSettings)
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setProjectSettings(projectId, settings) {
+    const projectsCollection = this.db.collection('project_metadata');
+
+    await projectsCollection.updateOne(
+      { projectId },
+      {
+        $set: { ...settings, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    return settings;
+  }
+
   /**
    * Retrieves stored metadata for a project
    * Returns directory path, exclude patterns, and indexing timestamps
@@ -274,7 +1156,65 @@ export class MongoVectorStore {
     // Delete project metadata
     const projectsCollection = this.db.collection('project_metadata');
     await projectsCollection.deleteOne({ projectId });
+    this.forgetEmbeddingSignature(projectId);
+
+    // Drop the project's ANN index from memory and disk
+    await this.dropAnnIndex(projectId);
     
     return docsResult.deletedCount;
   }
-}
\ No newline at end of file
+
+  /**
+   * Looks up cached embeddings and marks them as recently used
+   * @param {string} namespace - Vector space of the embeddings
+   * @param {string[]} hashes - Hashes of the embedded texts
+   * @returns {Promise<Map<string, number[]>>} Cached vectors by hash
+   */
+  async getCachedEmbeddings(namespace, hashes) {
+    if (this.embeddingCacheSize === 0 || hashes.length === 0) return new Map();
+
+    const cache = this.db.collection('embedding_cache');
+    const docs = await cache.find({ _id: { $in: hashes.map(hash => `${namespace}:${hash}`) } }).toArray();
+    if (docs.length > 0) {
+      await cache.updateMany({ _id: { $in: docs.map(doc => doc._id) } }, { $set: { lastUsedAt: new Date() } });
+    }
+    return new Map(docs.map(doc => [doc.hash, decodeEmbedding(doc)]));
+  }
+
+  /**
+   * Adds embeddings to the cache, evicting the least recently used entries beyond embeddingCacheSize
+   * Cached vectors are always stored as float32, whatever the chunk storage format.
+   * @param {string} namespace - Vector space of the embeddings
+   * @param {{hash: string, embedding: number[]}[]} entries - Embeddings by text hash
+   * @returns {Promise<void>}
+   */
+  async cacheEmbeddings(namespace, entries) {
+    if (this.embeddingCacheSize === 0 || entries.length === 0) return;
+
+    const cache = this.db.collection('embedding_cache');
+    const now = new Date();
+    await cache.bulkWrite(entries.map(({ hash, embedding }) => ({
+      replaceOne: {
+        filter: { _id: `${namespace}:${hash}` },
+        replacement: { namespace, hash, ...encodeEmbedding(embedding, 'float32'), lastUsedAt: now },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const excess = (await cache.estimatedDocumentCount()) - this.embeddingCacheSize;
+    if (excess > 0) {
+      const oldest = await cache.find({}, { projection: { _id: 1 } }).sort({ lastUsedAt: 1 }).limit(excess).toArray();
+      const result = await cache.deleteMany({ _id: { $in: oldest.map(doc => doc._id) } });
+      this.embeddingCacheEvictions += result.deletedCount;
+    }
+  }
+
+  /**
+   * Size of the embedding cache
+   * @returns {Promise<Object>} { entries, maxEntries, evictions }
+   */
+  async getEmbeddingCacheStats() {
+    const entries = await this.db.collection('embedding_cache').estimatedDocumentCount();
+    return { entries, maxEntries: this.embeddingCacheSize, evictions: this.embeddingCacheEvictions };
+  }
+}
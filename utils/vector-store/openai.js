@@ -0,0 +1,113 @@
+// ==========================================
+// OpenAI-Compatible Embedding Provider
+// ==========================================
+// Generates embeddings through the OpenAI-style /v1/embeddings API
+// Works with OpenAI and with local servers exposing the same API
+// (llama.cpp server, LM Studio, vLLM, ...)
+
+import { EmbeddingProvider, EmbeddingRequestError } from './provider.js';
+
+/**
+ * Embedding provider for OpenAI-compatible `/embeddings` endpoints
+ */
+export class OpenAIEmbedding extends EmbeddingProvider {
+  /**
+   * Creates a new OpenAIEmbedding instance
+   * @param {Object} [options={}] - Provider options
+   * @param {string} [options.model] - Model name (env EMBEDDING_MODEL, default 'text-embedding-3-small')
+   * @param {string} [options.baseUrl] - API base URL including the version path (env EMBEDDING_BASE_URL, default 'http://localhost:8080/v1')
+   * @param {number} [options.dimensions] - Requested vector size for models that support shortening (env EMBEDDING_DIMENSIONS)
+   * @param {string} [options.apiKey] - API key (env EMBEDDING_API_KEY); no auth header is sent without one
+   * @param {string} [options.authHeader='Authorization'] - Header carrying the key (env EMBEDDING_AUTH_HEADER, e.g. 'api-key')
+   * @param {string} [options.authScheme='Bearer'] - Prefix of the key in the header (env EMBEDDING_AUTH_SCHEME, '' for the bare key)
+   * @param {number} [options.batchSize] - Inputs sent per request (env EMBEDDING_BATCH_SIZE, default 32)
+   *   (timeoutMs, maxRetries, retryDelayMs, breakerThreshold and breakerCooldownMs: see EmbeddingProvider)
+   * @throws {Error} If dimensions or a request setting is not a valid integer
+   */
+  constructor(options = {}) {
+    super(options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small', 'OpenAI-compatible', options);
+    this.baseUrl = (options.baseUrl || process.env.EMBEDDING_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? process.env.EMBEDDING_API_KEY ?? null;
+    this.authHeader = options.authHeader || process.env.EMBEDDING_AUTH_HEADER || 'Authorization';
+    this.authScheme = options.authScheme ?? process.env.EMBEDDING_AUTH_SCHEME ?? 'Bearer';
+
+    const dimensions = options.dimensions ?? (process.env.EMBEDDING_DIMENSIONS ? Number(process.env.EMBEDDING_DIMENSIONS) : null);
+    if (dimensions !== null && !(Number.isInteger(dimensions) && dimensions > 0)) {
+      throw new Error(`EMBEDDING_DIMENSIONS must be a positive integer (got "${dimensions}")`);
+    }
+
+    /** @type {number|null} Vector size requested from the API (null = model default) */
+    this.requestedDimensions = dimensions;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Identifies the vector space in the embedding cache, including a requested vector size
+   * @returns {string} Namespace
+   */
+  cacheNamespace() {
+    return this.requestedDimensions ? `${this.model}@${this.requestedDimensions}` : this.model;
+  }
+
+  /**
+   * Builds the request headers, including authentication when an API key is configured
+   * @returns {Object} HTTP headers
+   * @private
+   */
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Requests embeddings for a batch of texts from the `/embeddings` endpoint
+   * @param {string[]} texts - Texts to embed
+   * @param {AbortSignal} [signal] - Aborts the request when its time limit is reached
+   * @returns {Promise<number[][]>} Embedding vectors, in input order
+   * @throws {Error} If a text is empty, the server is unreachable or the response is invalid
+   */
+  async requestEmbeddings(texts, signal) {
+    const body = {
+      model: this.model,
+      input: texts.map(text => this.cleanText(text)),
+      encoding_format: 'float'
+    };
+    if (this.requestedDimensions) body.dimensions = this.requestedDimensions;
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      signal,
+      headers: this.headers(),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      // OpenAI-style servers explain failures in { error: { message } }
+      const detail = await response.json().then(
+        data => data?.error?.message || (typeof data?.error === 'string' ? data.error : null),
+        () => null
+      );
+      throw new EmbeddingRequestError(`Embeddings HTTP ${response.status}: ${detail || response.statusText}`, { status: response.status });
+    }
+
+    const data = await response.json();
+
+    // Validate response structure (items carry their input position in `index`)
+    if (!Array.isArray(data?.data) || !data.data.every(item => Array.isArray(item?.embedding))) {
+      throw new Error('Invalid embedding response: expected data[].embedding to be arrays');
+    }
+    const embeddings = [...data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+
+    const mismatch = this.requestedDimensions && embeddings.find(embedding => embedding.length !== this.requestedDimensions);
+    if (mismatch) {
+      throw new Error(`Model returned ${mismatch.length} dimensions but ${this.requestedDimensions} were requested`);
+    }
+
+    return embeddings;
+  }
+}
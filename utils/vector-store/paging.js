@@ -0,0 +1,68 @@
+// ==========================================
+// Search Result Paging
+// ==========================================
+// Opaque cursors and the response envelope shared by every search entry point
+
+/**
+ * Encodes a result offset as an opaque cursor string
+ * @param {number} offset - Offset of the next page
+ * @returns {string} URL-safe cursor
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor()
+ * @param {string} cursor - Cursor string
+ * @returns {number} Offset of the page the cursor points to
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * Resolves the starting offset from either an explicit offset or a cursor
+ * @param {Object} options - Search options
+ * @param {number} [options.offset] - Explicit offset
+ * @param {string} [options.cursor] - Cursor from a previous page's nextCursor
+ * @returns {number} Offset (0 when neither is given)
+ * @throws {Error} If the offset is negative or the cursor is malformed
+ */
+export function resolveOffset({ offset, cursor } = {}) {
+  if (cursor) return decodeCursor(cursor);
+  if (offset === undefined || offset === null) return 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  return offset;
+}
+
+/**
+ * Slices one page out of the full hit list and wraps it in the response envelope
+ * @param {Object[]} hits - All ranked hits that passed the score threshold
+ * @param {number} offset - Offset of the page
+ * @param {number} limit - Page size
+ * @param {boolean} totalCapped - True if more hits may exist beyond the ranked window
+ * @returns {{results: Object[], total: number, returned: number, offset: number, nextCursor: string|null, totalCapped: boolean}}
+ */
+export function buildPage(hits, offset, limit, totalCapped) {
+  const results = hits.slice(offset, offset + limit);
+  const next = offset + results.length;
+
+  return {
+    results,
+    total: hits.length,
+    returned: results.length,
+    offset,
+    nextCursor: next < hits.length ? encodeCursor(next) : null,
+    totalCapped
+  };
+}
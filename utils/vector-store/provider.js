@@ -0,0 +1,428 @@
+// ==========================================
+// Embedding Provider Interface
+// ==========================================
+// Base class for embedding services used by FileIndexer, the REST API and the MCP server
+// Implements query/document instructions, batching, timeouts, retries with backoff, the
+// circuit breaker, the fallback policy, status tracking and the health check shared by
+// every provider on top of a request primitive
+
+import { CircuitBreaker } from './breaker.js';
+import { applyTemplate, defaultTemplates, validateTemplate } from './instructions.js';
+
+/** Dimension of fallback vectors until the model has returned a real embedding */
+const DEFAULT_FALLBACK_DIMENSIONS = 4096;
+
+/** Longest wait between two retries of a request */
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * Reads an integer setting from an option or environment variable
+ * @param {number|undefined} value - Explicit option value
+ * @param {string} envName - Environment variable consulted when no option is given
+ * @param {number} defaultValue - Value used when neither is set
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Setting
+ * @throws {Error} If the value is not an integer of at least `min`
+ */
+function integerSetting(value, envName, defaultValue, min) {
+  const setting = value ?? (process.env[envName] ? Number(process.env[envName]) : defaultValue);
+  if (!(Number.isInteger(setting) && setting >= min)) {
+    throw new Error(`${envName} must be an integer of at least ${min} (got "${setting}")`);
+  }
+  return setting;
+}
+
+/**
+ * Error raised when the embedding service cannot produce an embedding and fallback is not allowed
+ */
+export class EmbeddingUnavailableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} model - Model that was requested
+   */
+  constructor(message, model) {
+    super(message);
+    this.name = 'EmbeddingUnavailableError';
+    this.model = model;
+  }
+}
+
+/**
+ * Error raised by providers for a failed request, telling the retry logic whether trying
+ * again can help (server errors and rate limits) or not (bad input, unknown model)
+ */
+export class EmbeddingRequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Error details
+   * @param {number} [options.status] - HTTP status of the response
+   * @param {boolean} [options.retryable] - Whether a retry may succeed (default: 5xx and 429 responses)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'EmbeddingRequestError';
+    this.status = options.status ?? null;
+    this.retryable = options.retryable ?? (this.status === 429 || this.status >= 500);
+  }
+}
+
+/**
+ * Abstract embedding provider
+ * Subclasses implement requestEmbedding(), or requestEmbeddings() when the service
+ * accepts several texts per request; callers choose per request whether a
+ * deterministic dummy vector may stand in when the service fails (development
+ * convenience) or whether the failure is raised (strict).
+ */
+export class EmbeddingProvider {
+  /**
+   * @param {string} model - Model name
+   * @param {string} label - Service name used in logs and errors (e.g. 'Ollama')
+   * @param {Object} [options={}] - Provider options
+   * @param {number} [options.batchSize] - Texts sent per request (env EMBEDDING_BATCH_SIZE, default 32)
+   * @param {number} [options.timeoutMs] - Time limit of one request (env EMBEDDING_TIMEOUT_MS, default 60000)
+   * @param {number} [options.maxRetries] - Retries of a timed-out or server-failed request (env EMBEDDING_MAX_RETRIES, default 5)
+   * @param {number} [options.retryDelayMs] - First retry delay, doubled per retry up to 10s (env EMBEDDING_RETRY_DELAY_MS, default 1000)
+   * @param {number} [options.breakerThreshold] - Consecutive failed requests that open the circuit (env EMBEDDING_BREAKER_THRESHOLD, default 3)
+   * @param {number} [options.breakerCooldownMs] - Time requests are refused once the circuit is open (env EMBEDDING_BREAKER_COOLDOWN_MS, default 30000)
+   * @param {string} [options.queryTemplate] - Wraps search queries (env EMBEDDING_QUERY_TEMPLATE, default per model, see instructions.js)
+   * @param {string} [options.documentTemplate] - Wraps indexed chunks (env EMBEDDING_DOCUMENT_TEMPLATE, default per model)
+   * @throws {Error} If a setting is not a valid integer or a template lacks the {text} placeholder
+   */
+  constructor(model, label, options = {}) {
+    this.model = model;
+    this.label = label;
+
+    /** @type {{query: string, document: string}} Templates for new projects (indexed projects keep the ones they were indexed with) */
+    const defaults = defaultTemplates(model);
+    this.templates = {
+      query: validateTemplate(options.queryTemplate ?? process.env.EMBEDDING_QUERY_TEMPLATE ?? defaults.query, 'EMBEDDING_QUERY_TEMPLATE'),
+      document: validateTemplate(options.documentTemplate ?? process.env.EMBEDDING_DOCUMENT_TEMPLATE ?? defaults.document, 'EMBEDDING_DOCUMENT_TEMPLATE')
+    };
+
+    /** @type {number} Maximum number of texts per embedding request */
+    this.batchSize = integerSetting(options.batchSize, 'EMBEDDING_BATCH_SIZE', 32, 1);
+    this.timeoutMs = integerSetting(options.timeoutMs, 'EMBEDDING_TIMEOUT_MS', 60000, 1);
+    this.maxRetries = integerSetting(options.maxRetries, 'EMBEDDING_MAX_RETRIES', 5, 0);
+    this.retryDelayMs = integerSetting(options.retryDelayMs, 'EMBEDDING_RETRY_DELAY_MS', 1000, 0);
+
+    /** @type {CircuitBreaker} Refuses requests for a while after repeated failures */
+    this.breaker = new CircuitBreaker({
+      threshold: integerSetting(options.breakerThreshold, 'EMBEDDING_BREAKER_THRESHOLD', 3, 1),
+      cooldownMs: integerSetting(options.breakerCooldownMs, 'EMBEDDING_BREAKER_COOLDOWN_MS', 30000, 0)
+    });
+
+    /** @type {number|null} Dimension of the last real embedding (fallback vectors match it) */
+    this.dimensions = null;
+
+    /** @type {Object} Outcome of recent requests, reported by /health */
+    this.status = {
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      fallbackEmbeddings: 0,
+      retries: 0,          // Requests repeated after a timeout or server error
+      failedRequests: 0,   // Requests that failed for good (after retries)
+      rejectedRequests: 0  // Requests refused while the circuit was open
+    };
+  }
+
+  /**
+   * Embeds a search query, wrapped in the query template
+   * @param {string} query - Query text
+   * @param {Object} [options={}] - Embedding options
+   * @param {string} [options.template] - Query template of the searched project(s) (default: the provider's)
+   * @param {boolean} [options.allowFallback=true] - Return a dummy vector instead of failing when the service is unavailable
+   * @param {boolean} [options.failFast=false] - Neither retry nor wait for an open circuit (see embedWithSource)
+   * @returns {Promise<number[]>} Embedding vector
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async embedQuery(query, options = {}) {
+    return this.getEmbedding(applyTemplate(options.template || this.templates.query, query), options);
+  }
+
+  /**
+   * Embeds a passage of code or text, wrapped in the document template
+   * @param {string} text - Passage text
+   * @param {Object} [options={}] - Embedding options (see embedDocumentsWithSource)
+   * @returns {Promise<number[]>} Embedding vector
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async embedDocument(text, options = {}) {
+    const [{ embedding }] = await this.embedDocumentsWithSource([text], options);
+    return embedding;
+  }
+
+  /**
+   * Embeds passages wrapped in the document template, reporting the source of each vector
+   * @param {string[]} texts - Passage texts
+   * @param {Object} [options={}] - Embedding options (see embedWithSource)
+   * @param {string} [options.template] - Document template of the target project (default: the provider's)
+   * @returns {Promise<Array<{embedding: number[], source: string}>>} Vectors and their sources, in input order
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async embedDocumentsWithSource(texts, options = {}) {
+    const template = options.template || this.templates.document;
+    return this.embedWithSource(texts.map(text => applyTemplate(template, text)), options);
+  }
+
+  /**
+   * Generates embeddings for multiple text inputs
+   * Texts are sent in batches of `batchSize` per request
+   * @param {string[]} texts - Array of text strings to embed
+   * @param {Object} [options={}] - Options passed to embedWithSource()
+   * @returns {Promise<number[][]>} Array of embedding vectors
+   */
+  async embed(texts, options = {}) {
+    const results = await this.embedWithSource(texts, options);
+    return results.map(result => result.embedding);
+  }
+
+  /**
+   * Generates a vector embedding for a single text input
+   * @param {string} text - Text to generate embedding for
+   * @param {Object} [options={}] - Embedding options
+   * @param {boolean} [options.allowFallback=true] - Return a dummy vector instead of failing when the service is unavailable
+   * @returns {Promise<number[]>} Embedding vector (array of floats)
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async getEmbedding(text, options = {}) {
+    const { embedding } = await this.getEmbeddingWithSource(text, options);
+    return embedding;
+  }
+
+  /**
+   * Generates a vector embedding and reports whether it came from the model or the fallback
+   * @param {string} text - Text to generate embedding for
+   * @param {Object} [options={}] - Embedding options
+   * @param {boolean} [options.allowFallback=true] - Return a dummy vector instead of failing when the service is unavailable
+   * @returns {Promise<{embedding: number[], source: string}>} Vector and its source ('model' or 'fallback')
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async getEmbeddingWithSource(text, options = {}) {
+    const [result] = await this.embedWithSource([text], options);
+    return result;
+  }
+
+  /**
+   * Generates embeddings for multiple texts, one request per batch of `batchSize` texts
+   * When a batch fails and fallback is allowed, every text of that batch gets a dummy vector
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} [options={}] - Embedding options
+   * @param {boolean} [options.allowFallback=true] - Return dummy vectors instead of failing when the service is unavailable
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, error } before each retry
+   * @param {boolean} [options.failFast=false] - Neither retry nor wait for an open circuit (interactive queries)
+   * @returns {Promise<Array<{embedding: number[], source: string}>>} Vectors and their sources, in input order
+   * @throws {EmbeddingUnavailableError} If the service fails and fallback is not allowed
+   */
+  async embedWithSource(texts, options = {}) {
+    const { allowFallback = true } = options;
+    const results = [];
+
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const batch = texts.slice(start, start + this.batchSize);
+
+      try {
+        const embeddings = await this.requestWithRetry(batch, options);
+        this.dimensions = embeddings[0].length;
+        this.status.lastSuccessAt = new Date();
+        embeddings.forEach(embedding => results.push({ embedding, source: 'model' }));
+      } catch (error) {
+        this.status.lastErrorAt = new Date();
+        this.status.lastError = error.message;
+
+        if (!allowFallback) {
+          throw new EmbeddingUnavailableError(`${this.label} embedding failed for model ${this.model}: ${error.message}`, this.model);
+        }
+
+        console.error(`⚠️ ${this.label} embedding error:`, error.message);
+        console.error(`🔄 Using fallback dummy embedding${batch.length > 1 ? `s for ${batch.length} texts` : ''}`);
+        this.status.fallbackEmbeddings += batch.length;
+        batch.forEach(text => results.push({ embedding: this.fallbackEmbedding(text), source: 'fallback' }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Sends one batch through the circuit breaker, retrying timeouts and server errors
+   * with exponential backoff
+   * Only requests that fail with such errors count toward opening the circuit. A request
+   * refused by the breaker waits instead of failing, so concurrent batches are not failed
+   * while another one is the trial request: waiting out an open circuit's cooldown spends
+   * a retry, waiting for the outcome of a half-open circuit's trial request does not.
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} [options={}] - Request options
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, error } before each retry
+   * @param {boolean} [options.failFast=false] - Send at most one request and fail at once while the circuit is open
+   * @returns {Promise<number[][]>} Embedding vectors, in input order
+   * @throws {Error} The last error once retries are exhausted, a non-retryable error, or
+   *   an EmbeddingRequestError if the circuit is still open when retries are exhausted
+   * @private
+   */
+  async requestWithRetry(texts, options = {}) {
+    const { onRetry, failFast = false } = options;
+    const maxRetries = failFast ? 0 : this.maxRetries;
+    let attempt = 0;
+
+    while (!this.breaker.allowRequest()) {
+      this.status.rejectedRequests++;
+      if (this.breaker.state === 'open') {
+        const delayMs = this.breaker.remainingCooldown();
+        const error = new EmbeddingRequestError(
+          `circuit open after ${this.breaker.consecutiveFailures} failed requests, next attempt in ${Math.ceil(delayMs / 1000)}s`,
+          { retryable: false }
+        );
+        if (attempt >= maxRetries) {
+          throw error;
+        }
+        attempt++;
+        this.status.retries++;
+        console.error(`⚠️ ${this.label} ${error.message}, waiting to retry (${attempt}/${maxRetries})`);
+        onRetry?.({ attempt, delayMs, error });
+      }
+      if (failFast) {
+        throw new EmbeddingRequestError(`circuit ${this.breaker.state}, a trial request is in flight`, { retryable: false });
+      }
+      await this.breaker.waitForTurn();
+    }
+
+    for (; ; attempt++) {
+      try {
+        const embeddings = await this.requestEmbeddings(texts, AbortSignal.timeout(this.timeoutMs));
+        if (embeddings.length !== texts.length) {
+          throw new EmbeddingRequestError(`Expected ${texts.length} embeddings but received ${embeddings.length}`, { retryable: false });
+        }
+        this.breaker.recordSuccess();
+        return embeddings;
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isRetryable(error)) {
+          this.status.failedRequests++;
+          // Client errors concern this input, not the health of the service
+          if (this.isRetryable(error)) {
+            this.breaker.recordFailure();
+          } else {
+            this.breaker.releaseTrial();
+          }
+          throw error;
+        }
+
+        const delayMs = Math.min(this.retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+        this.status.retries++;
+        console.error(`⚠️ ${this.label} request failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delayMs}ms`);
+        onRetry?.({ attempt: attempt + 1, delayMs, error });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Decides whether a failed request may succeed when sent again
+   * Retries timeouts, network failures and EmbeddingRequestErrors marked retryable
+   * @param {Error} error - Request error
+   * @returns {boolean} True if the request should be retried
+   * @private
+   */
+  isRetryable(error) {
+    if (error instanceof EmbeddingRequestError) return error.retryable;
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    // fetch() rejects with a TypeError carrying the socket error as its cause
+    return error instanceof TypeError && error.cause !== undefined;
+  }
+
+  /**
+   * Builds a consistent dummy embedding for development/testing
+   * This keeps the system functional even without the embedding service
+   * @param {string} text - Text the vector stands in for
+   * @returns {number[]} Deterministic vector matching the model's last-seen dimension
+   * @private
+   */
+  fallbackEmbedding(text) {
+    const seed = this.hashString(text);
+    const dimensions = this.dimensions || DEFAULT_FALLBACK_DIMENSIONS;
+    return new Array(dimensions).fill(0).map((_, i) => Math.sin(seed + i) * 0.1);
+  }
+
+  /**
+   * Requests embeddings for a batch of texts
+   * Sends one request per text; providers whose API accepts several inputs override this
+   * @param {string[]} texts - Texts to embed (at most `batchSize`)
+   * @param {AbortSignal} [signal] - Aborts the request when its time limit is reached
+   * @returns {Promise<number[][]>} Embedding vectors, in input order
+   * @throws {Error} If the service is unreachable or a response is invalid
+   */
+  async requestEmbeddings(texts, signal) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.requestEmbedding(text, signal));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Requests an embedding from the service (implemented by each provider)
+   * HTTP failures should be raised as EmbeddingRequestError so they are retried correctly
+   * @param {string} text - Text to embed
+   * @param {AbortSignal} [signal] - Aborts the request when its time limit is reached
+   * @returns {Promise<number[]>} Embedding vector
+   * @throws {Error} If the service is unreachable or the response is invalid
+   */
+  async requestEmbedding(text, signal) {
+    throw new Error(`${this.constructor.name} does not implement requestEmbedding()`);
+  }
+
+  /**
+   * Identifies the vector space of this provider's embeddings in the embedding cache
+   * Cached vectors are only reused under the same namespace
+   * @returns {string} Namespace (the model name; providers with a configurable vector size add it)
+   */
+  cacheNamespace() {
+    return this.model;
+  }
+
+  /**
+   * Checks that the service currently returns embeddings for the configured model
+   * @returns {Promise<Object>} { status: 'connected'|'unavailable', provider, model, dimensions, error, circuit, ...status }
+   */
+  async checkHealth() {
+    const base = { provider: this.label, model: this.model };
+    try {
+      await this.getEmbedding('health check', { allowFallback: false });
+      return { status: 'connected', ...base, dimensions: this.dimensions, error: null, ...this.status, circuit: this.breaker.toJSON() };
+    } catch (error) {
+      return { status: 'unavailable', ...base, dimensions: this.dimensions, ...this.status, circuit: this.breaker.toJSON(), error: error.message };
+    }
+  }
+
+  /**
+   * Cleans text before it is sent to the service
+   * @param {string} text - Raw text
+   * @returns {string} Text with newlines flattened
+   * @throws {Error} If the text is empty after cleaning
+   * @protected
+   */
+  cleanText(text) {
+    const cleanText = text.replace(/\n/g, ' ').trim();
+    if (!cleanText) {
+      throw new Error('Empty text provided');
+    }
+    return cleanText;
+  }
+
+  /**
+   * Generates a simple hash code from a string for deterministic dummy embeddings
+   * Used to create consistent fallback embeddings when the service is unavailable
+   * @param {string} str - Input string to hash
+   * @returns {number} 32-bit integer hash code
+   * @private
+   */
+  hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    return hash;
+  }
+}
@@ -0,0 +1,166 @@
+// ==========================================
+// Result Ranking Helpers
+// ==========================================
+// Post-processing applied to scored search results: rank fusion, project weights,
+// diversity re-ranking (MMR), per-file caps and grouping of chunks by file
+
+// Reciprocal rank fusion damping constant (value from the original RRF paper)
+const RRF_K = 60;
+
+/**
+ * Fuses semantic and lexical result lists with reciprocal rank fusion
+ * Each result keeps its component scores and ranks so clients can see why it matched
+ * @param {Object[]} semantic - Semantic results, best first
+ * @param {Object[]} lexical - Lexical results, best first
+ * @returns {Object[]} Fused results sorted by fused score (highest first)
+ */
+export function reciprocalRankFusion(semantic, lexical) {
+  const fused = new Map();
+
+  const addRanking = (results, component) => {
+    results.forEach((result, index) => {
+      const entry = fused.get(result.id) || {
+        ...result,
+        score: 0,
+        scores: { semantic: null, semanticRank: null, lexical: null, lexicalRank: null }
+      };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.scores[component] = result.score;
+      entry.scores[`${component}Rank`] = index + 1;
+      fused.set(result.id, entry);
+    });
+  };
+
+  addRanking(semantic, 'semantic');
+  addRanking(lexical, 'lexical');
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Multiplies each result's score by its project's weight
+ * Weighted results keep the original score in `rawScore`; unlisted projects weigh 1
+ * @param {Object[]} results - Scored results
+ * @param {Object<string, number>} [weights] - Weight multiplier by project ID
+ * @returns {Object[]} Results with weighted scores (order unchanged)
+ */
+export function applyProjectWeights(results, weights) {
+  if (!weights) return results;
+  return results.map(result => {
+    const weight = weights[result.projectId] ?? 1;
+    return weight === 1 ? result : { ...result, score: result.score * weight, rawScore: result.score, projectWeight: weight };
+  });
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either vector is missing or empty)
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Cosine similarity
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Re-orders results with maximal marginal relevance (MMR)
+ * Trades relevance against similarity to results already picked, so near-duplicate
+ * chunks (e.g. adjacent chunks of one file) stop crowding the top of the list.
+ * Relevance scores are min-max normalized first so lexical and fused scores work too.
+ * @param {Object[]} results - Candidate results, best first
+ * @param {Map<string, number[]>} embeddings - Embedding for each result ID
+ * @param {number} [lambda=0.7] - 1 = pure relevance, 0 = pure diversity
+ * @returns {Object[]} Results in MMR order
+ */
+export function maximalMarginalRelevance(results, embeddings, lambda = 0.7) {
+  if (results.length < 2) return results;
+
+  const scores = results.map(r => r.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const relevance = results.map(r => (max === min ? 1 : (r.score - min) / (max - min)));
+
+  const remaining = results.map((_, i) => i);
+  const selected = [];
+  // Highest similarity of each remaining candidate to anything already selected
+  const redundancy = new Array(results.length).fill(0);
+
+  while (remaining.length > 0) {
+    let bestPosition = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, position) => {
+      const value = lambda * relevance[candidate] - (1 - lambda) * redundancy[candidate];
+      if (value > bestValue) {
+        bestValue = value;
+        bestPosition = position;
+      }
+    });
+
+    const [picked] = remaining.splice(bestPosition, 1);
+    selected.push(results[picked]);
+
+    const pickedEmbedding = embeddings.get(results[picked].id);
+    for (const candidate of remaining) {
+      const sim = cosineSimilarity(pickedEmbedding, embeddings.get(results[candidate].id));
+      redundancy[candidate] = Math.max(redundancy[candidate], sim);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Keeps at most N results per file, preserving order
+ * @param {Object[]} results - Ranked results
+ * @param {number} maxPerFile - Maximum results per (project, file)
+ * @returns {Object[]} Capped results
+ */
+export function capPerFile(results, maxPerFile) {
+  const counts = new Map();
+  return results.filter(result => {
+    const key = `${result.projectId}\u0000${result.filePath}`;
+    const count = counts.get(key) || 0;
+    counts.set(key, count + 1);
+    return count < maxPerFile;
+  });
+}
+
+/**
+ * Merges results from the same file into one hit per file
+ * The hit keeps the top-ranked chunk's content, the best chunk score as `score`,
+ * the sum of chunk scores as `totalScore` and every matching line range
+ * @param {Object[]} results - Ranked results
+ * @returns {Object[]} One result per file, in order of each file's first appearance
+ */
+export function groupResultsByFile(results) {
+  const groups = new Map();
+
+  for (const result of results) {
+    const key = `${result.projectId}\u0000${result.filePath}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { ...result, totalScore: 0, matches: [] };
+      groups.set(key, group);
+    }
+    group.score = Math.max(group.score, result.score);
+    group.totalScore += result.score;
+    group.matches.push({
+      id: result.id,
+      chunkIndex: result.chunkIndex,
+      startLine: result.metadata?.startLine,
+      endLine: result.metadata?.endLine,
+      score: result.score
+    });
+  }
+
+  const grouped = [...groups.values()];
+  grouped.forEach(group => group.matches.sort((a, b) => (a.startLine ?? 0) - (b.startLine ?? 0)));
+  return grouped;
+}
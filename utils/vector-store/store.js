@@ -0,0 +1,832 @@
+// ==========================================
+// Vector Store Interface
+// ==========================================
+// Base class for storage backends used by FileIndexer, the REST API and the MCP server
+// Implements the backend-independent search pipeline (ranking fusion, re-ranking,
+// grouping, paging and context expansion) on top of a few storage primitives
+
+import crypto from 'crypto';
+import {
+  reciprocalRankFusion,
+  maximalMarginalRelevance,
+  capPerFile,
+  groupResultsByFile
+} from './ranking.js';
+import { normalizeSearchFilters } from './filters.js';
+import { expandWithContext } from './context.js';
+import { resolveOffset, buildPage } from './paging.js';
+import { PLAIN_TEMPLATES } from './instructions.js';
+
+/** Supported search modes */
+export const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+// Chunks re-embedded per batch by reembedProject() and repairFallbackEmbeddings()
+const REEMBED_BATCH_SIZE = 16;
+
+// Largest page size and HNSW search breadth a search accepts
+export const MAX_TOP_K = 100;
+export const MAX_EF_SEARCH = 1000;
+
+// Embeddings kept in the embedding cache unless EMBEDDING_CACHE_SIZE says otherwise
+const DEFAULT_EMBEDDING_CACHE_SIZE = 20000;
+
+// How long search() trusts a project's embedding signature before reading it again
+// (changes made by this process are seen at once, those of other processes after this delay)
+const EMBEDDING_SIGNATURE_TTL_MS = 30000;
+
+/**
+ * Error raised when vectors do not match the embedding model or dimension a project was indexed with
+ * Similarities between vectors of different models are meaningless, so such operations are refused
+ */
+export class EmbeddingMismatchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} projectId - Project whose recorded embedding differs
+   */
+  constructor(message, projectId) {
+    super(message);
+    this.name = 'EmbeddingMismatchError';
+    this.projectId = projectId;
+  }
+}
+
+/**
+ * Abstract vector store
+ * Subclasses implement the storage methods and search primitives marked "Backend method";
+ * search() and getRangeEmbedding() are shared by every backend.
+ */
+export class VectorStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.embeddingCacheSize] - Maximum number of cached embeddings, 0 disables the cache
+   *   (env EMBEDDING_CACHE_SIZE, default 20000)
+   * @throws {Error} If the cache size is not a non-negative integer
+   */
+  constructor(options = {}) {
+    /** @type {{name: string, configured: string, reason: string}} Similarity scoring backend in use */
+    this.backend = { name: 'node', configured: 'node', reason: 'scored in process' };
+
+    const cacheSize = options.embeddingCacheSize ?? (process.env.EMBEDDING_CACHE_SIZE ? Number(process.env.EMBEDDING_CACHE_SIZE) : DEFAULT_EMBEDDING_CACHE_SIZE);
+    if (!(Number.isInteger(cacheSize) && cacheSize >= 0)) {
+      throw new Error(`EMBEDDING_CACHE_SIZE must be a non-negative integer (got "${cacheSize}")`);
+    }
+    this.embeddingCacheSize = cacheSize;
+    /** @type {number} Cached embeddings evicted since the store was created */
+    this.embeddingCacheEvictions = 0;
+    /** @type {Map<string, {signature: Object, readAt: number}>} Embedding signatures read by search(), by project */
+    this.embeddingSignatures = new Map();
+  }
+
+  /**
+   * Fails a call to a backend method the subclass does not implement
+   * @param {string} method - Method name
+   * @throws {Error} Always
+   * @private
+   */
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * Chooses the similarity scoring backend (stores without alternatives keep the default)
+   * @returns {Promise<{name: string, configured: string, reason: string}>} Selected backend
+   */
+  async detectSearchBackend() {
+    return this.backend;
+  }
+
+  /**
+   * Persists pending writes (no-op for stores that write through)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Searches stored documents semantically, lexically (BM25) or with both fused
+   * Supports scoping to one or several projects (by ID or tag) with per-project weights,
+   * metadata filters, score thresholds and paging through results.
+   * Hits are ranked within a window of at least `totalLimit` candidates; `total` counts
+   * the hits in that window and `totalCapped` signals that more may exist beyond it.
+   * @param {number[]} queryEmbedding - Query vector to search for (unused in lexical mode)
+   * @param {number} [topK=3] - Page size (number of results to return)
+   * @param {string|string[]} [projectId] - Optional project ID or list of project IDs (all projects if omitted)
+   * @param {Object} [options={}] - Search options
+   * @param {string[]} [options.tags] - Also search every project carrying one of these tags
+   * @param {Object<string, number>} [options.projectWeights] - Score multiplier per project ID (default 1)
+   * @param {string} [options.mode='semantic'] - 'semantic', 'lexical' or 'hybrid'
+   * @param {string} [options.query] - Raw query text (required for lexical and hybrid modes)
+   * @param {number} [options.efSearch] - HNSW search breadth; higher improves recall at the cost of latency
+   * @param {boolean} [options.exact=false] - Force the exact full scan even for large projects
+   * @param {Object} [options.filters] - Path glob, extension and modification-date filters (see filters.js)
+   * @param {boolean} [options.mmr=false] - Re-rank with maximal marginal relevance for more diverse results
+   * @param {number} [options.mmrLambda=0.7] - MMR trade-off: 1 = pure relevance, 0 = pure diversity
+   * @param {number} [options.maxPerFile] - Maximum number of chunks returned per file
+   * @param {boolean} [options.groupByFile=false] - Merge chunks of one file into a single hit with line ranges
+   * @param {string[]} [options.excludeIds] - Document IDs to leave out of the results (e.g. the source of a similarity query)
+   * @param {number} [options.expandContext=0] - Add this many neighbouring chunks before/after each hit as stitched `excerpts`
+   * @param {number} [options.minScore] - Drop hits scoring below this threshold (in the mode's score scale)
+   * @param {number} [options.offset=0] - Number of hits to skip
+   * @param {string} [options.cursor] - `nextCursor` from a previous page (takes precedence over offset)
+   * @param {number} [options.totalLimit=100] - Minimum ranking window used to count `total`
+   * @param {string} [options.embeddingModel] - Model that produced the query vector (checked against each project)
+   * @returns {Promise<Object>} Page envelope: { results, total, returned, offset, nextCursor, totalCapped }, plus
+   *   `skippedProjects` ({ projectId, reason }[]) when projects indexed with another embedding were left out
+   * @throws {Error} If the mode is unknown, topK, efSearch, maxPerFile, a filter, offset or cursor is invalid, or query text is missing for lexical search
+   * @throws {EmbeddingMismatchError} If a project named in `projectId` was indexed with another embedding model or
+   *   dimension (projects reached through tags or an unscoped search are skipped instead)
+   */
+  async search(queryEmbedding, topK = 3, projectId = null, options = {}) {
+    validateSearchLimits({ topK, efSearch: options.efSearch, maxPerFile: options.maxPerFile });
+    const mode = options.mode || 'semantic';
+    const filters = normalizeSearchFilters(options.filters);
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode "${mode}" (expected one of: ${SEARCH_MODES.join(', ')})`);
+    }
+    if (mode !== 'semantic' && !options.query) {
+      throw new Error(`Query text is required for ${mode} search`);
+    }
+    const lambda = options.mmrLambda ?? 0.7;
+    if (lambda < 0 || lambda > 1) {
+      throw new Error('mmrLambda must be between 0 and 1');
+    }
+    const offset = resolveOffset(options);
+
+    // Rank enough candidates to fill the requested page and count the total;
+    // re-ranking stages need a deeper pool than the page itself
+    const pageEnd = offset + topK;
+    const rerank = options.mmr || options.maxPerFile || options.groupByFile;
+    const excludeIds = new Set(options.excludeIds || []);
+    let poolSize = Math.max(pageEnd, options.totalLimit ?? 100);
+    if (rerank) poolSize = Math.max(poolSize, pageEnd * 4, 20);
+    poolSize += excludeIds.size;
+
+    let projectIds = await this.resolveProjectScope(projectId, options.tags);
+    const skippedProjects = [];
+    if (mode !== 'lexical' && queryEmbedding) {
+      const query = { model: options.embeddingModel, dimensions: queryEmbedding.length };
+      const named = new Set([].concat(projectId || []));
+      const compatible = [];
+      for (const id of projectIds || await this.listProjectIds()) {
+        const mismatch = this.findEmbeddingMismatch(id, await this.getSearchSignature(id), query);
+        if (mismatch && named.has(id)) throw mismatch;
+        if (mismatch) skippedProjects.push({ projectId: id, reason: mismatch.message });
+        else compatible.push(id);
+      }
+      if (skippedProjects.length > 0) projectIds = compatible;
+    }
+    const ranked = await this.rankCandidates(queryEmbedding, poolSize, projectIds, filters, mode, options);
+    const totalCapped = ranked.length >= poolSize;
+    let results = ranked.filter(result =>
+      !excludeIds.has(result.id) &&
+      (options.minScore === undefined || options.minScore === null || result.score >= options.minScore)
+    );
+
+    if (options.mmr) {
+      const embeddings = await this.getEmbeddings(results.map(r => r.id));
+      results = maximalMarginalRelevance(results, embeddings, lambda);
+    }
+    if (options.maxPerFile) {
+      results = capPerFile(results, options.maxPerFile);
+    }
+    if (options.groupByFile) {
+      results = groupResultsByFile(results);
+    }
+
+    const page = buildPage(results, offset, topK, totalCapped);
+    if (options.expandContext > 0) {
+      page.results = await expandWithContext(page.results, options.expandContext, (project, filePath, chunkIndexes) =>
+        this.loadChunks(project, filePath, chunkIndexes)
+      );
+      page.returned = page.results.length;
+    }
+    if (skippedProjects.length > 0) {
+      page.skippedProjects = skippedProjects;
+    }
+
+    return page;
+  }
+
+  /**
+   * Produces the initial relevance ranking for a search mode
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of candidates to return
+   * @param {string[]|null} projectIds - Projects to search (null = all)
+   * @param {Object|null} filters - Normalized search filters
+   * @param {string} mode - 'semantic', 'lexical' or 'hybrid'
+   * @param {Object} options - Search options
+   * @returns {Promise<Object[]>} Ranked results, best first
+   * @private
+   */
+  async rankCandidates(queryEmbedding, topK, projectIds, filters, mode, options) {
+    if (mode === 'semantic') {
+      return this.semanticSearch(queryEmbedding, topK, projectIds, filters, options);
+    }
+    if (mode === 'lexical') {
+      return this.lexicalSearch(options.query, topK, projectIds, filters, options);
+    }
+
+    // Hybrid: fuse a deeper candidate pool from both rankings
+    const poolSize = Math.max(topK * 4, 20);
+    const [semantic, lexical] = await Promise.all([
+      this.semanticSearch(queryEmbedding, poolSize, projectIds, filters, options),
+      this.lexicalSearch(options.query, poolSize, projectIds, filters, options)
+    ]);
+    return reciprocalRankFusion(semantic, lexical).slice(0, topK);
+  }
+
+  /**
+   * Resolves a file range to a query vector built from already-stored chunk embeddings
+   * A range inside one chunk reuses that chunk's embedding; a range spanning several
+   * chunks uses their average weighted by overlapping lines. No text is re-embedded.
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path relative to the project root
+   * @param {number} [startLine] - First line of the range (defaults to the start of the file)
+   * @param {number} [endLine] - Last line of the range (defaults to the end of the file)
+   * @returns {Promise<Object|null>} { embedding, sourceIds, startLine, endLine } or null if no chunk overlaps
+   * @throws {Error} If a line is not a positive integer or the range ends before it starts
+   */
+  async getRangeEmbedding(projectId, filePath, startLine = null, endLine = null) {
+    validateLineRange(startLine, endLine);
+    const from = startLine ?? 1;
+    const to = endLine ?? Number.MAX_SAFE_INTEGER;
+
+    const chunks = await this.findRangeChunks(projectId, filePath, from, to);
+    if (chunks.length === 0) return null;
+
+    let embedding = chunks[0].embedding;
+    if (chunks.length > 1) {
+      embedding = new Array(embedding.length).fill(0);
+      let totalWeight = 0;
+      for (const chunk of chunks) {
+        const overlap = Math.min(to, chunk.metadata.endLine) - Math.max(from, chunk.metadata.startLine) + 1;
+        totalWeight += overlap;
+        chunk.embedding.forEach((value, i) => { embedding[i] += value * overlap; });
+      }
+      embedding = embedding.map(value => value / totalWeight);
+    }
+
+    return {
+      embedding,
+      sourceIds: chunks.map(chunk => chunk.id),
+      startLine: Math.min(...chunks.map(chunk => chunk.metadata.startLine)),
+      endLine: Math.max(...chunks.map(chunk => chunk.metadata.endLine))
+    };
+  }
+
+  // ------------------------------------------
+  // Embedding model tracking
+  // ------------------------------------------
+
+  /**
+   * Reads the embedding model and dimension a project was indexed with
+   * Projects indexed before models were recorded report the dimension of a stored vector
+   * @param {string} projectId - Project ID
+   * @returns {Promise<{model: string|null, dimensions: number|null}>} Recorded embedding (fields null when unknown)
+   */
+  async getEmbeddingSignature(projectId) {
+    const metadata = await this.getProjectMetadata(projectId);
+    return {
+      model: metadata?.embeddingModel || null,
+      dimensions: metadata?.embeddingDimensions || await this.getStoredDimensions(projectId)
+    };
+  }
+
+  /**
+   * Reads the query/document templates a project was indexed with
+   * Projects indexed before templates were recorded used plain texts
+   * @param {string} projectId - Project ID
+   * @returns {Promise<{query: string, document: string}|null>} Templates, or null if the project has no vectors yet
+   */
+  async getEmbeddingTemplates(projectId) {
+    const metadata = await this.getProjectMetadata(projectId);
+    if (metadata?.embeddingTemplates) return metadata.embeddingTemplates;
+    const { model, dimensions } = await this.getEmbeddingSignature(projectId);
+    return model || dimensions ? { ...PLAIN_TEMPLATES } : null;
+  }
+
+  /**
+   * Picks the query template for a search scope
+   * @param {string|string[]|null} projectId - Project(s) to search, or null for all
+   * @param {string[]} [tags] - Tags selecting projects
+   * @returns {Promise<string|null>} Query template shared by the indexed projects in scope, or null if
+   *   none is indexed or they disagree (the provider's own template is used then)
+   */
+  async getQueryTemplate(projectId, tags) {
+    const projectIds = await this.resolveProjectScope(projectId, tags) || await this.listProjectIds();
+    const queryTemplates = new Set();
+    for (const id of projectIds) {
+      const templates = await this.getEmbeddingTemplates(id);
+      if (templates) queryTemplates.add(templates.query);
+    }
+    return queryTemplates.size === 1 ? [...queryTemplates][0] : null;
+  }
+
+  /**
+   * Ensures vectors from a model fit a project's recorded embedding
+   * Fields missing on either side are not compared.
+   * @param {string} projectId - Project ID
+   * @param {{model?: string, dimensions?: number}} embedding - Model and/or dimension of the new vectors
+   * @returns {Promise<void>}
+   * @throws {EmbeddingMismatchError} If the model or dimension differs
+   */
+  async assertEmbeddingCompatible(projectId, embedding) {
+    const mismatch = this.findEmbeddingMismatch(projectId, await this.getEmbeddingSignature(projectId), embedding);
+    if (mismatch) throw mismatch;
+  }
+
+  /**
+   * Compares vectors from a model with a project's recorded embedding
+   * @param {string} projectId - Project ID
+   * @param {{model: string|null, dimensions: number|null}} recorded - Recorded embedding (see getEmbeddingSignature)
+   * @param {{model?: string, dimensions?: number}} embedding - Model and/or dimension of the new vectors
+   * @returns {EmbeddingMismatchError|null} Error describing the difference, or null if they fit
+   * @private
+   */
+  findEmbeddingMismatch(projectId, recorded, embedding) {
+    const modelDiffers = recorded.model && embedding.model && recorded.model !== embedding.model;
+    const dimensionsDiffer = recorded.dimensions && embedding.dimensions && recorded.dimensions !== embedding.dimensions;
+    if (!modelDiffers && !dimensionsDiffer) return null;
+
+    const describe = ({ model, dimensions }) =>
+      [model ? `model "${model}"` : null, dimensions ? `${dimensions} dimensions` : null].filter(Boolean).join(', ');
+    return new EmbeddingMismatchError(
+      `Project "${projectId}" was indexed with ${describe(recorded)} but the vectors come from ${describe(embedding)}. ` +
+      `Re-embed the project with the current model or switch back to the model it was indexed with.`,
+      projectId
+    );
+  }
+
+  /**
+   * Reads a project's embedding signature for search, reusing it for EMBEDDING_SIGNATURE_TTL_MS
+   * Signatures of projects without vectors are not kept, as their first chunks define them.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<{model: string|null, dimensions: number|null}>} Recorded embedding
+   * @private
+   */
+  async getSearchSignature(projectId) {
+    const cached = this.embeddingSignatures.get(projectId);
+    if (cached && Date.now() - cached.readAt < EMBEDDING_SIGNATURE_TTL_MS) return cached.signature;
+
+    const signature = await this.getEmbeddingSignature(projectId);
+    if (signature.dimensions) {
+      this.embeddingSignatures.set(projectId, { signature, readAt: Date.now() });
+    } else {
+      this.embeddingSignatures.delete(projectId);
+    }
+    return signature;
+  }
+
+  /**
+   * Drops the embedding signature search() keeps for a project
+   * Backends call this when a project's recorded embedding changes or the project is deleted
+   * @param {string} projectId - Project ID
+   * @protected
+   */
+  forgetEmbeddingSignature(projectId) {
+    this.embeddingSignatures.delete(projectId);
+  }
+
+  /**
+   * Validates documents about to be stored: one dimension per project, matching what the project was indexed with
+   * Backends call this at the start of addDocuments()
+   * @param {Object[]} docs - Documents with `projectId` and `embedding`
+   * @param {string} [model] - Model that produced the embeddings
+   * @returns {Promise<void>}
+   * @throws {EmbeddingMismatchError} If vectors of one project differ in dimension or do not match the project
+   * @protected
+   */
+  async assertDocumentsCompatible(docs, model) {
+    const dimensionsByProject = new Map();
+    for (const doc of docs) {
+      if (!doc.embedding) continue;
+      const dimensions = dimensionsByProject.get(doc.projectId);
+      if (dimensions === undefined) {
+        dimensionsByProject.set(doc.projectId, doc.embedding.length);
+      } else if (dimensions !== doc.embedding.length) {
+        throw new EmbeddingMismatchError(
+          `Embeddings for project "${doc.projectId}" have mixed dimensions (${dimensions} and ${doc.embedding.length})`,
+          doc.projectId
+        );
+      }
+    }
+
+    for (const [projectId, dimensions] of dimensionsByProject) {
+      await this.assertEmbeddingCompatible(projectId, { model, dimensions });
+    }
+  }
+
+  /**
+   * Recomputes every embedding of a project with another model and records the new model
+   * Chunks are re-embedded from their stored content in batches, wrapped in the provider's
+   * current document template (re-embedding is also how a project adopts new templates).
+   * Until it completes the project holds vectors of both models, so searches with either
+   * model may be refused; an interrupted run can simply be started again.
+   * @param {string} projectId - Project ID
+   * @param {Object} embeddingProvider - Provider with `model`, `templates` and `embedDocumentsWithSource(texts, options)`
+   * @param {Function} [onProgress] - Called as (processed, total) after each batch
+   * @returns {Promise<Object>} { projectId, chunksReembedded, model, dimensions, previousModel, previousDimensions }
+   * @throws {Error} If the project has no chunks or the provider returns vectors of varying size
+   * @throws {EmbeddingUnavailableError} If the embedding service is unavailable
+   */
+  async reembedProject(projectId, embeddingProvider, onProgress = null) {
+    const previous = await this.getEmbeddingSignature(projectId);
+    const { totalDocuments } = await this.getProjectStats(projectId);
+    if (totalDocuments === 0) {
+      throw new Error(`Project ${projectId} has no indexed chunks`);
+    }
+
+    const templates = { ...embeddingProvider.templates };
+    const { processed, dimensions } = await this.reembedChunks(projectId, embeddingProvider, totalDocuments, onProgress, {
+      template: templates.document
+    });
+
+    const metadata = await this.getProjectMetadata(projectId);
+    await this.saveProjectMetadata(
+      projectId,
+      metadata?.directoryPath ?? null,
+      metadata?.excludePatterns || [],
+      { model: embeddingProvider.model, dimensions, templates }
+    );
+
+    return {
+      projectId,
+      chunksReembedded: processed,
+      model: embeddingProvider.model,
+      dimensions,
+      previousModel: previous.model,
+      previousDimensions: previous.dimensions
+    };
+  }
+
+  /**
+   * Re-embeds only the chunks that were indexed with fallback (dummy) vectors
+   * Uses the model and document template the project was indexed with; vectors must keep the recorded dimension.
+   * @param {string} projectId - Project ID
+   * @param {Object} embeddingProvider - Provider with `model` and `embedDocumentsWithSource(texts, options)`
+   * @param {Function} [onProgress] - Called as (processed, total) after each batch
+   * @returns {Promise<Object>} { projectId, chunksRepaired, model }
+   * @throws {EmbeddingMismatchError} If the provider's model or dimension differs from the project's
+   * @throws {EmbeddingUnavailableError} If the embedding service is still unavailable
+   */
+  async repairFallbackEmbeddings(projectId, embeddingProvider, onProgress = null) {
+    await this.assertEmbeddingCompatible(projectId, { model: embeddingProvider.model });
+    const { fallbackDocuments } = await this.getProjectStats(projectId);
+    const recorded = await this.getEmbeddingSignature(projectId);
+    const templates = await this.getEmbeddingTemplates(projectId);
+
+    const { processed } = await this.reembedChunks(projectId, embeddingProvider, fallbackDocuments, onProgress, {
+      embeddingSource: 'fallback',
+      dimensions: recorded.dimensions,
+      template: templates?.document
+    });
+
+    return { projectId, chunksRepaired: processed, model: embeddingProvider.model };
+  }
+
+  /**
+   * Replaces chunk embeddings batch by batch with vectors from the model (fallback is never used)
+   * @param {string} projectId - Project ID
+   * @param {Object} embeddingProvider - Provider with `embedDocumentsWithSource(texts, options)`
+   * @param {number} total - Expected number of chunks (for progress reporting)
+   * @param {Function|null} onProgress - Called as (processed, total) after each batch
+   * @param {Object} [options={}] - Selection options
+   * @param {string} [options.embeddingSource] - Only re-embed chunks with this embedding source
+   * @param {number} [options.dimensions] - Required vector dimension (any consistent dimension if omitted)
+   * @param {string} [options.template] - Document template (default: the provider's)
+   * @returns {Promise<{processed: number, dimensions: number|null}>} Chunks re-embedded and vector dimension
+   * @throws {Error} If the provider returns vectors of an unexpected size
+   * @private
+   */
+  async reembedChunks(projectId, embeddingProvider, total, onProgress, options = {}) {
+    let dimensions = options.dimensions || null;
+    let processed = 0;
+    let afterId = null;
+    for (;;) {
+      const batch = await this.getChunkBatch(projectId, afterId, REEMBED_BATCH_SIZE, { embeddingSource: options.embeddingSource });
+      if (batch.length === 0) break;
+
+      const results = await embeddingProvider.embedDocumentsWithSource(batch.map(chunk => chunk.content), {
+        allowFallback: false,
+        template: options.template
+      });
+      const embeddings = results.map(result => result.embedding);
+      dimensions ??= embeddings[0].length;
+      const mismatch = embeddings.find(embedding => embedding.length !== dimensions);
+      if (mismatch && options.dimensions) {
+        throw new EmbeddingMismatchError(
+          `Project "${projectId}" has ${dimensions}-dimensional vectors but the model returned ${mismatch.length}. Re-embed the whole project instead.`,
+          projectId
+        );
+      }
+      if (mismatch) {
+        throw new Error(`Embedding provider returned vectors of varying size (expected ${dimensions} dimensions)`);
+      }
+
+      await this.replaceEmbeddings(projectId, batch.map((chunk, i) => ({ id: chunk.id, embedding: embeddings[i] })));
+      processed += batch.length;
+      afterId = batch[batch.length - 1].id;
+      if (onProgress) onProgress(processed, total);
+    }
+    return { processed, dimensions };
+  }
+
+  // ------------------------------------------
+  // Search primitives (backend methods)
+  // ------------------------------------------
+
+  /**
+   * Backend method: ranks documents by (weighted) cosine similarity
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {number} topK - Number of results
+   * @param {string[]|null} projectIds - Projects to search (null = all)
+   * @param {Object|null} filters - Normalized search filters
+   * @param {Object} options - Search options (efSearch, exact, projectWeights)
+   * @returns {Promise<Object[]>} Scored results, best first
+   */
+  async semanticSearch(queryEmbedding, topK, projectIds, filters, options) {
+    this.notImplemented('semanticSearch');
+  }
+
+  /**
+   * Backend method: ranks documents by (weighted) BM25 score
+   * @param {string} query - Raw query text
+   * @param {number} topK - Number of results
+   * @param {string[]|null} projectIds - Projects to search (null = all)
+   * @param {Object|null} filters - Normalized search filters
+   * @param {Object} options - Search options (projectWeights)
+   * @returns {Promise<Object[]>} Scored results, best first
+   */
+  async lexicalSearch(query, topK, projectIds, filters, options) {
+    this.notImplemented('lexicalSearch');
+  }
+
+  /**
+   * Backend method: resolves explicit project IDs and tags into the projects to search
+   * @param {string|string[]|null} projectId - Project ID, list of IDs, or null
+   * @param {string[]} [tags] - Project tags to include
+   * @returns {Promise<string[]|null>} Project IDs, or null for all projects
+   */
+  async resolveProjectScope(projectId, tags) {
+    this.notImplemented('resolveProjectScope');
+  }
+
+  /**
+   * Backend method: fetches stored embeddings for a set of documents
+   * @param {string[]} ids - Document IDs
+   * @returns {Promise<Map<string, number[]>>} Embedding by document ID
+   */
+  async getEmbeddings(ids) {
+    this.notImplemented('getEmbeddings');
+  }
+
+  /**
+   * Backend method: loads chunks of one file by chunk index (without vectors)
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number[]} chunkIndexes - Chunk indexes to load
+   * @returns {Promise<Object[]>} Chunks ({ chunkIndex, content, metadata })
+   */
+  async loadChunks(projectId, filePath, chunkIndexes) {
+    this.notImplemented('loadChunks');
+  }
+
+  /**
+   * Backend method: finds embedded chunks of a file overlapping a line range
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @param {number} from - First line
+   * @param {number} to - Last line
+   * @returns {Promise<Object[]>} Chunks ({ id, embedding, metadata })
+   */
+  async findRangeChunks(projectId, filePath, from, to) {
+    this.notImplemented('findRangeChunks');
+  }
+
+  // ------------------------------------------
+  // Storage (backend methods)
+  // ------------------------------------------
+
+  /**
+   * Backend method: adds document chunks with their embeddings
+   * Implementations validate the batch with assertDocumentsCompatible() first.
+   * @param {Object[]} docs - Documents ({ id?, projectId, filePath, chunkIndex, totalChunks, content, embedding, embeddingSource?, metadata })
+   * @param {Object} [options={}] - Insert options
+   * @param {string} [options.embeddingModel] - Model that produced the embeddings
+   * @returns {Promise<void>}
+   * @throws {EmbeddingMismatchError} If the embeddings do not match the project's recorded model or dimension
+   */
+  async addDocuments(docs, options = {}) {
+    this.notImplemented('addDocuments');
+  }
+
+  /**
+   * Backend method: lists the IDs of every stored project
+   * @returns {Promise<string[]>} Project IDs
+   */
+  async listProjectIds() {
+    this.notImplemented('listProjectIds');
+  }
+
+  /**
+   * Backend method: dimension of a stored vector of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number|null>} Dimension, or null if the project has no embeddings
+   */
+  async getStoredDimensions(projectId) {
+    this.notImplemented('getStoredDimensions');
+  }
+
+  /**
+   * Backend method: pages through a project's chunks in a stable order
+   * @param {string} projectId - Project ID
+   * @param {string|null} afterId - Return chunks after this document ID (null = from the start)
+   * @param {number} limit - Maximum number of chunks
+   * @param {Object} [options={}] - Selection options
+   * @param {string} [options.embeddingSource] - Only chunks whose embedding came from this source ('model' or 'fallback')
+   * @returns {Promise<Object[]>} Chunks ({ id, content })
+   */
+  async getChunkBatch(projectId, afterId, limit, options = {}) {
+    this.notImplemented('getChunkBatch');
+  }
+
+  /**
+   * Backend method: overwrites the embeddings of existing chunks (marking them as model embeddings)
+   * @param {string} projectId - Project ID
+   * @param {Object[]} updates - New vectors ({ id, embedding })
+   * @returns {Promise<void>}
+   */
+  async replaceEmbeddings(projectId, updates) {
+    this.notImplemented('replaceEmbeddings');
+  }
+
+  /**
+   * Backend method: lists indexed projects with document counts and metadata
+   * @returns {Promise<Object[]>} Projects ({ projectId, documentCount, lastModified, directoryPath, excludePatterns, tags, ... })
+   */
+  async getProjects() {
+    this.notImplemented('getProjects');
+  }
+
+  /**
+   * Backend method: document and file counts for a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} { projectId, totalDocuments, fallbackDocuments, totalFiles, files }
+   */
+  async getProjectStats(projectId) {
+    this.notImplemented('getProjectStats');
+  }
+
+  /**
+   * Backend method: per-file metadata used by delta indexing
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Map of file path to { fileSize, lastModified, contentHash, chunking }
+   */
+  async getExistingFiles(projectId) {
+    this.notImplemented('getExistingFiles');
+  }
+
+  /**
+   * Backend method: removes every chunk of a file
+   * @param {string} projectId - Project ID
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async removeFileChunks(projectId, filePath) {
+    this.notImplemented('removeFileChunks');
+  }
+
+  /**
+   * Backend method: saves the indexing configuration of a project
+   * @param {string} projectId - Project ID
+   * @param {string} directoryPath - Directory that was indexed
+   * @param {string[]} [excludePatterns=[]] - Patterns that were excluded
+   * @param {{model: string, dimensions: number}} [embedding] - Embedding model and dimension to record (kept when omitted)
+   * @returns {Promise<Object>} Saved metadata
+   */
+  async saveProjectMetadata(projectId, directoryPath, excludePatterns = [], embedding = null) {
+    this.notImplemented('saveProjectMetadata');
+  }
+
+  /**
+   * Backend method: replaces a project's tags
+   * @param {string} projectId - Project ID
+   * @param {string[]} tags - Tags to assign
+   * @returns {Promise<string[]>} Normalized tags
+   */
+  async setProjectTags(projectId, tags) {
+    this.notImplemented('setProjectTags');
+  }
+
+  /**
+   * Backend method: saves indexing settings of a project, used by its later indexing runs
+   * Settings not given keep their current value.
+   * @param {string} projectId - Project ID
+   * @param {Object} settings - Validated settings (see normalizeProjectSettings)
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setProjectSettings(projectId, settings) {
+    this.notImplemented('setProjectSettings');
+  }
+
+  /**
+   * Backend method: reads a project's stored metadata
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Metadata or null if unknown
+   */
+  async getProjectMetadata(projectId) {
+    this.notImplemented('getProjectMetadata');
+  }
+
+  /**
+   * Backend method: removes a project with all of its chunks and metadata
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteProject(projectId) {
+    this.notImplemented('deleteProject');
+  }
+
+  /**
+   * Backend method: looks up cached embeddings and marks them as recently used
+   * @param {string} namespace - Vector space of the embeddings (see EmbeddingProvider.cacheNamespace)
+   * @param {string[]} hashes - Hashes of the embedded texts (see embeddingCacheHash)
+   * @returns {Promise<Map<string, number[]>>} Cached vectors by hash (empty when the cache is disabled)
+   */
+  async getCachedEmbeddings(namespace, hashes) {
+    this.notImplemented('getCachedEmbeddings');
+  }
+
+  /**
+   * Backend method: adds embeddings to the cache, evicting the least recently used
+   * entries beyond embeddingCacheSize
+   * @param {string} namespace - Vector space of the embeddings
+   * @param {{hash: string, embedding: number[]}[]} entries - Embeddings by text hash
+   * @returns {Promise<void>}
+   */
+  async cacheEmbeddings(namespace, entries) {
+    this.notImplemented('cacheEmbeddings');
+  }
+
+  /**
+   * Backend method: size of the embedding cache
+   * @returns {Promise<Object>} { entries, maxEntries, evictions }
+   */
+  async getEmbeddingCacheStats() {
+    this.notImplemented('getEmbeddingCacheStats');
+  }
+}
+
+/**
+ * Hashes the text sent to the embedding model, identifying its vector in the embedding cache
+ * @param {string} text - Text as embedded (after applying the document template)
+ * @returns {string} SHA-256 hash in hexadecimal format
+ */
+export function embeddingCacheHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Normalizes a list of project tags (trimmed, non-empty, unique)
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Normalized tags
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Checks the page size, HNSW search breadth and per-file cap of a search request
+ * @param {Object} limits - Requested limits
+ * @param {*} [limits.topK] - Page size (an integer from 1 to MAX_TOP_K)
+ * @param {*} [limits.efSearch] - HNSW search breadth (an integer from 1 to MAX_EF_SEARCH)
+ * @param {*} [limits.maxPerFile] - Maximum chunks per file (a positive integer)
+ * @throws {Error} If a given limit is not a positive integer within its cap
+ */
+export function validateSearchLimits({ topK, efSearch, maxPerFile } = {}) {
+  if (topK !== undefined && !(Number.isInteger(topK) && topK > 0 && topK <= MAX_TOP_K)) {
+    throw new Error(`topK must be an integer between 1 and ${MAX_TOP_K}`);
+  }
+  if (efSearch !== undefined && efSearch !== null && !(Number.isInteger(efSearch) && efSearch > 0 && efSearch <= MAX_EF_SEARCH)) {
+    throw new Error(`efSearch must be an integer between 1 and ${MAX_EF_SEARCH}`);
+  }
+  if (maxPerFile !== undefined && maxPerFile !== null && !(Number.isInteger(maxPerFile) && maxPerFile > 0)) {
+    throw new Error('maxPerFile must be a positive integer');
+  }
+}
+
+/**
+ * Checks the line range of a search by example
+ * @param {*} [startLine] - First line (a positive integer, omitted for the start of the file)
+ * @param {*} [endLine] - Last line (a positive integer, omitted for the end of the file)
+ * @throws {Error} If a given line is not a positive integer or the range ends before it starts
+ */
+export function validateLineRange(startLine, endLine) {
+  for (const [name, line] of [['startLine', startLine], ['endLine', endLine]]) {
+    if (line !== undefined && line !== null && !(Number.isInteger(line) && line > 0)) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+  }
+  if (startLine != null && endLine != null && startLine > endLine) {
+    throw new Error('startLine must not be greater than endLine');
+  }
+}